@@ -9,6 +9,7 @@ const express = require('express');
 const router = express.Router();
 const dbService = require('../../services/dbService');
 const { Address } = require('../../models/address'); // Destructure Address from exports
+const { authenticate, requireRole } = require('../../middleware/auth');
 
 /**
  * Educational Endpoint: Address Lookup
@@ -265,6 +266,8 @@ router.post('/', async (req, res) => {
  * 
  * PATCH /api/address/points
  * Updates the recycling points for an existing address
+ * Requires an admin token (Authorization: Bearer <token>) - points are normally
+ * earned through scans, so manual adjustments are an admin task
  * 
  * Body Parameters:
  * - street_address (required): The address to update
@@ -272,7 +275,7 @@ router.post('/', async (req, res) => {
  * 
  * Learn about: PATCH requests, partial updates, business logic validation
  */
-router.patch('/points', async (req, res) => {
+router.patch('/points', authenticate, requireRole('admin'), async (req, res) => {
   try {
     // Educational Note: Extract update data from body
     const { street_address, points_to_add } = req.body;
@@ -0,0 +1,121 @@
+/**
+ * Authentication Routes for Rescan Educational Project
+ * ===================================================
+ *
+ * Educational Focus: Learn how login, logout and "who am I" endpoints
+ * work with signed tokens.
+ *
+ * Key Learning Concepts:
+ * - Verifying passwords without revealing which part was wrong
+ * - Issuing and revoking tokens
+ * - Protecting routes with middleware
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Educational Note: Import middleware, services and models
+const { asyncErrorHandler, createError } = require('../../middleware/errorHandler');
+const { authenticate } = require('../../middleware/auth');
+const authService = require('../../services/authService');
+const dbService = require('../../services/dbService');
+const { User, UserRepository } = require('../../models/user');
+
+const userRepository = new UserRepository(dbService);
+
+/**
+ * Educational Route: POST /api/auth/login
+ *
+ * Exchanges a username and password for a signed token
+ * Learn about: credential checking, generic error messages, token issuing
+ *
+ * Too many failed attempts from one IP address or for one username
+ * answer 429 until LOGIN_LOCKOUT_MINUTES have passed
+ */
+router.post('/login', asyncErrorHandler(async (req, res) => {
+  const { error, value } = User.loginSchema.validate(req.body, { stripUnknown: true });
+  if (error) {
+    throw createError.badRequest('Username and password are required');
+  }
+
+  console.log(`🔐 Login attempt for: ${value.username}`);
+
+  const retryAfter = authService.getLoginRetryAfter(req.ip, value.username);
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    throw createError.tooManyRequests(`Too many failed logins - try again in ${Math.ceil(retryAfter / 60)} minute(s)`);
+  }
+
+  // Educational Note: Unknown users (and accounts without a password) are checked
+  // against a dummy hash, so every failed login takes about as long
+  const credentials = await userRepository.findCredentials(value.username);
+  const storedHash = credentials && credentials.password_hash
+    ? credentials.password_hash
+    : await authService.getDummyHash();
+  const passwordMatches = await authService.verifyPassword(value.password, storedHash)
+    && Boolean(credentials && credentials.password_hash);
+
+  // Educational Note: Same message for unknown users and wrong passwords,
+  // so attackers cannot discover which usernames exist
+  if (!passwordMatches) {
+    authService.recordFailedLogin(req.ip, value.username);
+    throw createError.unauthorized('Invalid username or password');
+  }
+
+  authService.clearFailedLogins(req.ip, value.username);
+
+  const session = await authService.issueToken(credentials.user);
+
+  res.json({
+    success: true,
+    data: {
+      token: session.token,
+      token_type: 'Bearer',
+      expires_at: session.expires_at,
+      user: credentials.user.toApiResponse()
+    },
+    educational: {
+      note: 'Send this token in the Authorization header: "Authorization: Bearer <token>"',
+      security: 'Tokens are signed by the server, so any change to them makes them invalid'
+    }
+  });
+}));
+
+/**
+ * Educational Route: POST /api/auth/logout
+ *
+ * Revokes the session behind the current token
+ * Learn about: why signed tokens still need a server-side session list
+ */
+router.post('/logout', authenticate, asyncErrorHandler(async (req, res) => {
+  await authService.revokeSession(req.sessionId);
+
+  console.log(`👋 User ${req.user.username} logged out`);
+
+  res.json({
+    success: true,
+    data: { message: 'Logged out successfully' },
+    educational: {
+      note: 'The token is now rejected even though its signature is still valid',
+      concept: 'Token revocation'
+    }
+  });
+}));
+
+/**
+ * Educational Route: GET /api/auth/me
+ *
+ * Returns the user attached to the request by the authenticate middleware
+ */
+router.get('/me', authenticate, asyncErrorHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: { user: req.user.toApiResponse() },
+    educational: {
+      note: 'Middleware verified your token and attached req.user before this handler ran'
+    }
+  });
+}));
+
+// Educational Export: Make router available to main application
+module.exports = router;
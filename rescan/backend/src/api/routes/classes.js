@@ -0,0 +1,354 @@
+/**
+ * Class Routes for Rescan Educational Project
+ * ==========================================
+ *
+ * Educational Focus: Learn how a many-to-many relationship (students and
+ * classes) becomes a set of REST endpoints.
+ *
+ * Key Learning Concepts:
+ * - Nested resources (/classes/:id/members)
+ * - Join codes as a simple invitation mechanism
+ * - Aggregating data across tables for reports
+ * - Resource-level authorization (only the class teacher may manage it)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Educational Note: Import middleware, services and models
+const { asyncErrorHandler, createError } = require('../../middleware/errorHandler');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const dbService = require('../../services/dbService');
+const { Classroom, ClassroomRepository } = require('../../models/classroom');
+const { UserRepository } = require('../../models/user');
+
+const classroomRepository = new ClassroomRepository(dbService);
+const userRepository = new UserRepository(dbService);
+
+// Educational Note: Every class endpoint needs to know who is asking
+router.use(authenticate);
+
+/**
+ * Educational Helper: Validate with a Joi Schema
+ *
+ * Returns the cleaned value or throws a 400 listing every problem at once
+ */
+function validate(schema, data) {
+  const { error, value } = schema.validate(data, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    throw createError.badRequest(`Validation failed: ${error.details.map(detail => detail.message).join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Educational Helper: Parse a Numeric ID Parameter
+ */
+function parseId(id, label) {
+  const parsed = parseInt(id, 10);
+  if (!id || isNaN(parsed) || String(parsed) !== id) {
+    throw createError.badRequest(`${label} ID must be a valid number`);
+  }
+  return parsed;
+}
+
+/**
+ * Educational Helper: Load an Active Class
+ *
+ * @throws {AppError} 404 when the class does not exist or was archived
+ */
+async function loadClass(idParam) {
+  const classId = parseId(idParam, 'Class');
+  const classroom = await classroomRepository.findById(classId);
+  if (!classroom) {
+    throw createError.notFound(`Class with ID ${classId} not found`);
+  }
+  return classroom;
+}
+
+/**
+ * Educational Helper: Load a Class the User Can Manage
+ *
+ * The class teacher and admins manage a class; other teachers cannot
+ *
+ * @returns {Promise<Classroom>}
+ * @throws {AppError} 404 when missing, 403 when the user is not its teacher or an admin
+ */
+async function loadManagedClass(req) {
+  const classroom = await loadClass(req.params.id);
+  if (classroom.teacher_id !== req.user.id && !req.user.hasRole('admin')) {
+    throw createError.forbidden('Only the class teacher or an admin can do this');
+  }
+  return classroom;
+}
+
+/**
+ * Educational Route: GET /api/classes
+ *
+ * Lists the classes a user teaches (teacher), belongs to (student) or all of them (admin)
+ * Learn about: one endpoint, different results per role
+ */
+router.get('/', asyncErrorHandler(async (req, res) => {
+  const classes = await classroomRepository.listForUser(req.user);
+  const isStaff = req.user.hasRole('teacher', 'admin');
+
+  res.json({
+    success: true,
+    data: {
+      classes: classes.map(classroom => classroom.toApiResponse({ includeJoinCode: isStaff })),
+      total_count: classes.length
+    },
+    educational: {
+      note: isStaff
+        ? 'Share a join code with students so they can enroll themselves'
+        : 'These are the classes you have joined'
+    }
+  });
+}));
+
+/**
+ * Educational Route: POST /api/classes
+ *
+ * Creates a class owned by the logged-in teacher and generates its join code
+ * Requires the teacher or admin role
+ */
+router.post('/', requireRole('teacher', 'admin'), asyncErrorHandler(async (req, res) => {
+  const values = validate(Classroom.createSchema, req.body);
+
+  const classroom = await classroomRepository.create(values, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: { class: classroom.toApiResponse({ includeJoinCode: true }) },
+    educational: {
+      note: `Students join with POST /api/classes/join and {"join_code": "${classroom.join_code}"}`
+    }
+  });
+}));
+
+/**
+ * Educational Route: POST /api/classes/join
+ *
+ * Enrolls the logged-in user in the class with the given join code
+ * Learn about: invitation codes instead of teachers typing every student in
+ */
+router.post('/join', asyncErrorHandler(async (req, res) => {
+  const { join_code } = validate(Classroom.joinSchema, req.body);
+
+  const match = await classroomRepository.findByJoinCode(join_code);
+  if (!match) {
+    throw createError.notFound('No class found with that join code - check it with your teacher');
+  }
+
+  const newlyEnrolled = await classroomRepository.enroll(match.id, req.user.id);
+  console.log(`🎒 User ${req.user.username} ${newlyEnrolled ? 'joined' : 'was already in'} class ${match.id}`);
+
+  // Educational Note: Reload so student_count includes the new member
+  const classroom = await classroomRepository.findById(match.id);
+
+  res.status(newlyEnrolled ? 201 : 200).json({
+    success: true,
+    data: {
+      class: classroom.toApiResponse(),
+      already_enrolled: !newlyEnrolled
+    },
+    educational: {
+      note: newlyEnrolled ? `Welcome to ${classroom.name}!` : `You are already in ${classroom.name}`
+    }
+  });
+}));
+
+/**
+ * Educational Route: GET /api/classes/:id
+ *
+ * Class details for its teacher, admins and enrolled students
+ */
+router.get('/:id', asyncErrorHandler(async (req, res) => {
+  const classroom = await loadClass(req.params.id);
+  const canManage = classroom.teacher_id === req.user.id || req.user.hasRole('admin');
+
+  if (!canManage && !await classroomRepository.isEnrolled(classroom.id, req.user.id)) {
+    throw createError.forbidden('You are not a member of this class');
+  }
+
+  res.json({
+    success: true,
+    data: { class: classroom.toApiResponse({ includeJoinCode: canManage }) }
+  });
+}));
+
+/**
+ * Educational Route: PUT /api/classes/:id
+ *
+ * Updates the class name, section or description (class teacher or admin)
+ */
+router.put('/:id', asyncErrorHandler(async (req, res) => {
+  const classroom = await loadManagedClass(req);
+  const changes = validate(Classroom.updateSchema, req.body);
+
+  const updatedClass = await classroomRepository.update(classroom.id, changes);
+
+  res.json({
+    success: true,
+    data: { class: updatedClass.toApiResponse({ includeJoinCode: true }) }
+  });
+}));
+
+/**
+ * Educational Route: DELETE /api/classes/:id
+ *
+ * Archives the class (class teacher or admin). Scan history is untouched.
+ */
+router.delete('/:id', asyncErrorHandler(async (req, res) => {
+  const classroom = await loadManagedClass(req);
+
+  await classroomRepository.archive(classroom.id);
+  console.log(`🗄️ Class ${classroom.id} archived by ${req.user.username}`);
+
+  res.json({
+    success: true,
+    data: { message: `Class "${classroom.name}" archived` },
+    educational: {
+      note: 'Archiving is a soft delete - the join code stops working but records are kept'
+    }
+  });
+}));
+
+/**
+ * Educational Route: POST /api/classes/:id/join-code
+ *
+ * Replaces the join code, e.g. after it was shared outside the class
+ */
+router.post('/:id/join-code', asyncErrorHandler(async (req, res) => {
+  const classroom = await loadManagedClass(req);
+
+  const updatedClass = await classroomRepository.regenerateJoinCode(classroom.id);
+
+  res.json({
+    success: true,
+    data: { class: updatedClass.toApiResponse({ includeJoinCode: true }) },
+    educational: {
+      note: 'The previous join code no longer works; students already enrolled stay enrolled'
+    }
+  });
+}));
+
+/**
+ * Educational Route: GET /api/classes/:id/members
+ *
+ * The class roster (class teacher or admin)
+ */
+router.get('/:id/members', asyncErrorHandler(async (req, res) => {
+  const classroom = await loadManagedClass(req);
+
+  const members = await classroomRepository.listMembers(classroom.id);
+
+  res.json({
+    success: true,
+    data: {
+      class_id: classroom.id,
+      members: members.map(({ user, enrolled_at }) => ({
+        id: user.id,
+        username: user.username,
+        display_name: user.display_name,
+        role: user.role,
+        points: user.points,
+        level: user.level,
+        enrolled_at
+      })),
+      total_count: members.length
+    }
+  });
+}));
+
+/**
+ * Educational Route: POST /api/classes/:id/members
+ *
+ * Enrolls a student by user_id or username (class teacher or admin)
+ */
+router.post('/:id/members', asyncErrorHandler(async (req, res) => {
+  const classroom = await loadManagedClass(req);
+  const { user_id, username } = validate(Classroom.enrollSchema, req.body);
+
+  const student = user_id
+    ? await userRepository.findById(user_id)
+    : (await userRepository.findCredentials(username) || {}).user;
+  if (!student) {
+    throw createError.notFound(`User ${user_id || username} not found`);
+  }
+
+  const newlyEnrolled = await classroomRepository.enroll(classroom.id, student.id);
+
+  res.status(newlyEnrolled ? 201 : 200).json({
+    success: true,
+    data: {
+      class_id: classroom.id,
+      user_id: student.id,
+      already_enrolled: !newlyEnrolled
+    }
+  });
+}));
+
+/**
+ * Educational Route: DELETE /api/classes/:id/members/:userId
+ *
+ * Removes a student from the class. Teachers and admins can remove anyone;
+ * students can remove themselves (leave the class).
+ */
+router.delete('/:id/members/:userId', asyncErrorHandler(async (req, res) => {
+  const userId = parseId(req.params.userId, 'User');
+  const classroom = userId === req.user.id
+    ? await loadClass(req.params.id)
+    : await loadManagedClass(req);
+
+  if (!await classroomRepository.unenroll(classroom.id, userId)) {
+    throw createError.notFound(`User ${userId} is not enrolled in this class`);
+  }
+
+  res.json({
+    success: true,
+    data: { message: `User ${userId} removed from "${classroom.name}"` }
+  });
+}));
+
+/**
+ * Educational Route: GET /api/classes/:id/stats
+ *
+ * Scan and points totals for the class and each student, from scan_sessions
+ * Query parameters: from, to (ISO 8601, inclusive) to grade a single activity
+ * Learn about: reporting queries, LEFT JOIN, GROUP BY
+ */
+router.get('/:id/stats', asyncErrorHandler(async (req, res) => {
+  const classroom = await loadManagedClass(req);
+  const { from, to } = validate(Classroom.statsSchema, req.query);
+
+  // Educational Note: A bare date like 2024-05-01 should include that whole day
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+    to.setUTCHours(23, 59, 59, 999);
+  }
+  if (from && to && from > to) {
+    throw createError.badRequest('The "from" date must be before the "to" date');
+  }
+
+  const filters = {
+    from: from ? from.toISOString() : null,
+    to: to ? to.toISOString() : null
+  };
+  const stats = await classroomRepository.getStatistics(classroom.id, filters);
+
+  res.json({
+    success: true,
+    data: {
+      class: classroom.toApiResponse(),
+      filters,
+      ...stats
+    },
+    educational: {
+      note: 'Only scans made while logged in count towards a student\'s class totals',
+      concept: 'Aggregating rows with GROUP BY'
+    }
+  });
+}));
+
+// Educational Export: Make router available to main application
+module.exports = router;
@@ -17,13 +17,19 @@ const express = require('express');
 const router = express.Router();
 
 // Educational Note: Import all route modules
+const authRoutes = require('./auth');
 const usersRoutes = require('./users');
+const classesRoutes = require('./classes');
+const leaderboardsRoutes = require('./leaderboards');
 const materialsRoutes = require('./materials');
 const scansRoutes = require('./scans');
 const locationsRoutes = require('./locations');
 const addressRoutes = require('./address');
 const scanRoutes = require('./scan');
 
+// Educational Note: The AI service reports its provider and circuit breaker for /health
+const aiService = require('../../services/aiService');
+
 /**
  * Educational Middleware: API Documentation Root
  * 
@@ -48,6 +54,13 @@ router.get('/', (req, res) => {
     },
     
     endpoints: {
+      auth: {
+        base_path: '/api/auth',
+        description: 'Login, logout and current-user lookup with signed tokens',
+        features: ['Password login', 'Bearer tokens', 'Session revocation'],
+        educational_focus: 'Authentication, password hashing and web security'
+      },
+      
       users: {
         base_path: '/api/users',
         description: 'User profiles, progress tracking, and educational achievements',
@@ -55,6 +68,20 @@ router.get('/', (req, res) => {
         educational_focus: 'User experience design and gamification patterns'
       },
       
+      classes: {
+        base_path: '/api/classes',
+        description: 'Classes, join codes, rosters and class scan reports',
+        features: ['Join codes', 'Enrollment', 'Class statistics'],
+        educational_focus: 'Many-to-many relationships and aggregate queries'
+      },
+      
+      leaderboards: {
+        base_path: '/api/leaderboards',
+        description: 'All-time, weekly and monthly rankings of addresses, students and classes',
+        features: ['Time windows', 'Tie-breaking', 'Cursor pagination'],
+        educational_focus: 'Aggregate queries, window functions and keyset pagination'
+      },
+      
       materials: {
         base_path: '/api/materials',
         description: 'Recycling materials database with educational content',
@@ -86,13 +113,13 @@ router.get('/', (req, res) => {
       scan: {
         base_path: '/api/scan',
         description: 'AI-powered image analysis and recycling symbol identification',
-        features: ['Image upload', 'AI material recognition', 'Points calculation', 'Educational feedback'],
+        features: ['Image upload', 'AI material recognition', 'Points calculation', 'Duplicate upload detection', 'Batch uploads', 'Background jobs with live progress', 'Local or S3 image storage with signed links', 'Upload retention and storage quotas', 'Versioned prompts with A/B testing', 'AI usage, cost and daily budgets', 'Educational feedback'],
         educational_focus: 'AI integration, file handling, and machine learning applications'
       }
     },
     
     technical_features: {
-      authentication: 'Educational mode - simplified or token-based',
+      authentication: 'Signed bearer tokens from POST /api/auth/login (required for changing points and deleting accounts)',
       file_uploads: 'Image processing for material identification',
       ai_integration: 'Azure OpenAI for visual recognition',
       database: 'SQLite for educational simplicity',
@@ -124,6 +151,8 @@ router.get('/', (req, res) => {
       health_check: '/health',
       api_documentation: '/api',
       user_endpoints: '/api/users',
+      class_endpoints: '/api/classes',
+      leaderboards: '/api/leaderboards',
       materials_catalog: '/api/materials',
       scan_functionality: '/api/scans',
       location_directory: '/api/locations',
@@ -203,10 +232,13 @@ router.get('/stats', (req, res) => {
  * Learn about: API monitoring, system status, service dependencies
  */
 router.get('/health', (req, res) => {
-  // TODO: Add actual health checks for database, AI service, etc.
+  // TODO: Add actual health checks for database, file storage, etc.
+  const aiHealth = aiService.getHealth();
   
   const healthData = {
-    status: 'healthy',
+    // Educational Note: Scans still work without the AI (cached answers, educational
+    // feedback), so an open circuit makes the API degraded rather than down
+    status: aiHealth.status === 'unavailable' ? 'degraded' : 'healthy',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     
@@ -216,11 +248,7 @@ router.get('/health', (req, res) => {
         response_time_ms: 12,
         message: 'SQLite database responding normally'
       },
-      ai_service: {
-        status: 'healthy', 
-        response_time_ms: 234,
-        message: 'Azure OpenAI service available'
-      },
+      ai_service: aiHealth,
       file_storage: {
         status: 'healthy',
         message: 'Upload directory accessible'
@@ -254,10 +282,22 @@ router.get('/health', (req, res) => {
 
 console.log('🛤️ Mounting API route modules...');
 
+// Mount authentication routes
+router.use('/auth', authRoutes);
+console.log('   ✅ Auth routes mounted at /api/auth');
+
 // Mount user-related routes
 router.use('/users', usersRoutes);
 console.log('   ✅ Users routes mounted at /api/users');
 
+// Mount class and roster routes
+router.use('/classes', classesRoutes);
+console.log('   ✅ Classes routes mounted at /api/classes');
+
+// Mount leaderboard routes
+router.use('/leaderboards', leaderboardsRoutes);
+console.log('   ✅ Leaderboards routes mounted at /api/leaderboards');
+
 // Mount materials database routes
 router.use('/materials', materialsRoutes);
 console.log('   ✅ Materials routes mounted at /api/materials');
@@ -0,0 +1,136 @@
+/**
+ * Leaderboard Routes for Rescan Educational Project
+ * ================================================
+ *
+ * Educational Focus: Learn how rankings are computed from raw activity data
+ * and how to page through a list that keeps changing.
+ *
+ * Key Learning Concepts:
+ * - Query parameter validation with Joi
+ * - Cursor pagination (next_cursor) instead of page numbers
+ * - Privacy: showing a street without showing a house
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+
+// Educational Note: Import middleware and services
+const { asyncErrorHandler, createError } = require('../../middleware/errorHandler');
+const { optionalAuth } = require('../../middleware/auth');
+const dbService = require('../../services/dbService');
+const leaderboardService = require('../../services/leaderboardService');
+
+const querySchema = Joi.object({
+  window: Joi.string().valid(...leaderboardService.windows).default('all_time'),
+  limit: Joi.number().integer().min(1).max(50).default(10),
+  cursor: Joi.string().max(500),
+  address: Joi.string().trim().max(255),
+  class_id: Joi.number().integer().min(1)
+});
+
+/**
+ * Educational Helper: Find the Entry to Highlight
+ *
+ * - address board: the address passed as ?address=
+ * - user board: the logged-in user
+ * - class board: the class passed as ?class_id=
+ *
+ * @returns {string|number|null} Lookup key, or null when there is nothing to highlight
+ */
+function getHighlightKey(scope, query, user) {
+  if (scope === 'address' && query.address) {
+    return dbService.normalizeAddress(query.address);
+  }
+  if (scope === 'user' && user) {
+    return user.id;
+  }
+  if (scope === 'class' && query.class_id) {
+    return query.class_id;
+  }
+  return null;
+}
+
+/**
+ * Educational Route: GET /api/leaderboards
+ *
+ * Lists the available boards
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      scopes: leaderboardService.scopes,
+      windows: leaderboardService.windows,
+      example: '/api/leaderboards/address?window=week&limit=10'
+    },
+    educational: {
+      note: 'Every board is calculated from scan history, so it is always up to date'
+    }
+  });
+});
+
+/**
+ * Educational Route: GET /api/leaderboards/:scope
+ *
+ * Ranked entries for address, user or class boards
+ *
+ * Query parameters (all optional):
+ * - window: all_time (default), week or month
+ * - limit: entries per page (default 10, max 50)
+ * - cursor: next_cursor from the previous response
+ * - address / class_id: also return the rank of this address or class as "me"
+ *   (the user board highlights the logged-in user)
+ */
+router.get('/:scope', optionalAuth, asyncErrorHandler(async (req, res) => {
+  const { scope } = req.params;
+  if (!leaderboardService.scopes.includes(scope)) {
+    throw createError.notFound(`Unknown leaderboard "${scope}" - try one of: ${leaderboardService.scopes.join(', ')}`);
+  }
+
+  const { error, value: query } = querySchema.validate(req.query, { abortEarly: false });
+  if (error) {
+    throw createError.badRequest(`Validation failed: ${error.details.map(detail => detail.message).join(', ')}`);
+  }
+
+  let page;
+  try {
+    page = await leaderboardService.getLeaderboard({
+      scope,
+      window: query.window,
+      limit: query.limit,
+      cursor: query.cursor
+    });
+  } catch (pageError) {
+    if (pageError.code === 'INVALID_CURSOR') {
+      throw createError.badRequest(pageError.message);
+    }
+    throw pageError;
+  }
+
+  const highlightKey = getHighlightKey(scope, query, req.user);
+  const me = highlightKey !== null
+    ? await leaderboardService.getEntryRank(scope, query.window, highlightKey)
+    : null;
+
+  res.json({
+    success: true,
+    data: {
+      scope,
+      window: query.window,
+      window_start: page.window_start,
+      entries: page.entries,
+      next_cursor: page.next_cursor,
+      me
+    },
+    educational: {
+      note: 'Ties share a rank; among equal points, whoever got there first is listed first',
+      pagination: page.next_cursor
+        ? 'Pass next_cursor as ?cursor= to load the next page'
+        : 'This is the last page'
+    }
+  });
+}));
+
+// Educational Export: Make router available to main application
+module.exports = router;
@@ -18,6 +18,11 @@ const router = express.Router();
 
 // Educational Note: Import middleware and utilities
 const { asyncErrorHandler, createError } = require('../../middleware/errorHandler');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const dbService = require('../../services/dbService');
+const { LocationRepository } = require('../../models/location');
+
+const locationRepository = new LocationRepository(dbService);
 
 /**
  * Educational Function: Calculate distance between two points
@@ -245,6 +250,25 @@ router.get('/', asyncErrorHandler(async (req, res) => {
   });
 }));
 
+/**
+ * Educational Route: GET /api/locations/pending
+ * 
+ * Lists community submissions waiting for verification
+ * Requires the admin role
+ * Learn about: moderation queues
+ */
+router.get('/pending', authenticate, requireRole('admin'), asyncErrorHandler(async (req, res) => {
+  const locations = await locationRepository.listUnverified();
+  
+  res.json({
+    success: true,
+    data: { locations, total_count: locations.length },
+    educational: {
+      note: 'Review each submission, then PATCH /api/locations/{id}/verify with {"is_verified": true}'
+    }
+  });
+}));
+
 /**
  * Educational Route: GET /api/locations/:id
  * 
@@ -409,9 +433,10 @@ router.get('/:id', asyncErrorHandler(async (req, res) => {
  * Educational Route: POST /api/locations
  * 
  * Demonstrates community location submission for educational participation
+ * Requires authentication; the submitter is recorded from the token
  * Learn about: user-generated content, data validation, community engagement
  */
-router.post('/', asyncErrorHandler(async (req, res) => {
+router.post('/', authenticate, asyncErrorHandler(async (req, res) => {
   const {
     name,
     type,
@@ -423,8 +448,7 @@ router.post('/', asyncErrorHandler(async (req, res) => {
     website_url,
     accepted_materials = [],
     hours_of_operation,
-    special_notes,
-    submitted_by_user_id
+    special_notes
   } = req.body;
   
   console.log(`📝 New location submission: ${name} in ${city}, ${state}`);
@@ -459,34 +483,22 @@ router.post('/', asyncErrorHandler(async (req, res) => {
   
   // TODO: Validate address using geocoding service
   // TODO: Check for duplicate locations
-  // TODO: Insert into database with is_verified = false
   
-  // Educational Note: Mock successful submission
-  const newLocation = {
-    id: Date.now(), // Mock ID generation
-    name,
+  // Educational Note: Store the submission - it starts unverified (is_verified = 0)
+  const newLocation = await locationRepository.create({
+    name: name.trim(),
     type,
-    street_address: street_address || null,
+    street_address,
     city,
     state,
-    zip_code: zip_code || null,
-    country: 'USA',
-    phone: phone || null,
-    website_url: website_url || null,
-    hours_of_operation: hours_of_operation || null,
+    zip_code,
+    phone,
+    website_url,
+    hours_of_operation,
     accepted_materials,
-    special_notes: special_notes || null,
-    submitted_by_user_id: submitted_by_user_id || null,
-    
-    // Status flags
-    is_active: true,
-    is_verified: false, // All submissions start unverified
-    verification_date: null,
-    
-    // Timestamps
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString()
-  };
+    special_notes,
+    submitted_by_user_id: req.user.id
+  });
   
   res.status(201).json({
     success: true,
@@ -507,6 +519,40 @@ router.post('/', asyncErrorHandler(async (req, res) => {
   });
 }));
 
+/**
+ * Educational Route: PATCH /api/locations/:id/verify
+ * 
+ * Approves (or withdraws approval of) a community submission
+ * Requires the admin role
+ * Learn about: moderation, recording who made a decision and when
+ */
+router.patch('/:id/verify', authenticate, requireRole('admin'), asyncErrorHandler(async (req, res) => {
+  const locationId = parseInt(req.params.id);
+  if (isNaN(locationId)) {
+    throw createError.badRequest('Location ID must be a valid number');
+  }
+  
+  const { is_verified = true } = req.body;
+  if (typeof is_verified !== 'boolean') {
+    throw createError.badRequest('is_verified must be true or false');
+  }
+  
+  const location = await locationRepository.setVerified(locationId, is_verified, req.user.id);
+  if (!location) {
+    throw createError.notFound(`Location with ID ${locationId} not found`);
+  }
+  
+  console.log(`✅ Location ${locationId} ${is_verified ? 'verified' : 'unverified'} by ${req.user.username}`);
+  
+  res.json({
+    success: true,
+    data: { location },
+    educational: {
+      note: 'Verified locations can be trusted by every student using the directory'
+    }
+  });
+}));
+
 /**
  * Educational Route: GET /api/locations/search/nearby
  * 
@@ -18,6 +18,45 @@ const aiService = require('../../services/aiService');
 // Import database service for persisting scan results and points
 const dbService = require('../../services/dbService');
 
+// Import ScanSession model for recording every analysis
+const { ScanSession, ScanSessionRepository } = require('../../models/scanSession');
+const scanSessionRepository = new ScanSessionRepository(dbService);
+
+// Import achievement engine - badges are checked after every logged-in scan
+const achievementService = require('../../services/achievementService');
+
+// Import duplicate detection - repeated photos earn no points
+const duplicateDetectionService = require('../../services/duplicateDetectionService');
+
+// Import the background job queue - /jobs uploads are analyzed by its workers
+const scanJobService = require('../../services/scanJobService');
+
+// Import format detection - uploads are checked by content, and HEIC is converted to JPEG
+const imageFormatService = require('../../services/imageFormatService');
+
+// Import retention - saves debug copies and reports storage use
+const retentionService = require('../../services/retentionService');
+
+// Import blob storage - analyzed images are moved to the local folder or an S3 bucket
+const storageService = require('../../services/storageService');
+
+// Import AI outcome log - how often model replies break the response schema
+const aiOutcomeService = require('../../services/aiOutcomeService');
+
+// Import prompt versions - which prompt graded each scan, and the A/B split
+const promptService = require('../../services/promptService');
+
+// Import AI usage - tokens and estimated cost per day, class and address
+const aiUsageService = require('../../services/aiUsageService');
+
+// Import auth middleware - scans are linked to the logged-in student when a token is sent
+const { authenticate, optionalAuth, requireRole } = require('../../middleware/auth');
+const { asyncErrorHandler, createError } = require('../../middleware/errorHandler');
+
+// Import classes - teachers review repeat uploads for their own students
+const { ClassroomRepository } = require('../../models/classroom');
+const classroomRepository = new ClassroomRepository(dbService);
+
 /**
  * Educational Configuration: Multer Storage Setup
  * 
@@ -28,8 +67,9 @@ const storage = multer.diskStorage({
   // Educational Note: Define where uploaded files are stored
   destination: async function (req, file, cb) {
     try {
-      // Educational Note: Create uploads directory if it doesn't exist
-      const uploadDir = path.join(__dirname, '../../../data/uploads');
+      // Educational Note: Uploads wait in the incoming folder until they are analyzed,
+      // then storageService moves them to the configured blob store
+      const uploadDir = storageService.incomingDir;
       await fs.mkdir(uploadDir, { recursive: true });
       
       logger.info('Upload directory prepared:', uploadDir);
@@ -57,33 +97,112 @@ const storage = multer.diskStorage({
 /**
  * Educational Configuration: File Filter for Security
  * 
- * Validates file types for educational security practices
+ * A quick first check on the name and type the browser reports. The real
+ * check happens after the upload, when verifyUploadedImages reads the file's
+ * magic bytes - the browser's MIME type and the extension are only hints.
  * Learn about: input validation, security filtering, MIME type checking
  */
 const fileFilter = (req, file, cb) => {
   logger.info(`Validating uploaded file: ${file.originalname} (${file.mimetype})`);
   
-  // Educational Note: Define acceptable image MIME types
+  // Educational Note: Define acceptable image MIME types (HEIC/HEIF is the iPhone camera default)
   const allowedTypes = [
     'image/jpeg',
     'image/jpg', 
     'image/png',
-    'image/webp'
+    'image/webp',
+    'image/heic',
+    'image/heif'
   ];
   
   // Educational Note: Check file extension as additional validation
-  const allowedExtensions = ['.jpg', '.jpeg', '.png', '.webp'];
+  const allowedExtensions = ['.jpg', '.jpeg', '.png', '.webp', '.heic', '.heif'];
   const fileExtension = path.extname(file.originalname).toLowerCase();
   
-  if (allowedTypes.includes(file.mimetype) && allowedExtensions.includes(fileExtension)) {
+  // Educational Note: Either hint is enough here - some browsers send HEIC photos
+  // as application/octet-stream, and the content check below has the final say
+  if (allowedTypes.includes(file.mimetype) || allowedExtensions.includes(fileExtension)) {
     logger.info(`File validation passed: ${file.originalname}`);
     cb(null, true);
   } else {
     logger.warn(`File validation failed: ${file.originalname} - ${file.mimetype}`);
-    cb(new Error(`Invalid file type. Please upload JPG, PNG, or WebP images only. Received: ${file.mimetype}`), false);
+    cb(new Error(`Invalid file type. Please upload JPG, PNG, WebP or HEIC images only. Received: ${file.mimetype}`), false);
   }
 };
 
+/**
+ * Educational Helper: Check One Upload by Its Content
+ * 
+ * @returns {Promise<{file: Object}|{error: string, message: string}>} The checked
+ *   (and possibly converted) file, or why it was refused. Refused files are deleted.
+ */
+async function verifyImageFile(file) {
+  try {
+    const verified = await imageFormatService.normalizeUpload(file);
+    if (verified) {
+      return { file: verified };
+    }
+    await removeUpload(file.path);
+    return {
+      error: 'INVALID_FILE_TYPE',
+      message: `Invalid file type. ${file.originalname} is not a JPG, PNG, WebP or HEIC image.`
+    };
+  } catch (conversionError) {
+    logger.error(`Failed to convert ${file.originalname}:`, conversionError);
+    await removeUpload(file.path);
+    return {
+      error: 'CONVERSION_FAILED',
+      message: `${file.originalname} could not be converted. Please try exporting it as a JPG.`
+    };
+  }
+}
+
+/**
+ * Educational Middleware: Verify Uploaded Images
+ * 
+ * Runs after multer. Reads each file's magic bytes, corrects its MIME type and
+ * converts HEIC/HEIF to JPEG. A single upload that fails the check is answered
+ * with 400; in a batch the file is skipped and listed in req.rejectedFiles.
+ * Learn about: content sniffing, never trusting client-supplied metadata
+ */
+async function verifyUploadedImages(req, res, next) {
+  try {
+    if (req.file) {
+      const result = await verifyImageFile(req.file);
+      if (result.error) {
+        req.file = undefined;
+        return res.status(400).json({
+          error: result.error,
+          message: result.message,
+          educational: {
+            concept: 'File Type Validation',
+            explanation: 'The server looks at the first bytes of the file (its "magic number") instead of trusting the file name'
+          }
+        });
+      }
+      req.file = result.file;
+    }
+
+    if (req.files) {
+      const accepted = [];
+      for (const file of req.files) {
+        const result = await verifyImageFile(file);
+        if (result.error) {
+          req.rejectedFiles = req.rejectedFiles || [];
+          req.rejectedFiles.push({ filename: file.originalname, error: result.error, message: result.message });
+        } else {
+          accepted.push(result.file);
+        }
+      }
+      req.files = accepted;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Educational Configuration: Multer Upload Configuration
  * 
@@ -100,6 +219,67 @@ const upload = multer({
   }
 });
 
+/**
+ * Educational Configuration: Batch Uploads
+ * 
+ * BATCH_MAX_FILES caps the images per request; MAX_CONCURRENT_REQUESTS caps
+ * how many of them are sent to the AI provider at the same time
+ */
+const BATCH_MAX_FILES = parseInt(process.env.BATCH_MAX_FILES, 10) || 10;
+const BATCH_CONCURRENCY = parseInt(process.env.MAX_CONCURRENT_REQUESTS, 10) || 3;
+
+/**
+ * Educational Note: In a batch, a file of the wrong type is skipped and reported
+ * instead of failing every other file in the request
+ */
+const batchFileFilter = (req, file, cb) => {
+  fileFilter(req, file, (error, accepted) => {
+    if (error) {
+      req.rejectedFiles = req.rejectedFiles || [];
+      req.rejectedFiles.push({ filename: file.originalname, error: 'INVALID_FILE_TYPE', message: error.message });
+      return cb(null, false);
+    }
+    cb(null, accepted);
+  });
+};
+
+const batchUpload = multer({
+  storage: storage,
+  fileFilter: batchFileFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024,
+    files: BATCH_MAX_FILES,
+    fields: 10
+  }
+});
+
+/**
+ * Educational Helper: Run Async Work With a Concurrency Limit
+ * 
+ * Starts `limit` workers; each takes the next item until none are left.
+ * Results keep the same order as the items.
+ * Learn about: worker pools, why Promise.all on 50 AI calls is a bad idea
+ * 
+ * @param {Array} items - Work to do
+ * @param {number} limit - Maximum tasks running at once
+ * @param {Function} task - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
 /**
  * Educational Error Handler: Multer Errors
  * 
@@ -118,13 +298,17 @@ function handleMulterError(err, req, res, next) {
         message += 'File is too large. Please choose an image smaller than 10MB.';
         break;
       case 'LIMIT_FILE_COUNT':
-        message += 'Too many files. Please upload only one image.';
+        message += req.path === '/batch'
+          ? `Too many files. Please upload at most ${BATCH_MAX_FILES} images at once.`
+          : 'Too many files. Please upload only one image.';
         break;
       case 'LIMIT_FIELD_COUNT':
         message += 'Too many form fields. Please use the standard form.';
         break;
       case 'LIMIT_UNEXPECTED_FILE':
-        message += 'Unexpected file field. Please use the "image" field.';
+        message += req.path === '/batch'
+          ? `Unexpected file field or too many files. Please use the "images" field for up to ${BATCH_MAX_FILES} images.`
+          : 'Unexpected file field. Please use the "image" field.';
         break;
       default:
         message += 'Please check your file and try again.';
@@ -156,6 +340,381 @@ function handleMulterError(err, req, res, next) {
   next(err);
 }
 
+/**
+ * Educational Helper: Detect Device Type
+ * 
+ * Rough classification from the User-Agent header for scan analytics
+ * Learn about: request headers, pattern matching
+ */
+function detectDeviceType(userAgent = '') {
+  if (/ipad|tablet/i.test(userAgent)) {
+    return 'tablet';
+  }
+  if (/mobile|android|iphone/i.test(userAgent)) {
+    return 'mobile';
+  }
+  return userAgent ? 'desktop' : 'unknown';
+}
+
+/**
+ * Educational Helper: Scan Context From a Request
+ * 
+ * Everything the analysis pipeline needs to know about who uploaded a file
+ * and from where. It is plain data, so a background job can store it and
+ * process the upload long after the request has ended.
+ * 
+ * @returns {{user_id: number|null, address: string|null, scan_method: string, user_agent: string}}
+ */
+function buildScanContext(req) {
+  return {
+    user_id: req.user ? req.user.id : null,
+    address: req.body.address || req.body.address_id || null,
+    scan_method: ['upload', 'camera', 'manual'].includes(req.body.scan_method) ? req.body.scan_method : 'upload',
+    user_agent: req.get('user-agent') || ''
+  };
+}
+
+/**
+ * Educational Helper: Hash the Uploaded Image
+ * 
+ * Hashes let us recognise the same photo being uploaded again. Like the debug
+ * copy, a failure here never fails the upload.
+ * 
+ * @returns {Promise<{content_hash?: string, perceptual_hash?: string|null}>}
+ */
+async function hashUpload(filePath) {
+  try {
+    return await duplicateDetectionService.computeHashes(filePath);
+  } catch (hashError) {
+    logger.warn('Failed to hash upload', { error: hashError.message });
+    return {};
+  }
+}
+
+/**
+ * Educational Helper: Move the Analyzed Image to Blob Storage
+ * 
+ * Like hashing, a storage failure never fails the upload - the scan is still
+ * recorded, it just has no image to show later.
+ * 
+ * @returns {Promise<{storage_backend: string, storage_key: string}|null>}
+ */
+async function storeUpload(file) {
+  try {
+    return await storageService.saveUpload(file);
+  } catch (storageError) {
+    logger.error(`Failed to store ${file.originalname}:`, storageError);
+    return null;
+  }
+}
+
+/**
+ * Educational Helper: Record Scan Session
+ * 
+ * Saves the upload and its AI result to scan_sessions and adds the points
+ * to the address in the same transaction. Repeats of a recent scan are
+ * recorded with zero points.
+ * Learn about: audit trails, separating persistence from HTTP handling
+ * 
+ * @returns {Promise<ScanSession>} The saved session (its session_id is returned to the client)
+ * @throws {Error} When the session could not be saved - no points are awarded then
+ */
+async function recordScanSession(context, file, aiResult, processingTimeMs, imageHashes = {}) {
+  const stored = await storeUpload(file);
+  const usage = aiResult.usage || {};
+  const scanSession = new ScanSession({
+    address: context.address,
+    user_id: context.user_id,
+    material_type: aiResult.material_type || 'unknown',
+    ric_code: aiResult.ric_code || null,
+    is_recyclable: Boolean(aiResult.recyclable),
+    confidence_score: (aiResult.confidence || 0) / 100,
+    description: aiResult.description || null,
+    items: (aiResult.items || []).map(item => ({
+      index: item.index,
+      material_type: item.material_type,
+      ric_code: item.ric_code,
+      confidence: item.confidence,
+      recyclable: item.recyclable,
+      points_earned: item.points,
+      description: item.description,
+      bounding_box: item.bounding_box
+    })),
+    points_awarded: aiResult.points || 0,
+    original_filename: file.originalname,
+    // Educational Note: The key, not a path on this server - any server can find it in the store
+    file_path: stored ? stored.storage_key : file.path,
+    storage_backend: stored ? stored.storage_backend : null,
+    storage_key: stored ? stored.storage_key : null,
+    file_size_bytes: file.size,
+    file_mime_type: file.mimetype,
+    // Educational Note: Size of the upright photo, before it was shrunk for the AI
+    image_dimensions: aiResult.image ? `${aiResult.image.original_width}x${aiResult.image.original_height}` : null,
+    content_hash: imageHashes.content_hash,
+    perceptual_hash: imageHashes.perceptual_hash,
+    image_analysis_result: aiResult,
+    prompt_version: aiResult.ai_analysis ? aiResult.ai_analysis.prompt_version : null,
+    processing_time_ms: processingTimeMs,
+    // Educational Note: Counted towards the daily budget (see aiUsageService.js)
+    ai_provider: usage.provider,
+    ai_model: usage.model,
+    ai_requests: usage.requests,
+    ai_prompt_tokens: usage.prompt_tokens,
+    ai_completion_tokens: usage.completion_tokens,
+    ai_latency_ms: usage.latency_ms,
+    ai_cost_usd: usage.estimated_cost_usd,
+    educational_content: aiResult.educational || null,
+    scan_method: context.scan_method,
+    device_type: detectDeviceType(context.user_agent)
+  });
+
+  // Educational Note: No catch here - an unsaved scan must not be reported
+  // as if its points had been awarded
+  await scanSessionRepository.createScanSession(scanSession);
+  logger.info(`Scan session ${scanSession.session_id} saved (${scanSession.getTotalPoints()} points)`);
+
+  return scanSession;
+}
+
+/**
+ * Educational Helper: Describe a Repeat Upload for the Response
+ * 
+ * @returns {Object|null} null when the scan is not a duplicate
+ */
+function describeDuplicate(scanSession) {
+  if (!scanSession.isDuplicate()) {
+    return null;
+  }
+  return {
+    duplicate_of: scanSession.duplicate_of,
+    reason: scanSession.duplicate_reason,
+    message: scanSession.duplicate_reason === 'exact'
+      ? 'This exact photo was already scanned recently, so it earns no points. Try scanning a different item!'
+      : 'This looks like a photo that was already scanned recently, so it earns no points. Try scanning a different item!'
+  };
+}
+
+/**
+ * Educational Helper: Check Achievements After a Scan
+ * 
+ * Only logged-in scans can earn badges. A failure here never fails the
+ * upload - the scan itself is already saved.
+ * 
+ * @returns {Promise<Object[]>} Badges unlocked by this scan
+ */
+async function checkAchievements(context, scanSession) {
+  if (!context.user_id) {
+    return [];
+  }
+
+  try {
+    return await achievementService.evaluate(context.user_id, scanSession.session_id);
+  } catch (achievementError) {
+    logger.error('Achievement check failed:', achievementError);
+    return [];
+  }
+}
+
+/**
+ * Educational Helper: Analyze One Uploaded File
+ * 
+ * The whole pipeline for a single image: debug copy, fingerprint, AI analysis,
+ * scan session and achievements. Shared by /upload and /batch.
+ * 
+ * Educational Note: When the AI call fails the scan is still recorded (with no
+ * points) and the student gets general recycling tips instead
+ * 
+ * @param {Object} context - From buildScanContext (user, address, user-agent)
+ * @param {Object} file - Multer file
+ * @param {Function} [onStage] - Called as (stage, progress) when each step starts
+ * @returns {Promise<{message: string, data: Object}>} Message and data for the response
+ */
+async function analyzeUpload(context, file, onStage = () => {}) {
+  logger.info(`Processing upload - File: ${file.originalname}, Size: ${file.size} bytes`);
+
+  // Educational Note: Save a debug copy to scans-uploads/ (only when SAVE_DEBUG_COPIES=true)
+  await retentionService.saveDebugCopy(file, context.address);
+
+  logger.info('Processing scan:', { address: context.address, file: file.originalname });
+  
+  // Educational Note: Fingerprint the image so repeat uploads can be spotted
+  await onStage('fingerprinting', 15);
+  const imageHashes = await hashUpload(file.path);
+  
+  // Educational Note: Process image with AI service, timing it for the session record
+  await onStage('analyzing', 30);
+  const analysisStartedAt = Date.now();
+  
+  // Educational Note: analyzeRecyclingImage does not throw - when no analysis
+  // could be made it returns AI_ANALYSIS_FAILED
+  const aiResult = await aiService.analyzeRecyclingImage(file.path, file.originalname);
+
+  if (aiResult.error === 'AI_ANALYSIS_FAILED') {
+    logger.warn('AI analysis failed, recording the scan without points', { file: file.originalname });
+
+    // Educational Note: Failed analyses are recorded too (as 'unknown', with no points) for auditing
+    await onStage('saving', 80);
+    const scanSession = await recordScanSession(context, file, {
+      ...aiResult,
+      description: 'AI service currently unavailable'
+    }, Date.now() - analysisStartedAt, imageHashes);
+
+    return {
+      message: 'AI analysis temporarily unavailable, but here is educational feedback!',
+      data: {
+        session_id: scanSession.session_id,
+        filename: file.originalname,
+        from_cache: false,
+        analysis: {
+          material_type: 'unknown',
+          ric_code: null,
+          confidence: 0,
+          points_earned: 0,
+          item_count: 0,
+          items: [],
+          recyclable: false,
+          description: 'AI service currently unavailable. Great job participating in environmental learning!',
+          confidence_analysis: null
+        },
+        educational: {
+          recycling_tips: [
+            'Look for recycling symbols on product packaging',
+            'Learn about the different types of recyclable materials',
+            'Check your local recycling guidelines for proper sorting',
+            'Remember that not all plastics are recyclable'
+          ],
+          environmental_impact: {
+            recycling_benefit: 'Every item you learn about contributes to environmental awareness',
+            energy_savings: 'Recycling saves significant energy compared to raw material processing',
+            co2_reduction: 'Proper recycling reduces greenhouse gas emissions'
+          }
+        },
+        debug: aiResult.debug || null
+      }
+    };
+  }
+
+  logger.info('AI analysis completed:', aiResult);
+
+  // Educational Note: Persist the session and award points in one transaction
+  await onStage('saving', 80);
+  const scanSession = await recordScanSession(context, file, aiResult, Date.now() - analysisStartedAt, imageHashes);
+  await onStage('achievements', 90);
+  const achievementsUnlocked = await checkAchievements(context, scanSession);
+  const duplicate = describeDuplicate(scanSession);
+
+  return {
+    message: duplicate
+      ? 'Image analyzed - but this photo was already scanned recently, so no points this time.'
+      : 'Image analyzed successfully! Great job learning about recycling!',
+    data: {
+      session_id: scanSession.session_id,
+      filename: file.originalname,
+      // Educational Note: True when this exact photo was analyzed before and the AI wasn't asked again
+      from_cache: Boolean(aiResult.cache && aiResult.cache.hit),
+      analysis: {
+        material_type: aiResult.material_type || 'unknown',
+        ric_code: aiResult.ric_code || null,
+        confidence: aiResult.confidence || 0,
+        points_earned: scanSession.getTotalPoints(),
+        item_count: scanSession.items.length,
+        items: scanSession.items,
+        recyclable: aiResult.recyclable || false,
+        description: aiResult.description || 'Analysis complete',
+        reasoning: aiResult.reasoning || null,
+        confidence_analysis: aiResult.confidence_analysis || null,
+        prompt_version: scanSession.prompt_version
+      },
+      duplicate,
+      achievements_unlocked: achievementsUnlocked,
+      educational: aiResult.educational || null,
+      debug: aiResult.debug || null
+    }
+  };
+}
+
+/**
+ * Educational Helper: Remove an Uploaded File After an Error
+ */
+async function removeUpload(filePath) {
+  try {
+    await fs.unlink(filePath);
+    logger.info('Cleaned up uploaded file after error');
+  } catch (cleanupError) {
+    logger.error('Failed to clean up file:', cleanupError);
+  }
+}
+
+/**
+ * Educational Helper: Process a Queued Scan Job
+ * 
+ * Registered with scanJobService, whose workers call it for each queued
+ * upload. Stage changes are reported back so progress can be streamed.
+ * 
+ * @param {Object} job - Job from scanJobService (file and context)
+ * @param {Function} report - (stage, progress) => Promise
+ * @returns {Promise<{message: string, data: Object}>} Stored as the job result
+ */
+async function processScanJob(job, report) {
+  try {
+    await fs.access(job.file.path);
+  } catch {
+    throw new Error('The uploaded image is no longer available. Please upload it again.');
+  }
+  return analyzeUpload(job.context, job.file, report);
+}
+
+scanJobService.setProcessor(processScanJob);
+
+/**
+ * Educational Helper: Find a Job the Requester May See
+ * 
+ * Jobs uploaded without a token can be read by anyone who knows the (random)
+ * job ID. Jobs linked to a user are only visible to that user, teachers and admins.
+ * 
+ * @throws {AppError} 404 when the job does not exist or belongs to someone else
+ */
+async function findAccessibleJob(req) {
+  const job = await scanJobService.getJob(req.params.id);
+  const canSee = job && (
+    !job.user_id ||
+    (req.user && (req.user.id === job.user_id || req.user.hasRole('teacher', 'admin')))
+  );
+
+  // Educational Note: Someone else's job looks the same as a missing one
+  if (!canSee) {
+    throw createError.notFound('Scan job not found');
+  }
+  return job;
+}
+
+/**
+ * Educational Helper: Find a Job for Its Progress Stream
+ * 
+ * The browser's EventSource cannot send an Authorization header, so the stream
+ * also accepts the signed link from POST /api/scan/jobs (events_url). Without
+ * a signature the usual rules of findAccessibleJob apply.
+ * 
+ * @throws {AppError} 403 for an invalid or expired link, 404 when the job is not found
+ */
+async function findStreamableJob(req) {
+  if (req.query.signature === undefined) {
+    return findAccessibleJob(req);
+  }
+
+  if (!scanJobService.verifyEventsAccess(req.params.id, req.query.expires, req.query.signature)) {
+    throw createError.forbidden('This progress link is invalid or has expired');
+  }
+  const job = await scanJobService.getJob(req.params.id);
+  if (!job) {
+    throw createError.notFound('Scan job not found');
+  }
+  return job;
+}
+
+// Educational Note: A comment line every 15s stops proxies closing an idle stream
+const SSE_HEARTBEAT_MS = 15000;
+
 /**
  * POST /api/scan/upload
  * 
@@ -167,10 +726,10 @@ function handleMulterError(err, req, res, next) {
  * - Database transaction patterns
  * - Error handling in complex workflows
  * - Points calculation and validation
+ * 
+ * Authentication is optional: with a token the scan is linked to that user
  */
-router.post('/upload', upload.single('image'), handleMulterError, async (req, res) => {
-  let uploadedFilePath = null;
-  
+router.post('/upload', optionalAuth, upload.single('image'), handleMulterError, verifyUploadedImages, async (req, res) => {
   try {
     // Educational Note: Validate file upload
     if (!req.file) {
@@ -185,131 +744,17 @@ router.post('/upload', upload.single('image'), handleMulterError, async (req, re
       });
     }
 
-    uploadedFilePath = req.file.path;
-    logger.info(`Processing upload - File: ${req.file.originalname}, Size: ${req.file.size} bytes`);
-
-    // Educational Note: Save a debug copy to scans-uploads/ with address-timestamp naming
-    try {
-      const addressText = req.body.address || 'unknown-address';
-      // Sanitize address for use as filename (replace non-alphanumeric chars with underscores)
-      const sanitizedAddress = addressText.replace(/[^a-zA-Z0-9]/g, '_').replace(/_+/g, '_').substring(0, 100);
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const extension = path.extname(req.file.originalname).toLowerCase() || '.jpg';
-      const debugFilename = `${sanitizedAddress}-${timestamp}${extension}`;
-      
-      const debugDir = path.join(__dirname, '../../../../scans-uploads');
-      await fs.mkdir(debugDir, { recursive: true });
-      await fs.copyFile(uploadedFilePath, path.join(debugDir, debugFilename));
-      logger.info(`Debug copy saved: scans-uploads/${debugFilename}`);
-    } catch (debugError) {
-      logger.warn('Failed to save debug copy:', debugError.message);
-    }
-
-    // Educational Note: Get address ID from request (optional)
-    const addressId = req.body.address_id || null;
-    
-    // Educational Note: Generate a simple scan ID for tracking
-    const scanId = `scan_${Date.now()}_${Math.round(Math.random() * 1E9)}`;
-    
-    logger.info('Processing scan:', { scanId, addressId, file: req.file.originalname });
-    
-    // Educational Note: Process image with AI service
-    logger.info(`Starting AI analysis for scan ID: ${scanId}`);
-    
-    try {
-      const aiResult = await aiService.analyzeRecyclingImage(uploadedFilePath, req.file.originalname);
-      
-      logger.info('AI analysis completed:', aiResult);
-
-      // Persist scan results: create address if needed and update points
-      const address = req.body.address || null;
-      const pointsEarned = aiResult.points || 0;
-
-      if (address && pointsEarned > 0) {
-        try {
-          if (!dbService.db) {
-            await dbService.initialize();
-          }
-          // Create address if it doesn't exist (idempotent)
-          await dbService.createAddress(address);
-          // Add earned points to the address total
-          await dbService.updateAddressPoints(address, pointsEarned);
-          logger.info(`Saved ${pointsEarned} points for address: ${address}`);
-        } catch (dbError) {
-          logger.error('Failed to persist scan results:', dbError.message);
-          // Don't fail the request — still return the analysis to the user
-        }
-      }
+    const { message, data } = await analyzeUpload(buildScanContext(req), req.file);
 
-      // Educational Note: Return success response matching frontend expectations
-      res.json({
-        success: true,
-        message: 'Image analyzed successfully! Great job learning about recycling!',
-        data: {
-          session_id: scanId,
-          filename: req.file.originalname,
-          analysis: {
-            material_type: aiResult.material_type || 'unknown',
-            ric_code: aiResult.ric_code || null,
-            confidence: aiResult.confidence || 0,
-            points_earned: aiResult.points || 0,
-            recyclable: aiResult.recyclable || false,
-            description: aiResult.description || 'Analysis complete',
-            reasoning: aiResult.reasoning || null,
-            confidence_analysis: aiResult.confidence_analysis || null
-          },
-          educational: aiResult.educational || null,
-          debug: aiResult.debug || null
-        }
-      });
-      
-    } catch (aiError) {
-      logger.error('AI analysis failed:', aiError.message);
-      
-      // Educational Note: Return educational fallback response matching frontend expectations
-      res.json({
-        success: true,
-        message: 'AI analysis temporarily unavailable, but here is educational feedback!',
-        data: {
-          session_id: scanId,
-          filename: req.file.originalname,
-          analysis: {
-            material_type: 'unknown',
-            ric_code: null,
-            confidence: 0,
-            points_earned: 5,
-            recyclable: false,
-            description: 'AI service currently unavailable. Great job participating in environmental learning!',
-            confidence_analysis: null
-          },
-          educational: {
-            recycling_tips: [
-              'Look for recycling symbols on product packaging',
-              'Learn about the different types of recyclable materials',
-              'Check your local recycling guidelines for proper sorting',
-              'Remember that not all plastics are recyclable'
-            ],
-            environmental_impact: {
-              recycling_benefit: 'Every item you learn about contributes to environmental awareness',
-              energy_savings: 'Recycling saves significant energy compared to raw material processing',
-              co2_reduction: 'Proper recycling reduces greenhouse gas emissions'
-            }
-          }
-        }
-      });
-    }
+    // Educational Note: Return success response matching frontend expectations
+    res.json({ success: true, message, data });
     
   } catch (error) {
     logger.error('Upload processing error:', error.message);
     
     // Educational Note: Clean up uploaded file on error
-    if (uploadedFilePath) {
-      try {
-        await fs.unlink(uploadedFilePath);
-        logger.info('Cleaned up uploaded file after error');
-      } catch (cleanupError) {
-        logger.error('Failed to clean up file:', cleanupError.message);
-      }
+    if (req.file) {
+      await removeUpload(req.file.path);
     }
     
     res.status(500).json({
@@ -324,42 +769,309 @@ router.post('/upload', upload.single('image'), handleMulterError, async (req, re
   }
 });
 
+/**
+ * POST /api/scan/batch
+ * 
+ * Upload and analyze several images in one request (form field "images")
+ * 
+ * Each file goes through the same pipeline as /upload. Files are analyzed a
+ * few at a time (MAX_CONCURRENT_REQUESTS) so a big batch cannot flood the AI
+ * provider. One bad file never fails the others - every file gets its own
+ * result, and the summary adds them up.
+ * 
+ * Educational Learning Objectives:
+ * - Bounded concurrency (a worker pool)
+ * - Partial success: reporting per-item results
+ * 
+ * Authentication is optional: with a token the scans are linked to that user
+ */
+router.post('/batch', optionalAuth, batchUpload.array('images', BATCH_MAX_FILES), handleMulterError, verifyUploadedImages, async (req, res) => {
+  const files = req.files || [];
+  const rejected = req.rejectedFiles || [];
+
+  if (files.length === 0 && rejected.length === 0) {
+    return res.status(400).json({
+      error: 'FILES_REQUIRED',
+      message: `Please select between 1 and ${BATCH_MAX_FILES} image files to upload`,
+      educational: {
+        concept: 'File Upload Validation',
+        explanation: 'Server-side validation ensures required files are present before processing',
+        tip: 'Use the "images" form field once per file'
+      }
+    });
+  }
+
+  const context = buildScanContext(req);
+  const startedAt = Date.now();
+  logger.info(`Processing batch of ${files.length} file(s) (${rejected.length} rejected), ${BATCH_CONCURRENCY} at a time`);
+
+  const analyzed = await mapWithConcurrency(files, BATCH_CONCURRENCY, async (file) => {
+    try {
+      const { message, data } = await analyzeUpload(context, file);
+      return { status: 'success', message, ...data };
+    } catch (error) {
+      logger.error(`Batch file ${file.originalname} failed:`, error);
+      await removeUpload(file.path);
+      return {
+        status: 'failed',
+        filename: file.originalname,
+        error: 'PROCESSING_ERROR',
+        message: 'Failed to process this image. Please try it again.'
+      };
+    }
+  });
+
+  const results = [
+    ...analyzed,
+    ...rejected.map(rejection => ({ status: 'rejected', ...rejection }))
+  ];
+  const succeeded = analyzed.filter(result => result.status === 'success');
+
+  res.json({
+    success: true,
+    message: `Analyzed ${succeeded.length} of ${results.length} images`,
+    data: {
+      results,
+      summary: {
+        total_files: results.length,
+        succeeded: succeeded.length,
+        failed: analyzed.length - succeeded.length,
+        rejected: rejected.length,
+        duplicates: succeeded.filter(result => result.duplicate).length,
+        total_items: succeeded.reduce((sum, result) => sum + result.analysis.item_count, 0),
+        total_points: succeeded.reduce((sum, result) => sum + result.analysis.points_earned, 0),
+        achievements_unlocked: succeeded.flatMap(result => result.achievements_unlocked || []),
+        processing_time_ms: Date.now() - startedAt
+      }
+    },
+    educational: {
+      concept: 'Batch Processing',
+      explanation: `Images were analyzed ${BATCH_CONCURRENCY} at a time - enough to be quick without overloading the AI service`
+    }
+  });
+});
+
+/**
+ * POST /api/scan/jobs
+ * 
+ * Queue an image for analysis and answer right away with 202 Accepted
+ * 
+ * The upload is saved and a job is added to the scan_jobs queue. Background
+ * workers run the same pipeline as /upload, so a slow AI call no longer keeps
+ * the HTTP connection open. Follow the job with GET /api/scan/jobs/:id or the
+ * live stream at GET /api/scan/jobs/:id/events.
+ * 
+ * Educational Learning Objectives:
+ * - Asynchronous processing with a job queue
+ * - HTTP 202 Accepted and the Location header
+ * 
+ * Authentication is optional: with a token the scan is linked to that user
+ */
+router.post('/jobs', optionalAuth, upload.single('image'), handleMulterError, verifyUploadedImages, asyncErrorHandler(async (req, res) => {
+  if (!req.file) {
+    throw createError.badRequest('Please select an image file to upload');
+  }
+
+  const job = await scanJobService.enqueue(req.file, buildScanContext(req));
+  logger.info(`Queued scan job ${job.job_id} for ${req.file.originalname}`);
+
+  const statusUrl = `/api/scan/jobs/${job.job_id}`;
+  const eventsAccess = scanJobService.createEventsAccess(job.job_id);
+  res.status(202).location(statusUrl).json({
+    success: true,
+    message: 'Image received! It is waiting in line for analysis.',
+    data: {
+      ...scanJobService.toPublic(job),
+      status_url: statusUrl,
+      // Educational Note: Signed, so EventSource can open it without a token
+      events_url: `${statusUrl}/events?expires=${eventsAccess.expires}&signature=${eventsAccess.signature}`
+    },
+    educational: {
+      concept: 'Job Queues',
+      explanation: 'Slow AI calls run in the background, so the server can keep answering other requests while your image is analyzed'
+    }
+  });
+}));
+
+/**
+ * GET /api/scan/jobs/:id
+ * 
+ * Poll a queued scan: status (queued, processing, completed, failed), the
+ * current stage and progress, and the analysis result once it is completed
+ */
+router.get('/jobs/:id', optionalAuth, asyncErrorHandler(async (req, res) => {
+  const job = await findAccessibleJob(req);
+  res.json({ success: true, data: scanJobService.toPublic(job) });
+}));
+
+/**
+ * GET /api/scan/jobs/:id/events
+ * 
+ * Server-Sent Events stream of a job's progress
+ * 
+ * Events:
+ * - progress: the job moved to a new stage (data: the job)
+ * - completed: analysis finished (data: the job, with result)
+ * - failed: analysis could not be done (data: the job, with error)
+ * 
+ * The current state is sent as soon as the stream opens, and the stream ends
+ * after completed or failed.
+ * 
+ * Open it with the signed events_url from POST /api/scan/jobs (it works for
+ * SCAN_JOB_EVENTS_LINK_TTL_SECONDS), or with the same token as GET /api/scan/jobs/:id.
+ * 
+ * Educational Learning Objectives:
+ * - Server push over plain HTTP (text/event-stream)
+ * - Cleaning up listeners when the client goes away
+ */
+router.get('/jobs/:id/events', optionalAuth, asyncErrorHandler(async (req, res) => {
+  const job = await findStreamableJob(req);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    if (!res.writableEnded) {
+      res.end();
+    }
+  };
+
+  const send = (current) => {
+    if (res.writableEnded) {
+      return;
+    }
+    const event = scanJobService.isFinished(current) ? current.status : 'progress';
+    res.write(`event: ${event}\ndata: ${JSON.stringify(scanJobService.toPublic(current))}\n\n`);
+    if (scanJobService.isFinished(current)) {
+      close();
+    }
+  };
+
+  unsubscribe = scanJobService.subscribe(job.job_id, send);
+  req.on('close', close);
+
+  // Educational Note: Subscribe first, then send the current state - the job may
+  // have moved on (or finished) while the stream was opening
+  send(await scanJobService.getJob(job.job_id));
+}));
+
+/**
+ * Educational Helper: Parse History Query
+ * 
+ * Validates pagination and date-range query parameters
+ * Learn about: query string validation, defensive defaults
+ * 
+ * @returns {{error: string}|{page: number, limit: number, from: string|null, to: string|null}}
+ */
+function parseHistoryQuery(query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+
+  const parseDate = (value, endOfDay) => {
+    if (!value) {
+      return null;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return undefined;
+    }
+    // Educational Note: A bare date like 2024-05-01 should include that whole day
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      date.setUTCHours(23, 59, 59, 999);
+    }
+    return date.toISOString();
+  };
+
+  const from = parseDate(query.from, false);
+  const to = parseDate(query.to, true);
+
+  if (from === undefined || to === undefined) {
+    return { error: 'Dates must be ISO 8601, for example 2024-05-01 or 2024-05-01T08:00:00Z' };
+  }
+  if (from && to && from > to) {
+    return { error: 'The "from" date must be before the "to" date' };
+  }
+
+  return { page, limit, from, to };
+}
+
 /**
  * GET /api/scan/history
  * 
  * Get scan history for educational review
  * 
+ * Requires authentication. Students only see their own scans;
+ * teachers and admins see everyone's and may filter by user_id.
+ * 
+ * Query parameters (all optional):
+ * - address: only scans for this street address
+ * - user_id: only scans by this user (teachers and admins)
+ * - page, limit: pagination (limit defaults to 20, max 100)
+ * - from, to: ISO 8601 date range (inclusive)
+ * 
  * Educational Learning Objectives:
  * - Data retrieval patterns
+ * - Pagination and filtering
  * - User progress tracking
  * - Educational progress visualization
  */
-router.get('/history', async (req, res) => {
+router.get('/history', authenticate, async (req, res) => {
   try {
     // Educational Note: Get optional address filter
-    const addressId = req.query.address_id;
+    const address = req.query.address || req.query.address_id || null;
+    
+    // Educational Note: Authorization narrows the query - a student's filter is always themselves
+    const userId = req.user.hasRole('teacher', 'admin')
+      ? parseInt(req.query.user_id, 10) || null
+      : req.user.id;
     
-    // Educational Note: Retrieve scan history with educational formatting
-    const scans = await ScanSession.getHistory(addressId);
+    const options = parseHistoryQuery(req.query);
+    if (options.error) {
+      return res.status(400).json({
+        error: 'INVALID_QUERY',
+        message: options.error,
+        educational: {
+          concept: 'Query Parameter Validation',
+          explanation: 'Servers validate query strings so bad input produces a clear message instead of wrong data'
+        }
+      });
+    }
+
+    const { page, limit, from, to } = options;
     
-    logger.info(`Retrieved ${scans.length} scan records for educational review`);
+    // Educational Note: Retrieve one page of history plus statistics for the whole range
+    const { sessions, total } = await scanSessionRepository.getScanSessionsByAddress(address, {
+      limit,
+      offset: (page - 1) * limit,
+      from,
+      to,
+      user_id: userId
+    });
+    const stats = await scanSessionRepository.getScanStatistics(address, { from, to, user_id: userId });
     
-    // Educational Note: Calculate educational statistics
-    const stats = {
-      total_scans: scans.length,
-      successful_scans: scans.filter(scan => scan.status === 'completed').length,
-      total_points: scans.reduce((sum, scan) => sum + (scan.points_earned || 0), 0),
-      materials_identified: scans.reduce((count, scan) => {
-        const symbols = scan.recycling_symbols ? JSON.parse(scan.recycling_symbols) : [];
-        return count + symbols.length;
-      }, 0)
-    };
+    logger.info(`Retrieved ${sessions.length} of ${total} scan records for educational review`);
     
     res.json({
       success: true,
       message: 'Scan history retrieved for educational review',
       data: {
-        history: scans,
+        history: sessions.map(session => session.toSummary()),
+        pagination: {
+          page,
+          limit,
+          total,
+          total_pages: Math.ceil(total / limit)
+        },
+        filters: { address, user_id: userId, from, to },
         statistics: stats
       },
       educational: {
@@ -387,26 +1099,362 @@ router.get('/history', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/scan/duplicates
+ * 
+ * Report of uploads that repeated an earlier scan (and so earned no points)
+ * 
+ * Requires the teacher or admin role. Teachers see students in the classes
+ * they teach; admins see every repeat, including anonymous ones.
+ * 
+ * Query parameters (all optional):
+ * - class_id: only students in this class (teachers: must be your class)
+ * - page, limit: pagination (limit defaults to 20, max 100)
+ * - from, to: ISO 8601 date range (inclusive)
+ * 
+ * Educational Learning Objectives:
+ * - Fair play rules in games
+ * - Reviewing evidence instead of trusting every upload
+ */
+router.get('/duplicates', authenticate, requireRole('teacher', 'admin'), asyncErrorHandler(async (req, res) => {
+  const options = parseHistoryQuery(req.query);
+  if (options.error) {
+    throw createError.badRequest(options.error);
+  }
+
+  const { page, limit, from, to } = options;
+  const isAdmin = req.user.hasRole('admin');
+
+  let classId = null;
+  if (req.query.class_id !== undefined) {
+    classId = parseInt(req.query.class_id, 10);
+    if (!classId || String(classId) !== String(req.query.class_id)) {
+      throw createError.badRequest('class_id must be a valid number');
+    }
+    const classroom = await classroomRepository.findById(classId);
+    if (!classroom) {
+      throw createError.notFound(`Class with ID ${classId} not found`);
+    }
+    if (classroom.teacher_id !== req.user.id && !isAdmin) {
+      throw createError.forbidden('Only the class teacher or an admin can review this class');
+    }
+  }
+
+  const { repeats, total, by_user } = await scanSessionRepository.getDuplicateReport({
+    from,
+    to,
+    class_id: classId,
+    teacher_id: isAdmin || classId ? null : req.user.id,
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  res.json({
+    success: true,
+    data: {
+      repeats,
+      by_user,
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages: Math.ceil(total / limit)
+      },
+      filters: { class_id: classId, from, to },
+      settings: {
+        window_hours: duplicateDetectionService.windowHours,
+        max_distance: duplicateDetectionService.maxDistance
+      }
+    },
+    educational: {
+      concept: 'Fair Play Checks',
+      explanation: 'Each upload is fingerprinted. "exact" means the very same file; "similar" means the picture looks nearly the same (a small distance)',
+      tip: 'A few repeats are often honest mistakes - look for students with many'
+    }
+  });
+}));
+
+/**
+ * GET /api/scan/storage
+ * 
+ * How much disk space uploaded images use, compared with the retention
+ * policy and quotas. Requires the admin role.
+ * 
+ * Educational Learning Objectives:
+ * - Monitoring storage before it runs out
+ * - Data retention policies for student photos
+ */
+router.get('/storage', authenticate, requireRole('admin'), asyncErrorHandler(async (req, res) => {
+  const report = await retentionService.getStorageReport();
+
+  res.json({
+    success: true,
+    data: report,
+    educational: {
+      concept: 'Data Retention',
+      explanation: 'Photos are only kept for a limited time. The scan result and points stay - only the image file is deleted',
+      tip: 'Storing less data about students is safer than protecting more of it'
+    }
+  });
+}));
+
+/**
+ * POST /api/scan/storage/cleanup
+ * 
+ * Run the storage cleanup now instead of waiting for the schedule.
+ * Requires the admin role.
+ */
+router.post('/storage/cleanup', authenticate, requireRole('admin'), asyncErrorHandler(async (req, res) => {
+  const result = await retentionService.runCleanup();
+  if (!result) {
+    throw createError.conflict('A storage cleanup is already running');
+  }
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+/**
+ * GET /api/scan/ai-outcomes
+ * 
+ * How often the AI's replies matched the response schema, needed a repair
+ * retry, or could not be used - per provider and model. Requires the admin role.
+ * 
+ * Query parameters (optional):
+ * - days: only the last N days (default 7, max 365)
+ * 
+ * Educational Learning Objectives:
+ * - Measuring the reliability of an AI model
+ * - Comparing models with different amounts of traffic using rates
+ */
+router.get('/ai-outcomes', authenticate, requireRole('admin'), asyncErrorHandler(async (req, res) => {
+  const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : 7;
+  if (!days || days < 1 || days > 365) {
+    throw createError.badRequest('days must be a number from 1 to 365');
+  }
+
+  const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const [summary, recentProblems] = await Promise.all([
+    aiOutcomeService.getSummary({ from }),
+    aiOutcomeService.getRecentProblems()
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      days,
+      summary,
+      recent_problems: recentProblems
+    },
+    educational: {
+      concept: 'Trust, but Verify',
+      explanation: 'Every AI reply is checked against a schema. "repaired" replies were fixed by asking again; "failed" ones gave the student no result',
+      tip: 'A rising misbehaviour rate after a prompt or model change is a sign to roll it back'
+    }
+  });
+}));
+
+/**
+ * GET /api/scan/prompt-versions
+ * 
+ * Student feedback per prompt version, next to the current prompt settings
+ * (PROMPT_VERSION and the experiment split). Requires the admin role.
+ * 
+ * Query parameters (optional):
+ * - days: only scans from the last N days (default 30, max 365)
+ * 
+ * Educational Learning Objectives:
+ * - A/B testing a change before giving it to everyone
+ * - Using feedback from real users as the measure of accuracy
+ */
+router.get('/prompt-versions', authenticate, requireRole('admin'), asyncErrorHandler(async (req, res) => {
+  const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : 30;
+  if (!days || days < 1 || days > 365) {
+    throw createError.badRequest('days must be a number from 1 to 365');
+  }
+
+  const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const versions = await scanSessionRepository.getPromptVersionReport({ from });
+
+  res.json({
+    success: true,
+    data: {
+      days,
+      settings: promptService.getSettings(),
+      versions
+    },
+    educational: {
+      concept: 'A/B Testing',
+      explanation: 'Some photos are graded with a candidate prompt. accuracy_rate is the share of rated scans students marked correct',
+      tip: 'Wait for a few dozen rated scans per version before deciding - small samples are mostly noise'
+    }
+  });
+}));
+
+/**
+ * GET /api/scan/ai-usage
+ * 
+ * Tokens, latency and estimated cost of the AI calls, grouped by day, class
+ * or address, next to the prices and today's budget use. Requires the admin role.
+ * 
+ * Query parameters (optional):
+ * - days: only scans from the last N days (default 30, max 365)
+ * - group_by: day (default), class or address
+ * 
+ * Educational Learning Objectives:
+ * - Usage-based pricing of AI APIs
+ * - Budgets as a guard against runaway costs
+ */
+router.get('/ai-usage', authenticate, requireRole('admin'), asyncErrorHandler(async (req, res) => {
+  const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : 30;
+  if (!days || days < 1 || days > 365) {
+    throw createError.badRequest('days must be a number from 1 to 365');
+  }
+  const groupBy = req.query.group_by || 'day';
+  if (!aiUsageService.groupings.includes(groupBy)) {
+    throw createError.badRequest(`group_by must be one of: ${aiUsageService.groupings.join(', ')}`);
+  }
+
+  const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const [report, today] = await Promise.all([
+    aiUsageService.getUsageReport({ from, group_by: groupBy }),
+    aiUsageService.getBudgetStatus()
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      days,
+      group_by: groupBy,
+      settings: aiUsageService.getSettings(),
+      today,
+      totals: report.totals,
+      groups: report.groups
+    },
+    educational: {
+      concept: 'Paying per Token',
+      explanation: 'AI providers bill for the text they read (prompt tokens, including the photo) and write (completion tokens). Costs are estimates from the configured prices',
+      tip: 'Photos answered from the cache cost nothing - ai_scans counts only the scans that called the AI'
+    }
+  });
+}));
+
+/**
+ * GET /api/scan/images/:key
+ * 
+ * Serves an image from the local blob store. The link comes from
+ * GET /api/scan/:id/image and only works until it expires - the signature
+ * is the permission, so no token is needed (an <img> tag cannot send one).
+ * 
+ * Educational Learning Objectives:
+ * - Signed URLs instead of a public uploads folder
+ * - Letting browsers cache private content safely
+ */
+router.get('/images/:key', asyncErrorHandler(async (req, res, next) => {
+  const store = storageService.getStore('local');
+  const { key } = req.params;
+
+  let isValid = false;
+  try {
+    store.assertValidKey(key);
+    isValid = store.verifySignature(key, req.query.expires, req.query.signature);
+  } catch {
+    isValid = false;
+  }
+  if (!isValid) {
+    throw createError.forbidden('This image link is invalid or has expired');
+  }
+
+  const stream = store.createReadStream(key);
+  stream.on('open', () => {
+    res.set('Cache-Control', `private, max-age=${storageService.signedUrlTtlSeconds}`);
+    res.type(path.extname(key));
+    stream.pipe(res);
+  });
+  stream.on('error', (error) => {
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    next(error.code === 'ENOENT' ? createError.notFound('Image not found') : error);
+  });
+}));
+
+/**
+ * GET /api/scan/:id/image
+ * 
+ * Returns a short-lived link to a scan's image (a presigned S3 URL, or a
+ * signed /api/scan/images link for local storage)
+ * 
+ * Anonymous scans can be viewed by anyone with the scan ID; scans linked to
+ * a user only by that user or a teacher/admin
+ */
+router.get('/:id/image', optionalAuth, asyncErrorHandler(async (req, res) => {
+  const scanSession = await scanSessionRepository.getScanSessionById(req.params.id);
+  if (!scanSession) {
+    throw createError.notFound('Scan session not found');
+  }
+  if (scanSession.user_id) {
+    if (!req.user) {
+      throw createError.unauthorized('Log in to view this scan');
+    }
+    if (scanSession.user_id !== req.user.id && !req.user.hasRole('teacher', 'admin')) {
+      throw createError.forbidden('You can only view your own scans');
+    }
+  }
+  if (scanSession.image_deleted_at) {
+    throw createError.notFound('The image for this scan has been deleted by the retention policy');
+  }
+
+  const { url, expires_at } = await storageService.getSignedUrl(storageService.referenceFor({
+    storage_backend: scanSession.storage_backend,
+    storage_key: scanSession.storage_key,
+    file_path: scanSession.file_path
+  }));
+
+  res.json({
+    success: true,
+    data: {
+      session_id: scanSession.session_id,
+      url,
+      expires_at
+    }
+  });
+}));
+
 /**
  * PATCH /api/scan/:id/feedback
  * 
  * Submit user feedback on scan results for educational improvement
  * 
+ * Body: { correct: boolean } or { user_feedback: 'correct' | 'incorrect' | 'partially_correct' | 'unsure' },
+ * optionally with corrected_material_type and corrected_ric_code (1-7)
+ * 
+ * Anonymous scans accept feedback from anyone; scans linked to a user only
+ * accept it from that user or a teacher/admin
+ * 
  * Educational Learning Objectives:
  * - User feedback collection patterns
  * - Educational feedback loops
  * - Continuous improvement processes
  */
-router.patch('/:id/feedback', async (req, res) => {
+router.patch('/:id/feedback', optionalAuth, async (req, res, next) => {
   try {
     const scanId = req.params.id;
-    const { user_feedback, rating, learning_value } = req.body;
+    const { correct, corrected_material_type, corrected_ric_code } = req.body;
+    
+    // Educational Note: The scan page sends a simple thumbs up/down as { correct: true|false }
+    const userFeedback = typeof correct === 'boolean'
+      ? (correct ? 'correct' : 'incorrect')
+      : req.body.user_feedback;
     
     // Educational Note: Validate feedback data
-    if (!user_feedback && !rating && !learning_value) {
+    if (!ScanSession.FEEDBACK_OPTIONS.includes(userFeedback)) {
       return res.status(400).json({
         error: 'FEEDBACK_REQUIRED',
-        message: 'Please provide feedback, rating, or learning value assessment',
+        message: `Please provide "correct" (true/false) or user_feedback (${ScanSession.FEEDBACK_OPTIONS.join(', ')})`,
         educational: {
           concept: 'Input Validation',
           explanation: 'Feedback forms should validate that users provide meaningful input'
@@ -414,15 +1462,35 @@ router.patch('/:id/feedback', async (req, res) => {
       });
     }
     
-    // Educational Note: Update scan session with feedback
-    const updateData = {
-      user_feedback,
-      user_rating: rating,
-      learning_value,
-      feedback_at: new Date().toISOString()
-    };
+    const ricCode = corrected_ric_code !== undefined && corrected_ric_code !== null
+      ? parseInt(corrected_ric_code, 10) : null;
+    if (ricCode !== null && (isNaN(ricCode) || ricCode < 1 || ricCode > 7)) {
+      return res.status(400).json({
+        error: 'INVALID_RIC_CODE',
+        message: 'corrected_ric_code must be a number from 1 to 7',
+        educational: {
+          concept: 'Domain Validation',
+          explanation: 'Resin Identification Codes only run from 1 (PET) to 7 (Other)'
+        }
+      });
+    }
+    
+    // Educational Note: Check ownership before changing someone's scan
+    const existingScan = await scanSessionRepository.getScanSessionById(scanId);
+    if (existingScan && existingScan.user_id) {
+      if (!req.user) {
+        return next(createError.unauthorized('Log in to give feedback on this scan'));
+      }
+      if (existingScan.user_id !== req.user.id && !req.user.hasRole('teacher', 'admin')) {
+        return next(createError.forbidden('You can only give feedback on your own scans'));
+      }
+    }
     
-    const updatedScan = await ScanSession.update(scanId, updateData);
+    // Educational Note: Store the feedback and any correction on the scan session
+    const updatedScan = await scanSessionRepository.updateUserFeedback(scanId, userFeedback, {
+      material_type: typeof corrected_material_type === 'string' ? corrected_material_type.trim() || null : null,
+      ric_code: ricCode
+    });
     
     if (!updatedScan) {
       return res.status(404).json({
@@ -435,7 +1503,7 @@ router.patch('/:id/feedback', async (req, res) => {
       });
     }
     
-    logger.info(`Feedback submitted for scan ${scanId}:`, { user_feedback, rating, learning_value });
+    logger.info(`Feedback submitted for scan ${scanId}:`, { userFeedback, corrected_material_type, corrected_ric_code: ricCode });
     
     res.json({
       success: true,
@@ -443,9 +1511,9 @@ router.patch('/:id/feedback', async (req, res) => {
       data: {
         scan_id: scanId,
         feedback_received: {
-          user_feedback,
-          rating,
-          learning_value
+          user_feedback: updatedScan.user_feedback,
+          corrected_material_type: updatedScan.corrected_material_type,
+          corrected_ric_code: updatedScan.corrected_ric_code
         }
       },
       educational: {
@@ -305,7 +305,8 @@ router.post('/', upload.single('image'), asyncErrorHandler(async (req, res) => {
   
   // TODO: Save scan to database
   // TODO: Update user points and progress
-  // TODO: Check for new achievements
+  // Educational Note: Achievements are awarded by achievementService after persisted
+  // scans (POST /api/scan/upload) - this mock endpoint does not save anything yet
   
   res.status(201).json({
     success: true,
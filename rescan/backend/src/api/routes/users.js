@@ -18,48 +18,74 @@ const router = express.Router();
 
 // Educational Note: Import middleware and utilities
 const { asyncErrorHandler, createError } = require('../../middleware/errorHandler');
+const dbService = require('../../services/dbService');
+const authService = require('../../services/authService');
+const achievementService = require('../../services/achievementService');
+const streakService = require('../../services/streakService');
+const { authenticate, requireRole, assertOwnerOrRole } = require('../../middleware/auth');
+const { User, UserRepository } = require('../../models/user');
+
+const userRepository = new UserRepository(dbService);
+
+/**
+ * Educational Helper: Validate with a Joi Schema
+ * 
+ * Returns the cleaned value or throws a 400 listing every problem at once
+ * Learn about: schema validation, collecting all errors instead of the first
+ */
+function validate(schema, data) {
+  const { error, value } = schema.validate(data, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    throw createError.badRequest(`Validation failed: ${error.details.map(detail => detail.message).join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Educational Helper: Parse User ID Parameter
+ */
+function parseUserId(id) {
+  const userId = parseInt(id, 10);
+  if (!id || isNaN(userId) || String(userId) !== id) {
+    throw createError.badRequest('User ID must be a valid number');
+  }
+  return userId;
+}
+
+/**
+ * Educational Helper: Reject Duplicate Usernames and Emails
+ */
+async function assertNoConflict(values, excludeId = null) {
+  const field = await userRepository.findConflict(values, excludeId);
+  if (field) {
+    throw createError.conflict(`A user with this ${field} already exists: ${values[field]}`);
+  }
+}
 
 /**
  * Educational Route: GET /api/users
  * 
  * Demonstrates user listing with educational query parameters
+ * Requires the teacher or admin role (the class roster)
  * Learn about: pagination, filtering, query parameter handling
  */
-router.get('/', asyncErrorHandler(async (req, res) => {
-  // Educational Note: Extract query parameters with defaults
-  const {
-    page = 1,
-    limit = 10,
-    level = null,
-    sort = 'created_at'
-  } = req.query;
-  
-  console.log(`📋 Listing users (page: ${page}, limit: ${limit})`);
-  
-  // TODO: Implement actual database query
-  // For now, return educational mock data
-  const mockUsers = [
-    {
-      id: 1,
-      username: 'stem_student',
-      display_name: 'STEM Learning Student',
-      points: 100,
-      level: 2,
-      scans_count: 15,
-      educational_level: 'beginner',
-      created_at: new Date().toISOString()
-    }
-  ];
+router.get('/', authenticate, requireRole('teacher', 'admin'), asyncErrorHandler(async (req, res) => {
+  // Educational Note: Validate query parameters and apply defaults
+  const query = validate(User.listSchema, req.query);
+  
+  console.log(`📋 Listing users (page: ${query.page}, limit: ${query.limit})`);
+  
+  const { users, total } = await userRepository.list(query);
   
   res.json({
     success: true,
     data: {
-      users: mockUsers,
+      users: users.map(user => user.toApiResponse()),
       pagination: {
-        current_page: parseInt(page),
-        per_page: parseInt(limit),
-        total_pages: 1,
-        total_count: mockUsers.length
+        current_page: query.page,
+        per_page: query.limit,
+        total_pages: Math.ceil(total / query.limit),
+        total_count: total
       }
     },
     educational: {
@@ -68,7 +94,8 @@ router.get('/', asyncErrorHandler(async (req, res) => {
         page: 'Page number (default: 1)',
         limit: 'Items per page (default: 10, max: 50)',
         level: 'Filter by user level (1-10)',
-        sort: 'Sort field (created_at, points, level)'
+        sort: 'Sort field (created_at, points, level, username)',
+        order: 'Sort direction (asc, desc)'
       }
     }
   });
@@ -78,104 +105,61 @@ router.get('/', asyncErrorHandler(async (req, res) => {
  * Educational Route: GET /api/users/:id
  * 
  * Demonstrates single resource retrieval with parameter validation
+ * Students may view themselves; teachers and admins may view anyone
  * Learn about: URL parameters, resource existence checking, error responses
  */
-router.get('/:id', asyncErrorHandler(async (req, res) => {
-  const { id } = req.params;
-  
+router.get('/:id', authenticate, asyncErrorHandler(async (req, res) => {
   // Educational Note: Validate ID parameter
-  if (!id || isNaN(parseInt(id))) {
-    throw createError.badRequest('User ID must be a valid number');
-  }
-  
-  const userId = parseInt(id);
+  const userId = parseUserId(req.params.id);
+  assertOwnerOrRole(req.user, userId, 'teacher', 'admin');
   console.log(`👤 Fetching user with ID: ${userId}`);
   
-  // TODO: Implement actual database query
-  // For now, return mock data or 404
-  if (userId === 1) {
-    const mockUser = {
-      id: 1,
-      username: 'stem_student',
-      display_name: 'STEM Learning Student',
-      email: 'student@educational.demo',
-      points: 100,
-      level: 2,
-      scans_count: 15,
-      educational_level: 'beginner',
-      preferred_language: 'en',
-      completed_tutorials: ['basic_recycling', 'plastic_types'],
-      achievement_badges: ['first_scan', 'plastic_master'],
-      created_at: new Date().toISOString(),
-      last_login: new Date().toISOString()
-    };
-    
-    res.json({
-      success: true,
-      data: { user: mockUser },
-      educational: {
-        note: 'This endpoint demonstrates single user retrieval',
-        privacy: 'In production, filter sensitive data based on requesting user'
-      }
-    });
-  } else {
+  const user = await userRepository.findById(userId);
+  if (!user) {
     throw createError.notFound(`User with ID ${userId} not found`);
   }
+  
+  res.json({
+    success: true,
+    data: { user: user.toApiResponse() },
+    educational: {
+      note: 'This endpoint demonstrates single user retrieval',
+      privacy: 'In production, filter sensitive data based on requesting user'
+    }
+  });
 }));
 
 /**
  * Educational Route: POST /api/users
  * 
  * Demonstrates user creation with validation
+ * New accounts are always students; admins change roles with PATCH /api/users/:id/role
  * Learn about: request body validation, data sanitization, conflict handling
  */
 router.post('/', asyncErrorHandler(async (req, res) => {
-  const { username, display_name, email, preferred_language = 'en' } = req.body;
+  // Educational Note: Joi validation replaces hand-written checks
+  const data = validate(User.createSchema, req.body);
   
-  console.log(`👥 Creating new user: ${username}`);
-  
-  // Educational Note: Basic validation
-  if (!username || username.length < 3) {
-    throw createError.badRequest('Username must be at least 3 characters long');
-  }
+  console.log(`👥 Creating new user: ${data.username}`);
   
-  if (!display_name || display_name.trim().length === 0) {
-    throw createError.badRequest('Display name is required');
-  }
+  // Educational Note: Usernames and emails must be unique across the roster
+  await assertNoConflict(data);
   
-  // Educational Note: Email validation (basic)
-  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-    throw createError.badRequest('Invalid email format');
+  // Educational Note: Only the salted hash of the password is ever stored
+  const { password, ...userData } = data;
+  if (password) {
+    userData.password_hash = await authService.hashPassword(password);
   }
   
-  // TODO: Check for username/email conflicts in database
-  // TODO: Hash password if authentication is added
-  // TODO: Insert into database
-  
-  // Educational Note: Mock successful creation
-  const newUser = {
-    id: Date.now(), // Mock ID generation
-    username,
-    display_name,
-    email: email || null,
-    points: 0,
-    level: 1,
-    scans_count: 0,
-    educational_level: 'beginner',
-    preferred_language,
-    completed_tutorials: [],
-    achievement_badges: [],
-    created_at: new Date().toISOString(),
-    is_active: true
-  };
+  const newUser = await userRepository.create(userData);
   
   res.status(201).json({
     success: true,
-    data: { user: newUser },
+    data: { user: newUser.toApiResponse() },
     educational: {
       note: 'This endpoint demonstrates user creation with validation',
       next_steps: [
-        'Add password hashing for authentication',
+        'Log in with POST /api/auth/login to receive a token',
         'Implement email verification',
         'Add profile picture upload support'
       ]
@@ -187,65 +171,72 @@ router.post('/', asyncErrorHandler(async (req, res) => {
  * Educational Route: PUT /api/users/:id
  * 
  * Demonstrates user profile updates with selective field updating
+ * Users may update themselves; admins may update anyone. A new password needs
+ * current_password (the logged-in user's) and logs out the account's other sessions.
  * Learn about: PATCH vs PUT, field validation, authorization checks
  */
-router.put('/:id', asyncErrorHandler(async (req, res) => {
-  const { id } = req.params;
-  const { display_name, email, preferred_language, educational_level } = req.body;
+router.put('/:id', authenticate, asyncErrorHandler(async (req, res) => {
+  // Educational Note: Validate ID parameter and body
+  const userId = parseUserId(req.params.id);
+  const changes = validate(User.updateSchema, req.body);
   
-  // Educational Note: Validate ID parameter
-  if (!id || isNaN(parseInt(id))) {
-    throw createError.badRequest('User ID must be a valid number');
-  }
+  // Educational Note: Authorization - users edit their own profile, admins edit anyone
+  assertOwnerOrRole(req.user, userId, 'admin');
   
-  const userId = parseInt(id);
   console.log(`✏️ Updating user ${userId}`);
   
-  // TODO: Verify user exists
-  // TODO: Check authorization (user can only update their own profile)
-  // TODO: Validate updated fields
-  // TODO: Update database
-  
-  if (userId === 1) {
-    const updatedUser = {
-      id: 1,
-      username: 'stem_student',
-      display_name: display_name || 'STEM Learning Student',
-      email: email || 'student@educational.demo',
-      preferred_language: preferred_language || 'en',
-      educational_level: educational_level || 'beginner',
-      updated_at: new Date().toISOString()
-    };
-    
-    res.json({
-      success: true,
-      data: { user: updatedUser },
-      educational: {
-        note: 'This endpoint demonstrates selective profile updates',
-        security: 'Add authorization to prevent users from updating others profiles'
-      }
-    });
-  } else {
+  if (!await userRepository.findById(userId)) {
     throw createError.notFound(`User with ID ${userId} not found`);
   }
+  
+  if (changes.email) {
+    await assertNoConflict({ email: changes.email }, userId);
+  }
+  
+  // Educational Note: Changing a password needs the logged-in user's current
+  // password (an admin resetting a student's password gives their own)
+  const changesPassword = Boolean(changes.password);
+  if (changesPassword) {
+    const credentials = await userRepository.findCredentials(req.user.username);
+    if (!credentials || !await authService.verifyPassword(changes.current_password, credentials.password_hash)) {
+      throw createError.forbidden('Current password is incorrect');
+    }
+    changes.password_hash = await authService.hashPassword(changes.password);
+    delete changes.password;
+  }
+  delete changes.current_password;
+  
+  const updatedUser = await userRepository.update(userId, changes);
+  
+  // Educational Note: A new password logs out every other device, so a leaked
+  // token stops working; the session that made the change stays logged in
+  if (changesPassword) {
+    await authService.revokeAllSessions(userId, userId === req.user.id ? req.sessionId : null);
+  }
+  
+  res.json({
+    success: true,
+    data: { user: updatedUser.toApiResponse() },
+    educational: {
+      note: 'This endpoint demonstrates selective profile updates',
+      security: 'Users can only update their own profile (admins anyone); a password change needs the current password and ends other sessions'
+    }
+  });
 }));
 
 /**
  * Educational Route: DELETE /api/users/:id
  * 
  * Demonstrates user account deletion with safety checks
+ * Requires authentication (Authorization: Bearer <token>); users may delete
+ * themselves, admins may delete anyone
  * Learn about: soft delete vs hard delete, data retention, cascade effects
  */
-router.delete('/:id', asyncErrorHandler(async (req, res) => {
-  const { id } = req.params;
+router.delete('/:id', authenticate, asyncErrorHandler(async (req, res) => {
   const { confirm = false } = req.query;
   
   // Educational Note: Validate ID parameter
-  if (!id || isNaN(parseInt(id))) {
-    throw createError.badRequest('User ID must be a valid number');
-  }
-  
-  const userId = parseInt(id);
+  const userId = parseUserId(req.params.id);
   
   // Educational Note: Require confirmation for destructive operations
   if (!confirm || confirm !== 'true') {
@@ -254,17 +245,26 @@ router.delete('/:id', asyncErrorHandler(async (req, res) => {
     );
   }
   
+  // Educational Note: Authorization - users delete their own account, admins delete anyone
+  assertOwnerOrRole(req.user, userId, 'admin');
+  
   console.log(`🗑️ Deleting user ${userId} (with confirmation)`);
   
-  // TODO: Check authorization (admin or self-delete only)
-  // TODO: Implement soft delete (is_active = false) in production
-  // TODO: Handle related data (scans, progress records)
+  // Educational Note: Soft delete keeps the row (and its history) but hides the user
+  const deleted = await userRepository.softDelete(userId);
+  if (!deleted) {
+    throw createError.notFound(`User with ID ${userId} not found`);
+  }
+  
+  // Educational Note: A deleted account should not stay logged in anywhere
+  await authService.revokeAllSessions(userId);
   
   res.json({
     success: true,
     data: { 
       message: `User ${userId} deleted successfully`,
-      deleted_at: new Date().toISOString()
+      deleted_at: new Date().toISOString(),
+      soft_delete: true
     },
     educational: {
       note: 'This endpoint demonstrates safe deletion patterns',
@@ -278,13 +278,126 @@ router.delete('/:id', asyncErrorHandler(async (req, res) => {
   });
 }));
 
+/**
+ * Educational Route: PATCH /api/users/:id/role
+ * 
+ * Changes a user's role (student, teacher or admin)
+ * Requires the admin role
+ * Learn about: privilege management, protecting against self-lockout
+ */
+router.patch('/:id/role', authenticate, requireRole('admin'), asyncErrorHandler(async (req, res) => {
+  const userId = parseUserId(req.params.id);
+  const { role } = validate(User.roleSchema, req.body);
+  
+  // Educational Note: Stop admins from accidentally removing their own admin access
+  if (userId === req.user.id && role !== 'admin') {
+    throw createError.badRequest('Admins cannot remove their own admin role - ask another admin');
+  }
+  
+  const updatedUser = await userRepository.setRole(userId, role);
+  if (!updatedUser) {
+    throw createError.notFound(`User with ID ${userId} not found`);
+  }
+  
+  res.json({
+    success: true,
+    data: { user: updatedUser.toApiResponse() },
+    educational: {
+      note: 'Roles control what each user is allowed to do',
+      roles: User.ROLES
+    }
+  });
+}));
+
+/**
+ * Educational Route: GET /api/users/:id/achievements
+ * 
+ * Unlocked badges plus progress towards the locked ones
+ * Students may view their own; teachers and admins may view anyone's
+ * Learn about: rule engines, showing progress to motivate learners
+ */
+router.get('/:id/achievements', authenticate, asyncErrorHandler(async (req, res) => {
+  const userId = parseUserId(req.params.id);
+  assertOwnerOrRole(req.user, userId, 'teacher', 'admin');
+  
+  if (!await userRepository.findById(userId)) {
+    throw createError.notFound(`User with ID ${userId} not found`);
+  }
+  
+  const { unlocked, locked } = await achievementService.getUserAchievements(userId);
+  
+  res.json({
+    success: true,
+    data: {
+      user_id: userId,
+      unlocked,
+      locked,
+      summary: {
+        unlocked_count: unlocked.length,
+        total_count: unlocked.length + locked.length
+      }
+    },
+    educational: {
+      note: 'Badges are checked after every scan you make while logged in'
+    }
+  });
+}));
+
+/**
+ * Educational Route: GET /api/users/:id/activity
+ *
+ * Scans per day for a heatmap calendar, plus the current streak
+ * Query parameters: days (default 90, max 366), counting back from today
+ * Learn about: time zones, filling gaps so every day appears in the calendar
+ */
+router.get('/:id/activity', authenticate, asyncErrorHandler(async (req, res) => {
+  const userId = parseUserId(req.params.id);
+  assertOwnerOrRole(req.user, userId, 'teacher', 'admin');
+
+  const days = req.query.days === undefined ? 90 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > 366) {
+    throw createError.badRequest('days must be a whole number between 1 and 366');
+  }
+
+  if (!await userRepository.findById(userId)) {
+    throw createError.notFound(`User with ID ${userId} not found`);
+  }
+
+  const calendar = await streakService.getActivityCalendar(userId, days);
+  const streak = await streakService.getStreak(userId);
+
+  res.json({
+    success: true,
+    data: {
+      user_id: userId,
+      timezone: streak.timezone,
+      from: calendar.from,
+      to: calendar.to,
+      streak: {
+        current_days: streak.current,
+        longest_days: streak.longest,
+        last_activity_date: streak.last_activity_date
+      },
+      days: calendar.days,
+      summary: {
+        active_days: calendar.days.filter(day => day.scans > 0).length,
+        total_scans: calendar.days.reduce((sum, day) => sum + day.scans, 0)
+      }
+    },
+    educational: {
+      note: 'Days follow the school time zone, so a late-evening scan counts for the right day',
+      heatmap: 'level goes from 0 (no scans) to 4 (your busiest day in this range)'
+    }
+  });
+}));
+
 /**
  * Educational Route: GET /api/users/:id/progress
  * 
  * Demonstrates nested resource access for user educational progress
  * Learn about: nested routes, aggregated data, user-specific filtering
  */
-router.get('/:id/progress', asyncErrorHandler(async (req, res) => {
+router.get('/:id/progress', authenticate, asyncErrorHandler(async (req, res) => {
   const { id } = req.params;
   const { topic = null } = req.query;
   
@@ -294,10 +407,10 @@ router.get('/:id/progress', asyncErrorHandler(async (req, res) => {
   }
   
   const userId = parseInt(id);
+  assertOwnerOrRole(req.user, userId, 'teacher', 'admin');
   console.log(`📊 Fetching progress for user ${userId}${topic ? ` (topic: ${topic})` : ''}`);
   
   // TODO: Implement database query for user_progress table
-  // TODO: Add authorization check
   
   const mockProgress = [
     {
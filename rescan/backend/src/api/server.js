@@ -25,7 +25,11 @@ const path = require('path');
 
 // Educational Note: Internal services and configuration
 const dbService = require('../services/dbService');
+const scanJobService = require('../services/scanJobService');
+const retentionService = require('../services/retentionService');
+const storageService = require('../services/storageService');
 const logger = require('../utils/logger');
+const { errorHandler } = require('../middleware/errorHandler');
 
 // Educational Note: Route modules
 const apiRoutes = require('./routes');
@@ -209,6 +213,11 @@ function createApp() {
     
     // Educational Note: Global error handling middleware
     app.use((error, req, res, next) => {
+        // Educational Note: Expected errors (createError.notFound, conflict, ...) keep their status code
+        if (error.isOperational && error.statusCode < 500) {
+            return errorHandler(error, req, res, next);
+        }
+        
         console.error('❌ Unhandled error:', error.message);
         console.error('Stack trace:', error.stack);
         
@@ -271,6 +280,16 @@ async function startServer() {
         // Educational Note: Create Express application
         const app = createApp();
         
+        // Educational Note: Start the background workers for queued scans
+        // (the scan routes registered the job processor when they were loaded)
+        await scanJobService.start();
+        
+        // Educational Note: Check the image storage settings before accepting uploads
+        storageService.initialize();
+        
+        // Educational Note: Start the scheduled cleanup of expired and orphaned uploads
+        await retentionService.start();
+        
         // Educational Note: Start HTTP server
         const port = process.env.PORT || 3000;
         const server = app.listen(port, () => {
@@ -295,6 +314,10 @@ async function startServer() {
             console.log('\\n🛑 Received shutdown signal (SIGINT)');
             console.log('🧹 Cleaning up resources...');
             
+            // Educational Note: Stop taking new scan jobs - queued ones wait for the next start
+            scanJobService.stop();
+            retentionService.stop();
+            
             // Educational Note: Close server
             server.close(() => {
                 console.log('✅ HTTP server closed');
@@ -0,0 +1,418 @@
+/**
+ * Offline Accuracy Evaluation for Rescan Educational Project
+ *
+ * Usage: npm run eval:accuracy -- <images-folder> [options]
+ *   --provider <name>    AI provider to test (default: AI_PROVIDER)
+ *   --prompt <version>   Prompt version to test (default: PROMPT_VERSION, no A/B split)
+ *   --baseline <file>    JSON report of an earlier run to compare with
+ *   --out <folder>       Where the reports are written (default: eval-results)
+ *   --use-cache          Reuse cached AI answers instead of asking the provider again
+ *
+ * The images folder holds one subfolder per correct answer:
+ *   1/ ... 7/   photos whose recycling symbol shows that RIC code
+ *   none/       photos with no readable code (the AI should answer null)
+ *
+ * Educational Focus: Measuring a model before trusting a change - every run
+ * sends the same labeled photos through AIService and writes a JSON and an
+ * HTML report with a confusion matrix, precision and recall per code, and
+ * how well the AI's confidence matches its accuracy. The JSON report of one
+ * run can be passed as --baseline to the next to see what changed.
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const aiService = require('../services/aiService');
+const promptService = require('../services/promptService');
+const analysisCacheService = require('../services/analysisCacheService');
+const imageFormatService = require('../services/imageFormatService');
+const { LABELS, FAILED, labelFor, summarize, compareRuns } = require('../services/evaluationMetrics');
+
+const USAGE = 'Usage: npm run eval:accuracy -- <images-folder> [--provider <name>] [--prompt <version>] '
+    + '[--baseline <report.json>] [--out <folder>] [--use-cache]';
+
+const DEFAULT_OUT_DIR = path.join(__dirname, '../../../eval-results');
+
+// Educational Note: Formats the upload route converts to JPEG before analysis
+const CONVERTED_FORMATS = ['heic', 'heif'];
+
+/**
+ * Read the command line options
+ *
+ * @returns {Object|null} Options, or null when the arguments are invalid
+ */
+function parseArgs(argv) {
+    const options = { imagesDir: null, provider: null, prompt: null, baseline: null, outDir: DEFAULT_OUT_DIR, useCache: false };
+    const valueFlags = { '--provider': 'provider', '--prompt': 'prompt', '--baseline': 'baseline', '--out': 'outDir' };
+
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (arg === '--use-cache') {
+            options.useCache = true;
+        } else if (valueFlags[arg]) {
+            const value = argv[++index];
+            if (!value) {
+                return null;
+            }
+            options[valueFlags[arg]] = value;
+        } else if (!arg.startsWith('--') && !options.imagesDir) {
+            options.imagesDir = arg;
+        } else {
+            return null;
+        }
+    }
+
+    return options.imagesDir ? options : null;
+}
+
+/**
+ * Find the labeled images: every file in the 1-7 and none subfolders
+ *
+ * @returns {Promise<{file: string, path: string, expected: string}[]>} Sorted by file name
+ */
+async function loadDataset(imagesDir) {
+    const images = [];
+    for (const label of LABELS) {
+        const labelDir = path.join(imagesDir, label);
+        let entries;
+        try {
+            entries = await fs.readdir(labelDir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                continue;
+            }
+            throw error;
+        }
+        for (const entry of entries) {
+            if (entry.isFile() && !entry.name.startsWith('.')) {
+                images.push({ file: `${label}/${entry.name}`, path: path.join(labelDir, entry.name), expected: label });
+            }
+        }
+    }
+
+    // Educational Note: A fixed order makes two runs list their results the same way
+    return images.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+/**
+ * SHA-256 of a file's content
+ */
+async function hashFile(filePath) {
+    return crypto.createHash('sha256').update(await fs.readFile(filePath)).digest('hex');
+}
+
+/**
+ * Analyze one labeled image and compare the answer with its label
+ *
+ * Educational Note: HEIC/HEIF photos are converted from a temporary copy,
+ * so the labeled set itself is never changed
+ */
+async function evaluateImage(image, tempDir) {
+    const startedAt = Date.now();
+    const result = {
+        file: image.file,
+        expected: image.expected,
+        predicted: FAILED,
+        confidence: null,
+        correct: false,
+        item_count: 0,
+        from_cache: false,
+        model: null,
+        prompt_version: null,
+        error: null
+    };
+
+    let analyzedPath = image.path;
+    let convertedPath = null;
+    try {
+        const detected = await imageFormatService.identifyFile(image.path);
+        if (!detected) {
+            throw new Error('Not a supported image (JPEG, PNG, WebP, HEIC/HEIF)');
+        }
+        if (CONVERTED_FORMATS.includes(detected.format)) {
+            const copyPath = path.join(tempDir, `${crypto.randomUUID()}${path.extname(image.path)}`);
+            await fs.copyFile(image.path, copyPath);
+            const converted = await imageFormatService.normalizeUpload({
+                path: copyPath,
+                originalname: path.basename(image.path),
+                mimetype: detected.mime_type
+            });
+            analyzedPath = converted.path;
+            convertedPath = converted.path;
+        }
+
+        const analysis = await aiService.analyzeRecyclingImage(analyzedPath, path.basename(image.path));
+        if (!analysis.success) {
+            throw new Error(analysis.message || 'AI analysis failed');
+        }
+
+        result.predicted = labelFor(analysis.ric_code);
+        result.confidence = analysis.confidence;
+        result.correct = result.predicted === image.expected;
+        result.item_count = analysis.items.length;
+        result.from_cache = Boolean(analysis.cache && analysis.cache.hit);
+        result.model = analysis.ai_analysis.model_used;
+        result.prompt_version = analysis.ai_analysis.prompt_version;
+    } catch (error) {
+        result.error = error.message;
+    } finally {
+        if (convertedPath) {
+            await fs.unlink(convertedPath).catch(() => {});
+        }
+    }
+
+    result.duration_ms = Date.now() - startedAt;
+    return result;
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Show a number that may be missing, optionally as a signed change
+ */
+function formatValue(value, { signed = false, suffix = '' } = {}) {
+    if (value === null || value === undefined) {
+        return '-';
+    }
+    return `${signed && value > 0 ? '+' : ''}${value}${suffix}`;
+}
+
+/**
+ * Render the report as a single self-contained HTML page
+ *
+ * Educational Note: No scripts or external files, so the page can be mailed
+ * or attached to a pull request as it is
+ */
+function renderHtmlReport(report) {
+    const { run, metrics, comparison } = report;
+    const { matrix, columns } = metrics.confusion_matrix;
+
+    // Educational Note: Cells are shaded by their share of the row, so the
+    // diagonal (correct answers) stands out whatever the number of images
+    const matrixRows = LABELS.map(label => {
+        const rowTotal = columns.reduce((sum, column) => sum + matrix[label][column], 0);
+        const cells = columns.map(column => {
+            const count = matrix[label][column];
+            const share = rowTotal > 0 ? count / rowTotal : 0;
+            const color = column === label ? '46, 160, 67' : '218, 54, 51';
+            return `<td style="background: rgba(${color}, ${share.toFixed(2)})">${count}</td>`;
+        }).join('');
+        return `<tr><th>${escapeHtml(label)}</th>${cells}<td>${rowTotal}</td></tr>`;
+    }).join('\n');
+
+    const classRows = metrics.per_class.map(row => {
+        const change = comparison ? comparison.per_class.find(entry => entry.label === row.label) : null;
+        return `<tr><th>${escapeHtml(row.label)}</th><td>${row.support}</td><td>${row.predicted}</td>`
+            + `<td>${formatValue(row.precision, { suffix: '%' })}</td><td>${formatValue(row.recall, { suffix: '%' })}</td>`
+            + `<td>${formatValue(row.f1)}</td>`
+            + (comparison ? `<td>${formatValue(change.precision, { signed: true })}</td><td>${formatValue(change.recall, { signed: true })}</td>` : '')
+            + '</tr>';
+    }).join('\n');
+
+    const calibrationRows = metrics.calibration.bins.map(bin => `<tr><th>${bin.range}</th><td>${bin.count}</td>`
+        + `<td>${formatValue(bin.average_confidence, { suffix: '%' })}</td><td>${formatValue(bin.accuracy, { suffix: '%' })}</td>`
+        + `<td>${formatValue(bin.gap, { signed: true })}</td></tr>`).join('\n');
+
+    const mistakeRows = report.results
+        .filter(result => !result.correct)
+        .map(result => `<tr><td>${escapeHtml(result.file)}</td><td>${escapeHtml(result.expected)}</td>`
+            + `<td>${escapeHtml(result.predicted)}</td><td>${formatValue(result.confidence, { suffix: '%' })}</td>`
+            + `<td>${escapeHtml(result.error || '')}</td></tr>`).join('\n');
+
+    const comparisonSection = comparison ? `
+<h2>Compared with ${escapeHtml(comparison.baseline_run_id)}</h2>
+${comparison.same_dataset ? '' : '<p class="warning">The baseline used different images or labels - these differences are not a fair comparison.</p>'}
+<table>
+<tr><th>Accuracy</th><td>${formatValue(comparison.accuracy, { signed: true, suffix: ' points' })}</td></tr>
+<tr><th>Macro F1</th><td>${formatValue(comparison.macro_f1, { signed: true })}</td></tr>
+<tr><th>Calibration error (lower is better)</th><td>${formatValue(comparison.expected_calibration_error, { signed: true })}</td></tr>
+<tr><th>Failed analyses</th><td>${formatValue(comparison.failed, { signed: true })}</td></tr>
+<tr><th>Baseline configuration</th><td>${escapeHtml(JSON.stringify(comparison.baseline_configuration))}</td></tr>
+</table>` : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Rescan accuracy - ${escapeHtml(run.id)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2328; }
+table { border-collapse: collapse; margin-bottom: 1.5rem; }
+th, td { border: 1px solid #d0d7de; padding: 0.3rem 0.6rem; text-align: right; }
+th { background: #f6f8fa; }
+.warning { color: #cf222e; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>Rescan RIC accuracy</h1>
+<table>
+<tr><th>Run</th><td>${escapeHtml(run.id)}</td></tr>
+<tr><th>Provider / model</th><td>${escapeHtml(run.configuration.provider)} / ${escapeHtml(run.configuration.models.join(', '))}</td></tr>
+<tr><th>Prompt version</th><td>${escapeHtml(run.configuration.prompt_version)}</td></tr>
+<tr><th>Images</th><td>${metrics.totals.images} (${metrics.totals.failed} failed)</td></tr>
+<tr><th>Dataset fingerprint</th><td>${escapeHtml(run.dataset.fingerprint.slice(0, 16))}</td></tr>
+<tr><th>Accuracy</th><td>${formatValue(metrics.totals.accuracy, { suffix: '%' })}</td></tr>
+<tr><th>Macro precision / recall / F1</th><td>${formatValue(metrics.macro.precision)} / ${formatValue(metrics.macro.recall)} / ${formatValue(metrics.macro.f1)}</td></tr>
+<tr><th>Calibration error</th><td>${formatValue(metrics.calibration.expected_calibration_error)}</td></tr>
+</table>
+${comparisonSection}
+<h2>Confusion matrix</h2>
+<p>Rows: correct code. Columns: the AI's answer.</p>
+<table>
+<tr><th></th>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}<th>Total</th></tr>
+${matrixRows}
+</table>
+<h2>Per code</h2>
+<table>
+<tr><th>Code</th><th>Images</th><th>Predicted</th><th>Precision</th><th>Recall</th><th>F1</th>${comparison ? '<th>Precision change</th><th>Recall change</th>' : ''}</tr>
+${classRows}
+</table>
+<h2>Confidence calibration</h2>
+<p>Average confidence when right: ${formatValue(metrics.calibration.average_confidence_correct, { suffix: '%' })},
+when wrong: ${formatValue(metrics.calibration.average_confidence_incorrect, { suffix: '%' })}.
+A positive gap means the AI is overconfident.</p>
+<table>
+<tr><th>Confidence</th><th>Answers</th><th>Avg confidence</th><th>Accuracy</th><th>Gap</th></tr>
+${calibrationRows}
+</table>
+<h2>Mistakes</h2>
+<table>
+<tr><th>Image</th><th>Expected</th><th>Answer</th><th>Confidence</th><th>Error</th></tr>
+${mistakeRows || '<tr><td colspan="5">None</td></tr>'}
+</table>
+</body>
+</html>
+`;
+}
+
+async function evaluateAccuracy(argv) {
+    const options = parseArgs(argv);
+    if (!options) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    try {
+        // Educational Note: Pin everything that can change the answer, so the
+        // run measures exactly one provider and one prompt version
+        if (options.provider) {
+            aiService.setProvider(options.provider);
+        }
+        promptService.setVersion(options.prompt || promptService.activeVersion);
+        analysisCacheService.enabled = options.useCache && analysisCacheService.enabled;
+
+        const provider = aiService.getProvider();
+        if (!await aiService.initialize()) {
+            console.error(`❌ AI provider "${provider.name}" is not ready: ${provider.configurationHint}`);
+            process.exit(1);
+        }
+
+        const baseline = options.baseline ? JSON.parse(await fs.readFile(options.baseline, 'utf8')) : null;
+
+        const imagesDir = path.resolve(options.imagesDir);
+        const images = await loadDataset(imagesDir);
+        if (images.length === 0) {
+            console.error(`❌ No labeled images found. Put photos in subfolders named ${LABELS.join(', ')} of ${imagesDir}`);
+            process.exit(1);
+        }
+
+        // Educational Note: The fingerprint covers every file's content and label,
+        // so runs are only reported as comparable when they used the very same set
+        const fingerprintLines = [];
+        for (const image of images) {
+            fingerprintLines.push(`${image.file}:${await hashFile(image.path)}`);
+        }
+        const fingerprint = crypto.createHash('sha256').update(fingerprintLines.join('\n')).digest('hex');
+
+        const startedAt = new Date();
+        const runId = `${startedAt.toISOString().replace(/[:.]/g, '-')}-${provider.name}-${promptService.activeVersion}`;
+        console.log(`🔬 Evaluating ${images.length} images with ${provider.name} (${provider.model}), prompt ${promptService.activeVersion}`);
+
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rescan-eval-'));
+        const results = [];
+        try {
+            // Educational Note: One image at a time keeps within provider rate limits
+            for (const image of images) {
+                const result = await evaluateImage(image, tempDir);
+                results.push(result);
+                const mark = result.correct ? '✅' : '❌';
+                console.log(`${mark} [${results.length}/${images.length}] ${result.file}: expected ${result.expected}, got ${result.predicted}`
+                    + (result.error ? ` (${result.error})` : ''));
+            }
+        } finally {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        }
+
+        const report = {
+            run: {
+                id: runId,
+                started_at: startedAt.toISOString(),
+                duration_ms: Date.now() - startedAt.getTime(),
+                configuration: {
+                    provider: provider.name,
+                    models: [...new Set(results.map(result => result.model).filter(Boolean))],
+                    prompt_version: promptService.activeVersion,
+                    structured_output: aiService.structuredOutput,
+                    cache: analysisCacheService.enabled
+                },
+                dataset: {
+                    path: imagesDir,
+                    images: images.length,
+                    by_label: Object.fromEntries(LABELS.map(label => [label, images.filter(image => image.expected === label).length])),
+                    fingerprint
+                }
+            },
+            metrics: summarize(results),
+            comparison: null,
+            results
+        };
+        if (baseline) {
+            report.comparison = compareRuns(report, baseline);
+        }
+
+        const outDir = path.resolve(options.outDir);
+        await fs.mkdir(outDir, { recursive: true });
+        const jsonPath = path.join(outDir, `${runId}.json`);
+        const htmlPath = path.join(outDir, `${runId}.html`);
+        await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
+        await fs.writeFile(htmlPath, renderHtmlReport(report));
+
+        const { totals, macro, calibration } = report.metrics;
+        console.log(`📊 Accuracy ${formatValue(totals.accuracy, { suffix: '%' })} (${totals.correct}/${totals.images}, ${totals.failed} failed), `
+            + `macro F1 ${formatValue(macro.f1)}, calibration error ${formatValue(calibration.expected_calibration_error)}`);
+        if (report.comparison) {
+            if (!report.comparison.same_dataset) {
+                console.warn('⚠️ The baseline used different images or labels - the changes below are not a fair comparison');
+            }
+            console.log(`📈 Compared with ${report.comparison.baseline_run_id}: accuracy ${formatValue(report.comparison.accuracy, { signed: true })}, `
+                + `macro F1 ${formatValue(report.comparison.macro_f1, { signed: true })}, `
+                + `calibration error ${formatValue(report.comparison.expected_calibration_error, { signed: true })}`);
+        }
+        console.log(`📝 Reports written to ${jsonPath} and ${htmlPath}`);
+
+        process.exit(0);
+
+    } catch (error) {
+        console.error('❌ Evaluation failed:', error.message);
+        process.exit(1);
+    }
+}
+
+// Educational Note: Run the evaluation if this file is executed directly
+if (require.main === module) {
+    evaluateAccuracy(process.argv.slice(2));
+}
+
+module.exports = { evaluateAccuracy, loadDataset, renderHtmlReport };
@@ -0,0 +1,45 @@
+/**
+ * Role Assignment Script for Rescan Educational Project
+ *
+ * Usage: npm run user:role -- <username> <student|teacher|admin>
+ *
+ * Educational Focus: Bootstrapping - the first admin cannot be created through
+ * the API (only admins may change roles), so it is done from the command line
+ * by someone with access to the server.
+ */
+
+const dbService = require('../services/dbService');
+const { User, UserRepository } = require('../models/user');
+
+async function setUserRole(username, role) {
+    if (!username || !User.ROLES.includes(role)) {
+        console.error(`Usage: npm run user:role -- <username> <${User.ROLES.join('|')}>`);
+        process.exit(1);
+    }
+
+    try {
+        const userRepository = new UserRepository(dbService);
+
+        const credentials = await userRepository.findCredentials(username);
+        if (!credentials) {
+            console.error(`❌ No active user named "${username}"`);
+            process.exit(1);
+        }
+
+        const user = await userRepository.setRole(credentials.user.id, role);
+        console.log(`🎓 ${user.username} (id ${user.id}) now has the ${user.role} role`);
+
+        process.exit(0);
+
+    } catch (error) {
+        console.error('❌ Role update failed:', error.message);
+        process.exit(1);
+    }
+}
+
+// Educational Note: Run the script if this file is executed directly
+if (require.main === module) {
+    setUserRole(process.argv[2], process.argv[3]);
+}
+
+module.exports = { setUserRole };
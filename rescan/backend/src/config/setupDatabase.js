@@ -81,6 +81,218 @@ async function createTables(dbService) {
         )
     `;
     
+    // Educational Note: Users table for the class roster (soft deleted via is_active)
+    const createUsersTable = `
+        CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username VARCHAR(50) NOT NULL UNIQUE COLLATE NOCASE,
+            display_name VARCHAR(100) NOT NULL,
+            email VARCHAR(255) UNIQUE COLLATE NOCASE,
+            points INTEGER DEFAULT 0 NOT NULL CHECK (points >= 0),
+            level INTEGER DEFAULT 1 NOT NULL CHECK (level >= 1),
+            scans_count INTEGER DEFAULT 0 NOT NULL CHECK (scans_count >= 0),
+            preferred_language VARCHAR(10) DEFAULT 'en',
+            educational_level VARCHAR(50) DEFAULT 'beginner',
+            completed_tutorials TEXT,
+            achievement_badges TEXT,
+            is_active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_login DATETIME,
+            CONSTRAINT chk_username_length CHECK (length(username) >= 3),
+            CONSTRAINT chk_display_name_length CHECK (length(display_name) >= 1),
+            CONSTRAINT chk_valid_language CHECK (preferred_language IN ('en', 'es', 'fr', 'de')),
+            CONSTRAINT chk_valid_edu_level CHECK (educational_level IN ('beginner', 'intermediate', 'advanced'))
+        )
+    `;
+    
+    // Educational Note: Login sessions so signed tokens can be revoked on logout
+    const createUserSessionsTable = `
+        CREATE TABLE IF NOT EXISTS user_sessions (
+            id TEXT PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME,
+            FOREIGN KEY (user_id) REFERENCES users (id)
+        )
+    `;
+    
+    // Educational Note: Community-submitted recycling locations awaiting admin verification
+    const createLocationsTable = `
+        CREATE TABLE IF NOT EXISTS locations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name VARCHAR(200) NOT NULL,
+            type VARCHAR(50) NOT NULL,
+            street_address VARCHAR(255),
+            city VARCHAR(100) NOT NULL,
+            state VARCHAR(50) NOT NULL,
+            zip_code VARCHAR(20),
+            country VARCHAR(100) DEFAULT 'USA',
+            phone VARCHAR(20),
+            website_url VARCHAR(500),
+            hours_of_operation TEXT,
+            accepted_materials TEXT,
+            special_notes TEXT,
+            submitted_by_user_id INTEGER,
+            is_active BOOLEAN DEFAULT 1,
+            is_verified BOOLEAN DEFAULT 0,
+            verified_by_user_id INTEGER,
+            verification_date DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (submitted_by_user_id) REFERENCES users (id),
+            FOREIGN KEY (verified_by_user_id) REFERENCES users (id),
+            CONSTRAINT chk_location_type CHECK (type IN (
+                'recycling_center', 'drop_off_point', 'collection_site',
+                'curbside_pickup', 'special_event'
+            ))
+        )
+    `;
+    
+    // Educational Note: Classes belong to a teacher; students join with a short code
+    const createClassesTable = `
+        CREATE TABLE IF NOT EXISTS classes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name VARCHAR(100) NOT NULL,
+            section VARCHAR(50),
+            description TEXT,
+            teacher_id INTEGER NOT NULL,
+            join_code VARCHAR(12) NOT NULL UNIQUE,
+            is_active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (teacher_id) REFERENCES users (id),
+            CONSTRAINT chk_class_name_length CHECK (length(trim(name)) >= 1)
+        )
+    `;
+    
+    // Educational Note: Many-to-many link between classes and students (the roster)
+    const createClassEnrollmentsTable = `
+        CREATE TABLE IF NOT EXISTS class_enrollments (
+            class_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            enrolled_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (class_id, user_id),
+            FOREIGN KEY (class_id) REFERENCES classes (id),
+            FOREIGN KEY (user_id) REFERENCES users (id)
+        )
+    `;
+    
+    // Educational Note: Badges a user has unlocked (rules live in achievementService.js)
+    const createUserAchievementsTable = `
+        CREATE TABLE IF NOT EXISTS user_achievements (
+            user_id INTEGER NOT NULL,
+            achievement_id TEXT NOT NULL,
+            scan_session_id TEXT,
+            unlocked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, achievement_id),
+            FOREIGN KEY (user_id) REFERENCES users (id),
+            FOREIGN KEY (scan_session_id) REFERENCES scan_sessions (id)
+        )
+    `;
+    
+    // Educational Note: Per-topic learning progress; scans update the recycling_symbols row
+    const createUserProgressTable = `
+        CREATE TABLE IF NOT EXISTS user_progress (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            topic VARCHAR(100) NOT NULL,
+            current_level INTEGER DEFAULT 1 CHECK (current_level >= 1),
+            experience_points INTEGER DEFAULT 0 CHECK (experience_points >= 0),
+            mastery_percentage DECIMAL(5,2) DEFAULT 0.00,
+            questions_attempted INTEGER DEFAULT 0,
+            questions_correct INTEGER DEFAULT 0,
+            scans_completed INTEGER DEFAULT 0,
+            tutorials_completed INTEGER DEFAULT 0,
+            streak_days INTEGER DEFAULT 0,
+            longest_streak_days INTEGER DEFAULT 0,
+            last_activity_date DATE,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id),
+            UNIQUE (user_id, topic),
+            CONSTRAINT chk_valid_topic CHECK (topic IN (
+                'recycling_symbols', 'material_types', 'environmental_impact',
+                'sorting_techniques', 'local_programs', 'waste_reduction'
+            ))
+        )
+    `;
+    
+    // Educational Note: One row per item found in a scan photo (a pile can hold several)
+    const createScanItemsTable = `
+        CREATE TABLE IF NOT EXISTS scan_items (
+            scan_session_id TEXT NOT NULL,
+            item_index INTEGER NOT NULL,
+            material_type TEXT,
+            ric_code INTEGER,
+            confidence INTEGER DEFAULT 0,
+            is_recyclable INTEGER DEFAULT 0,
+            points_earned INTEGER DEFAULT 0,
+            description TEXT,
+            box_x REAL,
+            box_y REAL,
+            box_width REAL,
+            box_height REAL,
+            PRIMARY KEY (scan_session_id, item_index),
+            FOREIGN KEY (scan_session_id) REFERENCES scan_sessions (id)
+        )
+    `;
+    
+    // Educational Note: Persistent queue of uploads waiting for AI analysis (see scanJobService.js)
+    const createScanJobsTable = `
+        CREATE TABLE IF NOT EXISTS scan_jobs (
+            id TEXT PRIMARY KEY,
+            status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'failed')),
+            stage TEXT NOT NULL DEFAULT 'queued',
+            progress INTEGER NOT NULL DEFAULT 0 CHECK (progress BETWEEN 0 AND 100),
+            user_id INTEGER,
+            file_path TEXT NOT NULL,
+            original_filename TEXT,
+            file_size_bytes INTEGER,
+            file_mime_type TEXT,
+            context TEXT,
+            result TEXT,
+            error TEXT,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            started_at DATETIME,
+            completed_at DATETIME,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id)
+        )
+    `;
+    
+    // Educational Note: Reusable AI answers keyed by image, prompt version and model (see analysisCacheService.js)
+    const createAnalysisCacheTable = `
+        CREATE TABLE IF NOT EXISTS ai_analysis_cache (
+            cache_key TEXT PRIMARY KEY,
+            content_hash TEXT NOT NULL,
+            prompt_version TEXT NOT NULL,
+            model TEXT NOT NULL,
+            result TEXT NOT NULL,
+            hit_count INTEGER NOT NULL DEFAULT 0,
+            created_at DATETIME NOT NULL,
+            last_used_at DATETIME NOT NULL,
+            expires_at DATETIME NOT NULL
+        )
+    `;
+    
+    // Educational Note: One row per AI request - was the reply valid, repaired or unusable? (see aiOutcomeService.js)
+    const createAIResponseOutcomesTable = `
+        CREATE TABLE IF NOT EXISTS ai_response_outcomes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            provider TEXT NOT NULL,
+            model TEXT,
+            prompt_version TEXT,
+            outcome TEXT NOT NULL CHECK (outcome IN ('valid', 'repaired', 'failed')),
+            attempts INTEGER NOT NULL DEFAULT 1,
+            error_type TEXT,
+            error_details TEXT,
+            created_at DATETIME NOT NULL
+        )
+    `;
+    
     // Educational Note: Execute table creation commands
     await new Promise((resolve, reject) => {
         dbService.db.exec(createAddressesTable, (err) => {
@@ -98,11 +310,113 @@ async function createTables(dbService) {
     });
     console.log('✅ Scan sessions table created');
     
+    await new Promise((resolve, reject) => {
+        dbService.db.exec(createUsersTable, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+    console.log('✅ Users table created');
+    
+    await new Promise((resolve, reject) => {
+        dbService.db.exec(createUserSessionsTable, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+    console.log('✅ User sessions table created');
+    
+    await new Promise((resolve, reject) => {
+        dbService.db.exec(createLocationsTable, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+    console.log('✅ Locations table created');
+    
+    await new Promise((resolve, reject) => {
+        dbService.db.exec(createClassesTable, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+    console.log('✅ Classes table created');
+    
+    await new Promise((resolve, reject) => {
+        dbService.db.exec(createClassEnrollmentsTable, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+    console.log('✅ Class enrollments table created');
+    
+    await new Promise((resolve, reject) => {
+        dbService.db.exec(createUserAchievementsTable, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+    console.log('✅ User achievements table created');
+    
+    await new Promise((resolve, reject) => {
+        dbService.db.exec(createUserProgressTable, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+    console.log('✅ User progress table created');
+    
+    await new Promise((resolve, reject) => {
+        dbService.db.exec(createScanItemsTable, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+    console.log('✅ Scan items table created');
+    
+    await new Promise((resolve, reject) => {
+        dbService.db.exec(createScanJobsTable, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+    console.log('✅ Scan jobs table created');
+    
+    await new Promise((resolve, reject) => {
+        dbService.db.exec(createAnalysisCacheTable, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+    console.log('✅ AI analysis cache table created');
+    
+    await new Promise((resolve, reject) => {
+        dbService.db.exec(createAIResponseOutcomesTable, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+    console.log('✅ AI response outcomes table created');
+    
+    // Educational Note: Bring existing databases up to date before adding indexes
+    await migrateTables(dbService);
+    
     // Educational Note: Create indexes for better performance
     const createIndexes = `
         CREATE INDEX IF NOT EXISTS idx_addresses_street ON addresses(street_address);
         CREATE INDEX IF NOT EXISTS idx_scan_sessions_address ON scan_sessions(address_id);
         CREATE INDEX IF NOT EXISTS idx_scan_sessions_created ON scan_sessions(created_at);
+        CREATE INDEX IF NOT EXISTS idx_users_active ON users(is_active);
+        CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+        CREATE INDEX IF NOT EXISTS idx_scan_sessions_user ON scan_sessions(user_id);
+        CREATE INDEX IF NOT EXISTS idx_locations_verified ON locations(is_verified);
+        CREATE INDEX IF NOT EXISTS idx_classes_teacher ON classes(teacher_id);
+        CREATE INDEX IF NOT EXISTS idx_class_enrollments_user ON class_enrollments(user_id);
+        CREATE INDEX IF NOT EXISTS idx_scan_sessions_duplicate ON scan_sessions(duplicate_of);
+        CREATE INDEX IF NOT EXISTS idx_scan_items_ric ON scan_items(ric_code);
+        CREATE INDEX IF NOT EXISTS idx_scan_jobs_status ON scan_jobs(status, created_at);
+        CREATE INDEX IF NOT EXISTS idx_ai_analysis_cache_used ON ai_analysis_cache(last_used_at);
+        CREATE INDEX IF NOT EXISTS idx_ai_response_outcomes_created ON ai_response_outcomes(created_at);
     `;
     
     await new Promise((resolve, reject) => {
@@ -114,6 +428,86 @@ async function createTables(dbService) {
     console.log('✅ Database indexes created');
 }
 
+/**
+ * Columns added to existing tables after their first release
+ * 
+ * Educational Note: CREATE TABLE IF NOT EXISTS never changes a table that is
+ * already there, so new columns are added with ALTER TABLE instead
+ */
+const COLUMN_MIGRATIONS = {
+    scan_sessions: {
+        bonus_points: 'INTEGER DEFAULT 0',
+        processing_time_ms: 'INTEGER',
+        image_dimensions: 'TEXT',
+        scan_method: 'TEXT DEFAULT \'upload\'',
+        device_type: 'TEXT DEFAULT \'unknown\'',
+        educational_content: 'TEXT',
+        corrected_material_type: 'TEXT',
+        corrected_ric_code: 'INTEGER',
+        user_id: 'INTEGER REFERENCES users (id)',
+        content_hash: 'TEXT',
+        perceptual_hash: 'TEXT',
+        duplicate_of: 'TEXT REFERENCES scan_sessions (id)',
+        duplicate_reason: 'TEXT CHECK (duplicate_reason IN (\'exact\', \'similar\'))',
+        item_count: 'INTEGER DEFAULT 1',
+        image_deleted_at: 'TEXT',
+        storage_backend: 'TEXT',
+        storage_key: 'TEXT',
+        prompt_version: 'TEXT',
+        ai_provider: 'TEXT',
+        ai_model: 'TEXT',
+        ai_requests: 'INTEGER DEFAULT 0',
+        ai_prompt_tokens: 'INTEGER DEFAULT 0',
+        ai_completion_tokens: 'INTEGER DEFAULT 0',
+        ai_latency_ms: 'INTEGER',
+        ai_cost_usd: 'REAL DEFAULT 0'
+    },
+    users: {
+        password_hash: 'TEXT',
+        role: 'TEXT DEFAULT \'student\' CHECK (role IN (\'student\', \'teacher\', \'admin\'))'
+    }
+};
+
+/**
+ * Add any missing columns to existing tables and backfill user totals (safe to run repeatedly)
+ */
+async function migrateTables(dbService) {
+    for (const [table, columns] of Object.entries(COLUMN_MIGRATIONS)) {
+        // Educational Note: PRAGMA table_info lists the columns a table already has
+        const existing = await new Promise((resolve, reject) => {
+            dbService.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows.map(row => row.name));
+            });
+        });
+        
+        for (const [column, definition] of Object.entries(columns)) {
+            if (existing.includes(column)) {
+                continue;
+            }
+            
+            await new Promise((resolve, reject) => {
+                dbService.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+            console.log(`✅ Added column ${table}.${column}`);
+        }
+    }
+    
+    // Educational Note: users.points and scans_count only started counting scans
+    // later - students with older scans get them counted once (afterwards
+    // scans_count is above 0, so this finds nothing)
+    await dbService.run(`
+        UPDATE users
+        SET points = (SELECT COALESCE(SUM(points_earned), 0) FROM scan_sessions WHERE user_id = users.id),
+            scans_count = (SELECT COUNT(*) FROM scan_sessions WHERE user_id = users.id)
+        WHERE scans_count = 0
+          AND EXISTS (SELECT 1 FROM scan_sessions WHERE user_id = users.id)
+    `);
+}
+
 /**
  * Create sample data for educational testing
  */
@@ -165,4 +559,4 @@ if (require.main === module) {
     setupDatabase();
 }
 
-module.exports = { setupDatabase, createTables, createSampleData };
\ No newline at end of file
+module.exports = { setupDatabase, createTables, migrateTables, createSampleData };
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * Authentication Middleware for Rescan Educational Project
+ * =======================================================
+ *
+ * Educational Focus: Learn how Express middleware protects routes and
+ * passes information (the logged-in user) to later handlers.
+ *
+ * Key Learning Concepts:
+ * - Bearer tokens in the Authorization header
+ * - Attaching data to the request object (req.user)
+ * - Required vs optional authentication
+ */
+
+const authService = require('../services/authService');
+const dbService = require('../services/dbService');
+const { UserRepository } = require('../models/user');
+const { createError } = require('./errorHandler');
+
+const userRepository = new UserRepository(dbService);
+
+// Educational Note: Errors thrown by jsonwebtoken for invalid, expired or early tokens
+const TOKEN_ERRORS = ['JsonWebTokenError', 'TokenExpiredError', 'NotBeforeError'];
+
+/**
+ * Educational Function: Read the Bearer token from a request
+ *
+ * @param {express.Request} req
+ * @returns {string|null} Token, or null when the header is missing
+ */
+function extractToken(req) {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+/**
+ * Educational Function: Resolve a token to an active user
+ *
+ * @returns {Promise<{user: User, sessionId: string}>}
+ * @throws {AppError} 401 when the token or its user is not valid
+ */
+async function resolveUser(token) {
+  try {
+    const { userId, sessionId } = await authService.verifyToken(token);
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw createError.unauthorized('Account is no longer active');
+    }
+    return { user, sessionId };
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw createError.unauthorized('Token expired. Please log in again.');
+    }
+    if (TOKEN_ERRORS.includes(error.name)) {
+      throw createError.unauthorized(`Invalid token: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Educational Middleware: Require Authentication
+ *
+ * Rejects the request with 401 unless a valid token is sent.
+ * On success, req.user is the logged-in User and req.sessionId its session.
+ *
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @param {express.NextFunction} next
+ */
+async function authenticate(req, res, next) {
+  try {
+    const token = extractToken(req);
+    if (!token) {
+      throw createError.unauthorized('Authentication required - send "Authorization: Bearer <token>"');
+    }
+
+    const { user, sessionId } = await resolveUser(token);
+    req.user = user;
+    req.sessionId = sessionId;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Educational Middleware: Optional Authentication
+ *
+ * Attaches req.user when a valid token is sent, but lets anonymous requests through
+ */
+async function optionalAuth(req, res, next) {
+  const token = extractToken(req);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const { user, sessionId } = await resolveUser(token);
+    req.user = user;
+    req.sessionId = sessionId;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Educational Middleware Factory: Require Role
+ *
+ * Use after authenticate: router.patch('/points', authenticate, requireRole('admin'), ...)
+ * Learn about: authentication (who you are) vs authorization (what you may do)
+ *
+ * @param {...string} roles - Roles allowed to continue
+ * @returns {Function} Express middleware
+ */
+function requireRole(...roles) {
+  return function requireRoleMiddleware(req, res, next) {
+    if (!req.user) {
+      return next(createError.unauthorized('Authentication required'));
+    }
+    if (!req.user.hasRole(...roles)) {
+      return next(createError.forbiddenRole(roles, req.user.role));
+    }
+    next();
+  };
+}
+
+/**
+ * Educational Function: Check Ownership or Role
+ *
+ * Students may only touch their own data; the listed roles may touch anyone's
+ *
+ * @param {User} user - Logged-in user (req.user)
+ * @param {number|null} ownerId - User ID that owns the resource
+ * @param {...string} roles - Roles that may act on other users' data
+ * @throws {AppError} 403 when neither condition holds
+ */
+function assertOwnerOrRole(user, ownerId, ...roles) {
+  if (user.id === ownerId || user.hasRole(...roles)) {
+    return;
+  }
+  throw createError.forbidden(`You can only access your own data (or have the ${roles.join(' or ')} role)`);
+}
+
+// Educational Export: Make authentication middleware available to routes
+module.exports = {
+  authenticate,
+  optionalAuth,
+  requireRole,
+  assertOwnerOrRole,
+  extractToken
+};
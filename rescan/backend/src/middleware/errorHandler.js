@@ -48,6 +48,10 @@ const createError = {
   forbidden: (message = 'Forbidden - insufficient permissions') => 
     new AppError(message, 403),
     
+  // 403 Forbidden - Logged in, but the user's role is not allowed to do this
+  forbiddenRole: (allowedRoles = [], userRole = 'unknown') => 
+    new AppError(`Forbidden - requires the ${allowedRoles.join(' or ')} role (you are: ${userRole})`, 403),
+    
   // 404 Not Found - Resource doesn't exist
   notFound: (message = 'Resource not found') => 
     new AppError(message, 404),
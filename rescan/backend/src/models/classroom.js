@@ -0,0 +1,434 @@
+/**
+ * Educational Model: Classroom
+ *
+ * A teacher's class (or section) and the students enrolled in it
+ * Learn about: many-to-many relationships, join codes, aggregate queries
+ *
+ * Educational Note: Named Classroom because "class" is a reserved word in JavaScript
+ */
+
+const crypto = require('crypto');
+const Joi = require('joi');
+const { User } = require('./user');
+
+// Educational Note: No 0/O or 1/I/L, so codes are easy to read off a projector
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+
+/**
+ * Educational Class: Classroom
+ *
+ * Converts between database rows and API responses
+ */
+class Classroom {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.name = data.name;
+    this.section = data.section || null;
+    this.description = data.description || null;
+    this.teacher_id = data.teacher_id;
+    this.teacher_name = data.teacher_name || null;
+    this.join_code = data.join_code;
+    this.student_count = data.student_count || 0;
+    this.is_active = data.is_active !== false;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Educational Method: Convert to API Response
+   *
+   * @param {Object} options - { includeJoinCode } only the teacher and admins see the code
+   */
+  toApiResponse({ includeJoinCode = false } = {}) {
+    const response = {
+      id: this.id,
+      name: this.name,
+      section: this.section,
+      description: this.description,
+      teacher_id: this.teacher_id,
+      teacher_name: this.teacher_name,
+      student_count: this.student_count,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+    if (includeJoinCode) {
+      response.join_code = this.join_code;
+    }
+    return response;
+  }
+
+  /**
+   * Educational Static Method: Create from Database Record
+   */
+  static fromDbRecord(row) {
+    return new Classroom({
+      ...row,
+      is_active: row.is_active === 1
+    });
+  }
+
+  /**
+   * Educational Static Method: Generate a Join Code
+   *
+   * Learn about: crypto.randomInt for unpredictable values (Math.random is guessable)
+   *
+   * @returns {string} e.g. "K7PM2X"
+   */
+  static generateJoinCode() {
+    let code = '';
+    for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+      code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+    }
+    return code;
+  }
+}
+
+/**
+ * Educational Note: Joi schemas validate request data before it reaches the database
+ */
+Classroom.createSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  section: Joi.string().trim().max(50).allow(null, ''),
+  description: Joi.string().trim().max(1000).allow(null, '')
+});
+
+Classroom.updateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  section: Joi.string().trim().max(50).allow(null, ''),
+  description: Joi.string().trim().max(1000).allow(null, '')
+}).min(1).messages({ 'object.min': 'Provide at least one field to update' });
+
+Classroom.joinSchema = Joi.object({
+  join_code: Joi.string().trim().uppercase().length(JOIN_CODE_LENGTH).required()
+});
+
+Classroom.enrollSchema = Joi.object({
+  user_id: Joi.number().integer().min(1),
+  username: Joi.string().trim()
+}).xor('user_id', 'username').messages({ 'object.missing': 'Provide user_id or username' });
+
+Classroom.statsSchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+});
+
+/**
+ * Educational Class: ClassroomRepository
+ *
+ * Database operations for classes and their enrollments
+ * Learn about: JOINs, GROUP BY, retrying on UNIQUE constraint collisions
+ */
+class ClassroomRepository {
+  constructor(dbService) {
+    this.dbService = dbService;
+  }
+
+  async ensureConnection() {
+    if (!this.dbService.db) {
+      await this.dbService.initialize();
+    }
+  }
+
+  /**
+   * Educational Note: Every class query adds the teacher's name and the roster size
+   */
+  selectClasses(where) {
+    return `
+      SELECT c.*, t.display_name AS teacher_name,
+        (SELECT COUNT(*) FROM class_enrollments e
+          JOIN users u ON u.id = e.user_id AND u.is_active = 1
+          WHERE e.class_id = c.id) AS student_count
+      FROM classes c
+      JOIN users t ON t.id = c.teacher_id
+      ${where}
+      ORDER BY c.name ASC, c.id ASC
+    `;
+  }
+
+  /**
+   * Educational Method: Create a Class
+   *
+   * Educational Note: Join codes are random, so a collision is possible but rare -
+   * the UNIQUE constraint catches it and we simply try another code
+   *
+   * @returns {Promise<Classroom>}
+   */
+  async create({ name, section = null, description = null }, teacherId) {
+    await this.ensureConnection();
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await this.dbService.run(
+          'INSERT INTO classes (name, section, description, teacher_id, join_code) VALUES (?, ?, ?, ?, ?)',
+          [name, section || null, description || null, teacherId, Classroom.generateJoinCode()]
+        );
+        console.log(`🏫 Class ${result.lastID} created by teacher ${teacherId}`);
+        return this.findById(result.lastID);
+      } catch (error) {
+        if (attempt >= 5 || !/UNIQUE constraint failed: classes\.join_code/.test(error.message)) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Educational Method: Find Active Class by ID
+   *
+   * @returns {Promise<Classroom|null>}
+   */
+  async findById(id) {
+    await this.ensureConnection();
+
+    const row = await this.dbService.get(this.selectClasses('WHERE c.id = ? AND c.is_active = 1'), [id]);
+    return row ? Classroom.fromDbRecord(row) : null;
+  }
+
+  /**
+   * Educational Method: Find Active Class by Join Code
+   *
+   * @returns {Promise<Classroom|null>}
+   */
+  async findByJoinCode(joinCode) {
+    await this.ensureConnection();
+
+    const row = await this.dbService.get(this.selectClasses('WHERE c.join_code = ? AND c.is_active = 1'), [joinCode]);
+    return row ? Classroom.fromDbRecord(row) : null;
+  }
+
+  /**
+   * Educational Method: List Classes Visible to a User
+   *
+   * - admin: every class
+   * - teacher: classes they teach
+   * - student: classes they are enrolled in
+   *
+   * @param {User} user - Logged-in user
+   * @returns {Promise<Classroom[]>}
+   */
+  async listForUser(user) {
+    await this.ensureConnection();
+
+    let where = 'WHERE c.is_active = 1';
+    const params = [];
+    if (user.hasRole('teacher')) {
+      where += ' AND c.teacher_id = ?';
+      params.push(user.id);
+    } else if (!user.hasRole('admin')) {
+      where += ' AND c.id IN (SELECT class_id FROM class_enrollments WHERE user_id = ?)';
+      params.push(user.id);
+    }
+
+    const rows = await this.dbService.all(this.selectClasses(where), params);
+    return rows.map(row => Classroom.fromDbRecord(row));
+  }
+
+  /**
+   * Educational Method: Update Class Details
+   *
+   * @param {Object} changes - Validated output of Classroom.updateSchema
+   * @returns {Promise<Classroom|null>}
+   */
+  async update(id, changes) {
+    await this.ensureConnection();
+
+    const columns = Object.keys(changes);
+    await this.dbService.run(
+      `UPDATE classes SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND is_active = 1`,
+      [...columns.map(column => changes[column] || null), id]
+    );
+    return this.findById(id);
+  }
+
+  /**
+   * Educational Method: Replace the Join Code
+   *
+   * Useful when a code leaks outside the classroom; the old code stops working at once
+   *
+   * @returns {Promise<Classroom|null>}
+   */
+  async regenerateJoinCode(id) {
+    await this.ensureConnection();
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.dbService.run(
+          'UPDATE classes SET join_code = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND is_active = 1',
+          [Classroom.generateJoinCode(), id]
+        );
+        return this.findById(id);
+      } catch (error) {
+        if (attempt >= 5 || !/UNIQUE constraint failed: classes\.join_code/.test(error.message)) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Educational Method: Archive a Class
+   *
+   * Soft delete - the roster and scan history stay available for grading records
+   *
+   * @returns {Promise<boolean>} True when an active class was archived
+   */
+  async archive(id) {
+    await this.ensureConnection();
+
+    const result = await this.dbService.run(
+      'UPDATE classes SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND is_active = 1',
+      [id]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Educational Method: Check Enrollment
+   *
+   * @returns {Promise<boolean>}
+   */
+  async isEnrolled(classId, userId) {
+    await this.ensureConnection();
+
+    const row = await this.dbService.get(
+      'SELECT 1 FROM class_enrollments WHERE class_id = ? AND user_id = ?',
+      [classId, userId]
+    );
+    return Boolean(row);
+  }
+
+  /**
+   * Educational Method: Enroll a Student
+   *
+   * Educational Note: INSERT OR IGNORE makes enrolling twice harmless
+   *
+   * @returns {Promise<boolean>} True when the student was newly enrolled
+   */
+  async enroll(classId, userId) {
+    await this.ensureConnection();
+
+    const result = await this.dbService.run(
+      'INSERT OR IGNORE INTO class_enrollments (class_id, user_id) VALUES (?, ?)',
+      [classId, userId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Educational Method: Remove a Student from a Class
+   *
+   * @returns {Promise<boolean>} True when the student was enrolled
+   */
+  async unenroll(classId, userId) {
+    await this.ensureConnection();
+
+    const result = await this.dbService.run(
+      'DELETE FROM class_enrollments WHERE class_id = ? AND user_id = ?',
+      [classId, userId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Educational Method: List Class Members
+   *
+   * @returns {Promise<Array<{user: User, enrolled_at: string}>>}
+   */
+  async listMembers(classId) {
+    await this.ensureConnection();
+
+    const rows = await this.dbService.all(`
+      SELECT u.*, e.enrolled_at
+      FROM class_enrollments e
+      JOIN users u ON u.id = e.user_id AND u.is_active = 1
+      WHERE e.class_id = ?
+      ORDER BY u.display_name COLLATE NOCASE ASC
+    `, [classId]);
+
+    return rows.map(row => ({ user: User.fromDbRecord(row), enrolled_at: row.enrolled_at }));
+  }
+
+  /**
+   * Educational Method: Aggregate Class Scan Statistics
+   *
+   * Totals per student plus per material, built from scan_sessions
+   * Learn about: LEFT JOIN (students with no scans still appear), GROUP BY
+   *
+   * @param {number} classId
+   * @param {Object} filters - { from, to } ISO timestamps (inclusive)
+   * @returns {Promise<Object>} { totals, students, by_material }
+   */
+  async getStatistics(classId, { from = null, to = null } = {}) {
+    await this.ensureConnection();
+
+    // Educational Note: Date filters go in the JOIN condition so the LEFT JOIN keeps every student
+    const scanConditions = ['s.user_id = e.user_id'];
+    const scanParams = [];
+    if (from) {
+      scanConditions.push('s.created_at >= ?');
+      scanParams.push(from);
+    }
+    if (to) {
+      scanConditions.push('s.created_at <= ?');
+      scanParams.push(to);
+    }
+    const scanJoin = scanConditions.join(' AND ');
+
+    const students = await this.dbService.all(`
+      SELECT
+        u.id AS user_id,
+        u.username,
+        u.display_name,
+        COUNT(s.id) AS scans,
+        SUM(CASE WHEN s.material_type IS NOT NULL AND s.material_type != 'unknown' THEN 1 ELSE 0 END) AS successful_scans,
+        COALESCE(SUM(s.points_earned), 0) AS points,
+        COUNT(DISTINCT CASE WHEN s.material_type != 'unknown' THEN s.material_type END) AS materials_identified,
+        MAX(s.created_at) AS last_scan_at
+      FROM class_enrollments e
+      JOIN users u ON u.id = e.user_id AND u.is_active = 1
+      LEFT JOIN scan_sessions s ON ${scanJoin}
+      WHERE e.class_id = ?
+      GROUP BY u.id
+      ORDER BY points DESC, scans DESC, u.display_name COLLATE NOCASE ASC
+    `, [...scanParams, classId]);
+
+    const byMaterial = await this.dbService.all(`
+      SELECT
+        s.material_type,
+        COUNT(*) AS scans,
+        SUM(s.points_earned) AS points,
+        SUM(s.is_recyclable) AS recyclable_scans
+      FROM class_enrollments e
+      JOIN users u ON u.id = e.user_id AND u.is_active = 1
+      JOIN scan_sessions s ON ${scanJoin}
+      WHERE e.class_id = ?
+      GROUP BY s.material_type
+      ORDER BY scans DESC
+    `, [...scanParams, classId]);
+
+    const totalScans = students.reduce((sum, row) => sum + row.scans, 0);
+    const totalPoints = students.reduce((sum, row) => sum + row.points, 0);
+
+    return {
+      totals: {
+        students: students.length,
+        active_students: students.filter(row => row.scans > 0).length,
+        scans: totalScans,
+        successful_scans: students.reduce((sum, row) => sum + row.successful_scans, 0),
+        points: totalPoints,
+        average_points_per_student: students.length > 0
+          ? Math.round((totalPoints / students.length) * 10) / 10 : 0
+      },
+      students,
+      by_material: byMaterial
+    };
+  }
+}
+
+// Educational Note: Export classes for use in application
+module.exports = {
+  Classroom,
+  ClassroomRepository
+};
@@ -0,0 +1,131 @@
+/**
+ * Educational Model: Location
+ *
+ * Community-submitted recycling locations and their verification status
+ * Learn about: moderation workflows, JSON columns, audit fields
+ */
+
+/**
+ * Educational Class: Location
+ *
+ * Converts between database rows and API responses
+ */
+class Location {
+  constructor(data = {}) {
+    Object.assign(this, data);
+    this.accepted_materials = data.accepted_materials || [];
+    this.is_active = data.is_active !== false;
+    this.is_verified = data.is_verified === true;
+  }
+
+  /**
+   * Educational Static Method: Create from Database Record
+   */
+  static fromDbRecord(row) {
+    return new Location({
+      ...row,
+      accepted_materials: row.accepted_materials ? JSON.parse(row.accepted_materials) : [],
+      hours_of_operation: row.hours_of_operation ? JSON.parse(row.hours_of_operation) : null,
+      is_active: row.is_active === 1,
+      is_verified: row.is_verified === 1
+    });
+  }
+}
+
+/**
+ * Educational Class: LocationRepository
+ *
+ * Database operations for Location entities
+ */
+class LocationRepository {
+  constructor(dbService) {
+    this.dbService = dbService;
+  }
+
+  async ensureConnection() {
+    if (!this.dbService.db) {
+      await this.dbService.initialize();
+    }
+  }
+
+  /**
+   * Educational Method: Save a New Submission
+   *
+   * Educational Note: Every submission starts unverified until an admin reviews it
+   *
+   * @returns {Promise<Location>}
+   */
+  async create(data) {
+    await this.ensureConnection();
+
+    const result = await this.dbService.run(`
+      INSERT INTO locations (
+        name, type, street_address, city, state, zip_code, phone, website_url,
+        hours_of_operation, accepted_materials, special_notes, submitted_by_user_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      data.name, data.type, data.street_address || null, data.city, data.state,
+      data.zip_code || null, data.phone || null, data.website_url || null,
+      data.hours_of_operation ? JSON.stringify(data.hours_of_operation) : null,
+      JSON.stringify(data.accepted_materials || []),
+      data.special_notes || null, data.submitted_by_user_id || null
+    ]);
+
+    return this.findById(result.lastID);
+  }
+
+  /**
+   * Educational Method: Find Location by ID
+   *
+   * @returns {Promise<Location|null>}
+   */
+  async findById(id) {
+    await this.ensureConnection();
+
+    const row = await this.dbService.get('SELECT * FROM locations WHERE id = ? AND is_active = 1', [id]);
+    return row ? Location.fromDbRecord(row) : null;
+  }
+
+  /**
+   * Educational Method: List Submissions Awaiting Review
+   *
+   * @returns {Promise<Location[]>}
+   */
+  async listUnverified() {
+    await this.ensureConnection();
+
+    const rows = await this.dbService.all(
+      'SELECT * FROM locations WHERE is_verified = 0 AND is_active = 1 ORDER BY created_at ASC'
+    );
+    return rows.map(row => Location.fromDbRecord(row));
+  }
+
+  /**
+   * Educational Method: Record a Verification Decision
+   *
+   * @param {number} id - Location ID
+   * @param {boolean} isVerified - Approve (true) or withdraw approval (false)
+   * @param {number} adminId - Admin who made the decision
+   * @returns {Promise<Location|null>} Updated location, or null when not found
+   */
+  async setVerified(id, isVerified, adminId) {
+    await this.ensureConnection();
+
+    const result = await this.dbService.run(`
+      UPDATE locations
+      SET is_verified = ?,
+          verified_by_user_id = ?,
+          verification_date = CASE WHEN ? = 1 THEN CURRENT_TIMESTAMP ELSE NULL END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND is_active = 1
+    `, [isVerified ? 1 : 0, adminId, isVerified ? 1 : 0, id]);
+
+    return result.changes > 0 ? this.findById(id) : null;
+  }
+}
+
+// Educational Note: Export classes for use in application
+module.exports = {
+  Location,
+  LocationRepository
+};
@@ -6,6 +6,8 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const streakService = require('../services/streakService');
+const duplicateDetectionService = require('../services/duplicateDetectionService');
 
 /**
  * Educational Class: ScanSession
@@ -23,13 +25,22 @@ class ScanSession {
     // Educational Note: Generate unique session ID
     this.session_id = data.session_id || uuidv4();
     
-    // Educational Note: Required foreign key relationship
-    this.address = data.address; // Links to Address.street_address
+    // Educational Note: Optional foreign key relationship (anonymous scans are allowed)
+    this.address = data.address || null; // Links to Address.street_address
+    this.user_id = data.user_id || null; // Logged-in student who scanned, if any
     
     // Educational Note: AI analysis results
-    this.material_type = data.material_type; // e.g., "1 PET", "5 PP"
+    this.material_type = data.material_type; // e.g., "plastic", "glass"
+    this.ric_code = data.ric_code || null; // Resin Identification Code 1-7
     this.is_recyclable = data.is_recyclable; // Boolean recyclability
     this.confidence_score = data.confidence_score; // AI confidence 0.0-1.0
+    this.description = data.description || null;
+    
+    // Educational Note: Every item found in the photo; the fields above describe the
+    // most confident one. Each item: { index, material_type, ric_code, confidence (0-100),
+    // recyclable, points_earned, description, bounding_box }
+    this.items = data.items || [];
+    this.item_count = data.item_count !== undefined ? data.item_count : this.items.length;
     
     // Educational Note: Points and gamification
     this.points_awarded = data.points_awarded || 0;
@@ -37,16 +48,39 @@ class ScanSession {
     
     // Educational Note: Image processing data
     this.original_filename = data.original_filename;
+    this.file_path = data.file_path; // Storage key (older scans: a path on the server)
+    this.storage_backend = data.storage_backend || null; // 'local' or 's3' - see storageService
+    this.storage_key = data.storage_key || null;
     this.file_size_bytes = data.file_size_bytes;
+    this.file_mime_type = data.file_mime_type;
     this.image_dimensions = data.image_dimensions; // "width x height"
+    this.content_hash = data.content_hash || null; // SHA-256 of the file
+    this.perceptual_hash = data.perceptual_hash || null; // dHash of the picture
+    this.image_deleted_at = data.image_deleted_at || null; // Set when the retention cleanup removed the file
+    
+    // Educational Note: Set when this upload repeats an earlier scan (earns no points)
+    this.duplicate_of = data.duplicate_of || null; // session_id of the original scan
+    this.duplicate_reason = data.duplicate_reason || null; // 'exact' or 'similar'
     
     // Educational Note: AI service response data
     this.image_analysis_result = data.image_analysis_result; // Full AI response JSON
+    this.prompt_version = data.prompt_version || null; // Prompt template that produced it, e.g. 'v1'
     this.processing_time_ms = data.processing_time_ms;
     
+    // Educational Note: What the AI calls cost (zero tokens when answered from the cache)
+    this.ai_provider = data.ai_provider || null; // 'azure', 'openai' or 'local'
+    this.ai_model = data.ai_model || null; // Model or Azure deployment that answered
+    this.ai_requests = data.ai_requests || 0; // 2 when the reply needed a repair
+    this.ai_prompt_tokens = data.ai_prompt_tokens || 0;
+    this.ai_completion_tokens = data.ai_completion_tokens || 0;
+    this.ai_latency_ms = data.ai_latency_ms !== undefined ? data.ai_latency_ms : null;
+    this.ai_cost_usd = data.ai_cost_usd || 0; // Estimated from AI_PRICE_* settings
+    
     // Educational Note: Educational context
     this.educational_content = data.educational_content; // Learning information provided
     this.user_feedback = data.user_feedback; // Optional user rating of accuracy
+    this.corrected_material_type = data.corrected_material_type || null; // Student's correction
+    this.corrected_ric_code = data.corrected_ric_code || null;
     
     // Educational Note: Timestamps
     this.scan_timestamp = data.scan_timestamp || new Date().toISOString();
@@ -70,8 +104,12 @@ class ScanSession {
       errors.push('Session ID is required');
     }
 
-    if (!this.address || this.address.trim().length === 0) {
-      errors.push('Address is required and cannot be empty');
+    if (this.address !== null && (typeof this.address !== 'string' || this.address.trim().length === 0)) {
+      errors.push('Address cannot be empty when provided');
+    }
+
+    if (!this.original_filename || !this.file_path) {
+      errors.push('Original filename and file path are required');
     }
 
     if (!this.material_type || this.material_type.trim().length === 0) {
@@ -137,6 +175,38 @@ class ScanSession {
     console.log(`✅ Points calculated: ${this.points_awarded} base + ${this.bonus_points} bonus = ${this.getTotalPoints()}`);
   }
 
+  /**
+   * Educational Method: Mark as a Repeat of an Earlier Scan
+   * 
+   * The analysis is kept for learning, but the points are removed
+   * Learn about: anti-cheat rules, keeping evidence instead of deleting it
+   * 
+   * @param {{session_id: string, reason: string}} duplicate - Match from duplicateDetectionService
+   */
+  markDuplicate(duplicate) {
+    this.duplicate_of = duplicate.session_id;
+    this.duplicate_reason = duplicate.reason;
+    this.clearPoints();
+  }
+
+  /**
+   * Educational Method: Record the Scan Without Points
+   * 
+   * Used for repeat uploads and for scans from a deactivated address
+   */
+  clearPoints() {
+    this.points_awarded = 0;
+    this.bonus_points = 0;
+    this.items.forEach(item => { item.points_earned = 0; });
+  }
+
+  /**
+   * Educational Method: Is This a Repeat Upload?
+   */
+  isDuplicate() {
+    return this.duplicate_of !== null;
+  }
+
   /**
    * Educational Method: Get Total Points
    * 
@@ -228,26 +298,112 @@ class ScanSession {
    * 
    * Prepares object for database insertion
    * Learn about: data serialization, database preparation, type conversion
+   * 
+   * Educational Note: Keys match the scan_sessions columns created by setupDatabase.js
    */
   toDbRecord() {
     return {
-      session_id: this.session_id,
-      address: this.address,
+      id: this.session_id,
+      address_id: this.address,
+      user_id: this.user_id,
+      file_name: this.original_filename,
+      file_path: this.file_path,
+      storage_backend: this.storage_backend,
+      storage_key: this.storage_key,
+      file_size: this.file_size_bytes || 0,
+      file_mime_type: this.file_mime_type || 'application/octet-stream',
       material_type: this.material_type,
-      is_recyclable: this.is_recyclable ? 1 : 0, // Convert boolean to integer for SQLite
-      confidence_score: this.confidence_score,
-      points_awarded: this.points_awarded || 0,
+      ric_code: this.ric_code,
+      // Educational Note: Stored as a 0-100 percentage, like the AI reports it
+      confidence: this.confidence_score !== null && this.confidence_score !== undefined
+        ? Math.round(this.confidence_score * 100) : 0,
+      ai_analysis: JSON.stringify(this.image_analysis_result || {}),
+      prompt_version: this.prompt_version,
+      points_earned: this.getTotalPoints(),
       bonus_points: this.bonus_points || 0,
-      original_filename: this.original_filename,
-      file_size_bytes: this.file_size_bytes,
+      is_recyclable: this.is_recyclable ? 1 : 0, // Convert boolean to integer for SQLite
+      description: this.description,
+      user_feedback: this.user_feedback,
+      corrected_material_type: this.corrected_material_type,
+      corrected_ric_code: this.corrected_ric_code,
       image_dimensions: this.image_dimensions,
-      image_analysis_result: JSON.stringify(this.image_analysis_result || {}),
+      content_hash: this.content_hash,
+      perceptual_hash: this.perceptual_hash,
+      duplicate_of: this.duplicate_of,
+      duplicate_reason: this.duplicate_reason,
+      item_count: this.items.length,
       processing_time_ms: this.processing_time_ms,
+      ai_provider: this.ai_provider,
+      ai_model: this.ai_model,
+      ai_requests: this.ai_requests,
+      ai_prompt_tokens: this.ai_prompt_tokens,
+      ai_completion_tokens: this.ai_completion_tokens,
+      ai_latency_ms: this.ai_latency_ms,
+      ai_cost_usd: this.ai_cost_usd,
       educational_content: JSON.stringify(this.educational_content || {}),
-      user_feedback: this.user_feedback,
-      scan_timestamp: this.scan_timestamp,
       scan_method: this.scan_method,
-      device_type: this.device_type
+      device_type: this.device_type,
+      created_at: this.scan_timestamp,
+      updated_at: this.scan_timestamp
+    };
+  }
+
+  /**
+   * Educational Method: Convert Items to Database Records
+   * 
+   * Educational Note: Keys match the scan_items columns; the bounding box is
+   * split into four numeric columns so it can be queried
+   */
+  toItemRecords() {
+    return this.items.map(item => ({
+      scan_session_id: this.session_id,
+      item_index: item.index,
+      material_type: item.material_type,
+      ric_code: item.ric_code,
+      confidence: item.confidence,
+      is_recyclable: item.recyclable ? 1 : 0,
+      points_earned: item.points_earned,
+      description: item.description,
+      box_x: item.bounding_box ? item.bounding_box.x : null,
+      box_y: item.bounding_box ? item.bounding_box.y : null,
+      box_width: item.bounding_box ? item.bounding_box.width : null,
+      box_height: item.bounding_box ? item.bounding_box.height : null
+    }));
+  }
+
+  /**
+   * Educational Method: Convert to History Entry
+   * 
+   * Public view of a session for history listings (no file paths or raw AI output)
+   * Learn about: data transfer objects, hiding internal details
+   */
+  toSummary() {
+    return {
+      session_id: this.session_id,
+      address: this.address,
+      user_id: this.user_id,
+      filename: this.original_filename,
+      image_dimensions: this.image_dimensions || null,
+      image_available: !this.image_deleted_at,
+      material_type: this.material_type,
+      ric_code: this.ric_code,
+      recyclable: this.is_recyclable,
+      confidence: this.confidence_score !== null && this.confidence_score !== undefined
+        ? Math.round(this.confidence_score * 100) : null,
+      points_earned: this.getTotalPoints(),
+      item_count: this.item_count,
+      items: this.items,
+      is_duplicate: this.isDuplicate(),
+      duplicate_of: this.duplicate_of,
+      description: this.description,
+      user_feedback: this.user_feedback || null,
+      corrected_material_type: this.corrected_material_type,
+      corrected_ric_code: this.corrected_ric_code,
+      processing_time_ms: this.processing_time_ms,
+      prompt_version: this.prompt_version,
+      scan_method: this.scan_method,
+      device_type: this.device_type,
+      scanned_at: this.scan_timestamp
     };
   }
 
@@ -258,16 +414,73 @@ class ScanSession {
    * Learn about: static methods, object construction, data deserialization
    */
   static fromDbRecord(dbRecord) {
+    const bonusPoints = dbRecord.bonus_points || 0;
     const data = {
-      ...dbRecord,
+      session_id: dbRecord.id,
+      address: dbRecord.address_id,
+      user_id: dbRecord.user_id,
+      material_type: dbRecord.material_type,
+      ric_code: dbRecord.ric_code,
       is_recyclable: dbRecord.is_recyclable === 1, // Convert integer back to boolean
-      image_analysis_result: dbRecord.image_analysis_result ? 
-        JSON.parse(dbRecord.image_analysis_result) : null,
+      confidence_score: dbRecord.confidence !== null ? dbRecord.confidence / 100 : null,
+      description: dbRecord.description,
+      points_awarded: (dbRecord.points_earned || 0) - bonusPoints,
+      bonus_points: bonusPoints,
+      original_filename: dbRecord.file_name,
+      file_path: dbRecord.file_path,
+      storage_backend: dbRecord.storage_backend,
+      storage_key: dbRecord.storage_key,
+      file_size_bytes: dbRecord.file_size,
+      file_mime_type: dbRecord.file_mime_type,
+      image_dimensions: dbRecord.image_dimensions,
+      content_hash: dbRecord.content_hash,
+      perceptual_hash: dbRecord.perceptual_hash,
+      image_deleted_at: dbRecord.image_deleted_at,
+      duplicate_of: dbRecord.duplicate_of,
+      duplicate_reason: dbRecord.duplicate_reason,
+      item_count: dbRecord.item_count,
+      image_analysis_result: dbRecord.ai_analysis ? 
+        JSON.parse(dbRecord.ai_analysis) : null,
+      prompt_version: dbRecord.prompt_version,
+      processing_time_ms: dbRecord.processing_time_ms,
+      ai_provider: dbRecord.ai_provider,
+      ai_model: dbRecord.ai_model,
+      ai_requests: dbRecord.ai_requests,
+      ai_prompt_tokens: dbRecord.ai_prompt_tokens,
+      ai_completion_tokens: dbRecord.ai_completion_tokens,
+      ai_latency_ms: dbRecord.ai_latency_ms,
+      ai_cost_usd: dbRecord.ai_cost_usd,
       educational_content: dbRecord.educational_content ? 
-        JSON.parse(dbRecord.educational_content) : null
+        JSON.parse(dbRecord.educational_content) : null,
+      user_feedback: dbRecord.user_feedback,
+      corrected_material_type: dbRecord.corrected_material_type,
+      corrected_ric_code: dbRecord.corrected_ric_code,
+      scan_timestamp: dbRecord.created_at,
+      scan_method: dbRecord.scan_method,
+      device_type: dbRecord.device_type
     };
 
-    return new ScanSession(data);
+    const scanSession = new ScanSession(data);
+    scanSession.updated_at = dbRecord.updated_at;
+    return scanSession;
+  }
+
+  /**
+   * Educational Static Method: Create Item from Database Record
+   */
+  static itemFromDbRecord(row) {
+    return {
+      index: row.item_index,
+      material_type: row.material_type,
+      ric_code: row.ric_code,
+      confidence: row.confidence,
+      recyclable: row.is_recyclable === 1,
+      points_earned: row.points_earned,
+      description: row.description,
+      bounding_box: row.box_x !== null
+        ? { x: row.box_x, y: row.box_y, width: row.box_width, height: row.box_height }
+        : null
+    };
   }
 }
 
@@ -287,6 +500,11 @@ class ScanSessionRepository {
    * 
    * Inserts scan session and updates address points in a transaction
    * Learn about: database transactions, ACID properties, error handling
+   * 
+   * Educational Note: Points come from the AI analysis (points_awarded); an address
+   * is created on its first scan so the session and the points always agree.
+   * A repeat of a recent scan (same image, same user or address) and a scan from a
+   * deactivated address are saved with zero points.
    */
   async createScanSession(scanSession) {
     try {
@@ -296,97 +514,84 @@ class ScanSessionRepository {
         throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
       }
 
-      // Educational Note: Calculate points if not already set
-      if (scanSession.points_awarded === 0 && scanSession.is_recyclable !== null) {
-        scanSession.calculatePoints();
-        scanSession.generateEducationalContent();
-      }
-
-      console.log(`📊 Creating scan session: ${scanSession.session_id} for address: ${scanSession.address}`);
-
       // Educational Note: Ensure database service is initialized
       if (!this.dbService.db) {
         await this.dbService.initialize();
       }
 
-      const dbRecord = scanSession.toDbRecord();
-
-      // Educational Note: Begin transaction for atomic operation
-      await new Promise((resolve, reject) => {
-        this.dbService.db.serialize(() => {
-          this.dbService.db.run('BEGIN TRANSACTION', (err) => {
-            if (err) {
-              console.error('❌ Transaction begin failed:', err.message);
-              reject(err);
-              return;
-            }
-
-            // Educational Note: Insert scan session record
-            const insertSql = `
-              INSERT INTO scan_sessions (
-                session_id, address, material_type, is_recyclable, confidence_score,
-                points_awarded, bonus_points, original_filename, file_size_bytes,
-                image_dimensions, image_analysis_result, processing_time_ms,
-                educational_content, user_feedback, scan_timestamp, scan_method, device_type
-              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `;
-
-            this.dbService.db.run(insertSql, [
-              dbRecord.session_id, dbRecord.address, dbRecord.material_type,
-              dbRecord.is_recyclable, dbRecord.confidence_score,
-              dbRecord.points_awarded, dbRecord.bonus_points,
-              dbRecord.original_filename, dbRecord.file_size_bytes,
-              dbRecord.image_dimensions, dbRecord.image_analysis_result,
-              dbRecord.processing_time_ms, dbRecord.educational_content,
-              dbRecord.user_feedback, dbRecord.scan_timestamp,
-              dbRecord.scan_method, dbRecord.device_type
-            ], function(insertErr) {
-              if (insertErr) {
-                console.error('❌ Scan session insert failed:', insertErr.message);
-                this.db.run('ROLLBACK');
-                reject(insertErr);
-                return;
-              }
-
-              // Educational Note: Update address points
-              const totalPoints = scanSession.getTotalPoints();
-              const updateSql = `
-                UPDATE addresses 
-                SET points_total = points_total + ?, updated_at = CURRENT_TIMESTAMP
-                WHERE LOWER(street_address) = LOWER(?)
-              `;
-
-              this.db.run(updateSql, [totalPoints, scanSession.address], function(updateErr) {
-                if (updateErr) {
-                  console.error('❌ Address points update failed:', updateErr.message);
-                  this.db.run('ROLLBACK');
-                  reject(updateErr);
-                  return;
-                }
-
-                if (this.changes === 0) {
-                  console.error('❌ No address found for points update:', scanSession.address);
-                  this.db.run('ROLLBACK');
-                  reject(new Error(`Address not found: ${scanSession.address}`));
-                  return;
-                }
-
-                // Educational Note: Commit transaction
-                this.db.run('COMMIT', (commitErr) => {
-                  if (commitErr) {
-                    console.error('❌ Transaction commit failed:', commitErr.message);
-                    reject(commitErr);
-                  } else {
-                    console.log(`✅ Scan session created and ${totalPoints} points added to ${scanSession.address}`);
-                    resolve(scanSession);
-                  }
-                });
-              }.bind(this));
-            }.bind(this));
+      if (scanSession.address) {
+        scanSession.address = this.dbService.normalizeAddress(scanSession.address);
+      }
+
+      console.log(`📊 Creating scan session: ${scanSession.session_id} for address: ${scanSession.address || 'anonymous'}`);
+
+      // Educational Note: Both writes succeed together or not at all
+      await this.dbService.runInTransaction(async (db) => {
+        // Educational Note: Checking for repeats inside the transaction means two
+        // uploads of the same photo at once cannot both earn points
+        const duplicate = await duplicateDetectionService.findDuplicate(db, scanSession);
+        if (duplicate) {
+          scanSession.markDuplicate(duplicate);
+          console.log(`🔁 Scan ${scanSession.session_id} repeats ${duplicate.session_id} (${duplicate.reason}) - no points awarded`);
+        }
+
+        // Educational Note: A deactivated address earns no more points, but the scan
+        // is still saved - the student already has its session_id
+        if (scanSession.address && scanSession.getTotalPoints() > 0) {
+          await db.run(
+            'INSERT OR IGNORE INTO addresses (street_address, points_total, is_active) VALUES (?, 0, 1)',
+            [scanSession.address]
+          );
+          const address = await db.get('SELECT is_active FROM addresses WHERE street_address = ?', [scanSession.address]);
+          if (!address.is_active) {
+            scanSession.clearPoints();
+            console.log(`🚫 Address ${scanSession.address} is inactive - scan ${scanSession.session_id} saved without points`);
+          }
+        }
+
+        const dbRecord = scanSession.toDbRecord();
+        const columns = Object.keys(dbRecord);
+        const totalPoints = scanSession.getTotalPoints();
+
+        await db.run(
+          `INSERT INTO scan_sessions (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+          columns.map(column => dbRecord[column])
+        );
+
+        for (const itemRecord of scanSession.toItemRecords()) {
+          const itemColumns = Object.keys(itemRecord);
+          await db.run(
+            `INSERT INTO scan_items (${itemColumns.join(', ')}) VALUES (${itemColumns.map(() => '?').join(', ')})`,
+            itemColumns.map(column => itemRecord[column])
+          );
+        }
+
+        if (scanSession.address && totalPoints > 0) {
+          await db.run(`
+            UPDATE addresses 
+            SET points_total = points_total + ?, updated_at = CURRENT_TIMESTAMP
+            WHERE street_address = ? AND is_active = 1
+          `, [totalPoints, scanSession.address]);
+        }
+
+        // Educational Note: The student's own totals, shown (and sortable) in the user list
+        if (scanSession.user_id) {
+          await db.run(
+            'UPDATE users SET points = points + ?, scans_count = scans_count + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [totalPoints, scanSession.user_id]
+          );
+        }
+
+        // Educational Note: Logged-in scans also extend the student's daily streak
+        if (scanSession.user_id && !scanSession.isDuplicate()) {
+          await streakService.recordActivity(db, scanSession.user_id, {
+            points: totalPoints,
+            scanned_at: scanSession.scan_timestamp
           });
-        });
+        }
       });
 
+      console.log(`✅ Scan session created and ${scanSession.getTotalPoints()} points added to ${scanSession.address || 'no address'}`);
       return scanSession;
 
     } catch (error) {
@@ -395,43 +600,82 @@ class ScanSessionRepository {
     }
   }
 
+  /**
+   * Educational Method: Build History Filters
+   * 
+   * Turns optional address, user and date-range filters into a WHERE clause
+   * Learn about: dynamic SQL with bound parameters (never string-concatenate values!)
+   * 
+   * @param {string|null} address - Street address, or null for every address
+   * @param {Object} filters - { from, to } ISO timestamps (inclusive), { user_id } owner
+   * @returns {{where: string, params: Array}}
+   */
+  buildHistoryFilters(address, { from = null, to = null, user_id = null } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (address) {
+      conditions.push('address_id = ?');
+      params.push(this.dbService.normalizeAddress(address));
+    }
+    if (user_id) {
+      conditions.push('user_id = ?');
+      params.push(user_id);
+    }
+    if (from) {
+      conditions.push('created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('created_at <= ?');
+      params.push(to);
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
   /**
    * Educational Method: Get Scan Sessions by Address
    * 
    * Retrieves scan history for learning review and progress tracking
-   * Learn about: query optimization, result filtering, educational analytics
+   * Learn about: query optimization, pagination with LIMIT/OFFSET, result filtering
+   * 
+   * @param {string|null} address - Street address, or null for every address
+   * @param {Object} options - { limit, offset, from, to, user_id }
+   * @returns {Promise<{sessions: ScanSession[], total: number}>}
    */
-  async getScanSessionsByAddress(address, limit = 20) {
+  async getScanSessionsByAddress(address, { limit = 20, offset = 0, from = null, to = null, user_id = null } = {}) {
     try {
-      console.log(`🔍 Retrieving scan sessions for address: ${address} (limit: ${limit})`);
+      console.log(`🔍 Retrieving scan sessions for address: ${address || 'all'} (limit: ${limit}, offset: ${offset})`);
 
       if (!this.dbService.db) {
         await this.dbService.initialize();
       }
 
-      const query = `
+      const { where, params } = this.buildHistoryFilters(address, { from, to, user_id });
+
+      const rows = await this.dbService.all(`
         SELECT * FROM scan_sessions
-        WHERE LOWER(address) = LOWER(?)
-        ORDER BY scan_timestamp DESC
-        LIMIT ?
-      `;
+        ${where}
+        ORDER BY created_at DESC
+        LIMIT ? OFFSET ?
+      `, [...params, limit, offset]);
 
-      const rows = await new Promise((resolve, reject) => {
-        this.dbService.db.all(query, [address, limit], (err, rows) => {
-          if (err) {
-            console.error('❌ Get scan sessions query failed:', err.message);
-            reject(err);
-          } else {
-            resolve(rows || []);
-          }
-        });
-      });
+      // Educational Note: Total count lets the client work out how many pages exist
+      const countRow = await this.dbService.get(
+        `SELECT COUNT(*) AS total FROM scan_sessions ${where}`,
+        params
+      );
 
       // Educational Note: Convert database records back to ScanSession objects
-      const scanSessions = rows.map(row => ScanSession.fromDbRecord(row));
+      const sessions = rows.map(row => ScanSession.fromDbRecord(row));
+      await this.attachItems(sessions);
 
-      console.log(`✅ Retrieved ${scanSessions.length} scan sessions for ${address}`);
-      return scanSessions;
+      console.log(`✅ Retrieved ${sessions.length} of ${countRow.total} scan sessions for ${address || 'all addresses'}`);
+      return { sessions, total: countRow.total };
 
     } catch (error) {
       console.error('❌ Get scan sessions failed:', error.message);
@@ -439,6 +683,255 @@ class ScanSessionRepository {
     }
   }
 
+  /**
+   * Educational Method: Load the Detected Items for Sessions
+   * 
+   * Educational Note: One query for the whole page (WHERE ... IN) instead of one
+   * query per session avoids the "N+1 queries" problem
+   * 
+   * @param {ScanSession[]} sessions - Sessions to fill in (changed in place)
+   */
+  async attachItems(sessions) {
+    if (sessions.length === 0) {
+      return;
+    }
+
+    const rows = await this.dbService.all(`
+      SELECT * FROM scan_items
+      WHERE scan_session_id IN (${sessions.map(() => '?').join(', ')})
+      ORDER BY scan_session_id, item_index
+    `, sessions.map(session => session.session_id));
+
+    const bySession = new Map(sessions.map(session => [session.session_id, session]));
+    for (const row of rows) {
+      bySession.get(row.scan_session_id).items.push(ScanSession.itemFromDbRecord(row));
+    }
+  }
+
+  /**
+   * Educational Method: Get Scan Statistics
+   * 
+   * Aggregates scans per material for the same filters as the history
+   * Learn about: GROUP BY, aggregate functions (COUNT, SUM, AVG)
+   * 
+   * @param {string|null} address - Street address, or null for every address
+   * @param {Object} filters - { from, to, user_id }
+   * @returns {Promise<Object>} Totals plus one entry per material type
+   */
+  async getScanStatistics(address, filters = {}) {
+    try {
+      if (!this.dbService.db) {
+        await this.dbService.initialize();
+      }
+
+      const { where, params } = this.buildHistoryFilters(address, filters);
+
+      const materials = await this.dbService.all(`
+        SELECT
+          material_type,
+          COUNT(*) AS scans,
+          SUM(points_earned) AS points,
+          ROUND(AVG(confidence), 1) AS average_confidence,
+          SUM(is_recyclable) AS recyclable_scans,
+          SUM(CASE WHEN user_feedback = 'incorrect' THEN 1 ELSE 0 END) AS reported_incorrect
+        FROM scan_sessions
+        ${where}
+        GROUP BY material_type
+        ORDER BY scans DESC
+      `, params);
+
+      return {
+        total_scans: materials.reduce((sum, row) => sum + row.scans, 0),
+        successful_scans: materials
+          .filter(row => row.material_type !== 'unknown')
+          .reduce((sum, row) => sum + row.scans, 0),
+        total_points: materials.reduce((sum, row) => sum + (row.points || 0), 0),
+        materials_identified: materials.filter(row => row.material_type !== 'unknown').length,
+        by_material: materials
+      };
+
+    } catch (error) {
+      console.error('❌ Get scan statistics failed:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Educational Method: Get Repeat Uploads for Review
+   * 
+   * Lists scans flagged as duplicates, each with the original it repeats, plus
+   * a per-student count so teachers can spot anyone repeatedly re-uploading
+   * Learn about: self-joins (a table joined to itself), grouping for summaries
+   * 
+   * @param {Object} options
+   * @param {string|null} options.from - ISO timestamp (inclusive)
+   * @param {string|null} options.to - ISO timestamp (inclusive)
+   * @param {number|null} options.class_id - Only students enrolled in this class
+   * @param {number|null} options.teacher_id - Only students in this teacher's classes
+   * @param {number} options.limit - Repeats per page
+   * @param {number} options.offset - Repeats to skip
+   * @returns {Promise<{repeats: Object[], total: number, by_user: Object[]}>}
+   */
+  async getDuplicateReport({ from = null, to = null, class_id = null, teacher_id = null, limit = 50, offset = 0 } = {}) {
+    try {
+      if (!this.dbService.db) {
+        await this.dbService.initialize();
+      }
+
+      const conditions = ['s.duplicate_of IS NOT NULL'];
+      const params = [];
+      if (from) {
+        conditions.push('s.created_at >= ?');
+        params.push(from);
+      }
+      if (to) {
+        conditions.push('s.created_at <= ?');
+        params.push(to);
+      }
+      if (class_id) {
+        conditions.push('s.user_id IN (SELECT user_id FROM class_enrollments WHERE class_id = ?)');
+        params.push(class_id);
+      }
+      if (teacher_id) {
+        conditions.push(`s.user_id IN (
+          SELECT e.user_id FROM class_enrollments e
+          JOIN classes c ON c.id = e.class_id
+          WHERE c.teacher_id = ? AND c.is_active = 1
+        )`);
+        params.push(teacher_id);
+      }
+      const where = `WHERE ${conditions.join(' AND ')}`;
+
+      const rows = await this.dbService.all(`
+        SELECT
+          s.id, s.duplicate_of, s.duplicate_reason, s.created_at, s.address_id, s.user_id,
+          s.file_name, s.material_type, s.perceptual_hash,
+          u.username, u.display_name,
+          o.created_at AS original_created_at, o.user_id AS original_user_id,
+          o.file_name AS original_file_name, o.perceptual_hash AS original_perceptual_hash
+        FROM scan_sessions s
+        LEFT JOIN scan_sessions o ON o.id = s.duplicate_of
+        LEFT JOIN users u ON u.id = s.user_id
+        ${where}
+        ORDER BY s.created_at DESC
+        LIMIT ? OFFSET ?
+      `, [...params, limit, offset]);
+
+      const { total } = await this.dbService.get(
+        `SELECT COUNT(*) AS total FROM scan_sessions s ${where}`,
+        params
+      );
+
+      const byUser = await this.dbService.all(`
+        SELECT s.user_id, u.username, u.display_name,
+          COUNT(*) AS repeat_count,
+          SUM(CASE WHEN s.duplicate_reason = 'exact' THEN 1 ELSE 0 END) AS exact_count,
+          MAX(s.created_at) AS last_repeat_at
+        FROM scan_sessions s
+        JOIN users u ON u.id = s.user_id
+        ${where}
+        GROUP BY s.user_id
+        ORDER BY repeat_count DESC, last_repeat_at DESC
+      `, params);
+
+      const repeats = rows.map(row => ({
+        session_id: row.id,
+        scanned_at: row.created_at,
+        reason: row.duplicate_reason,
+        // Educational Note: How many of the 64 perceptual-hash bits differ (0 = looks identical)
+        distance: row.perceptual_hash && row.original_perceptual_hash
+          ? duplicateDetectionService.hammingDistance(row.perceptual_hash, row.original_perceptual_hash)
+          : null,
+        user: row.user_id ? { id: row.user_id, username: row.username, display_name: row.display_name } : null,
+        address: row.address_id,
+        filename: row.file_name,
+        material_type: row.material_type,
+        original: {
+          session_id: row.duplicate_of,
+          scanned_at: row.original_created_at,
+          user_id: row.original_user_id,
+          filename: row.original_file_name
+        }
+      }));
+
+      return { repeats, total, by_user: byUser };
+
+    } catch (error) {
+      console.error('❌ Get duplicate report failed:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Educational Method: Compare Prompt Versions Using Student Feedback
+   * 
+   * Groups scans by the prompt version that graded them and counts the
+   * feedback students gave on each, so a candidate prompt can be compared
+   * with the active one before it is rolled out to everyone
+   * Learn about: A/B testing, conditional aggregation (SUM of CASE)
+   * 
+   * Educational Note: Repeat uploads are left out - the same photo counted
+   * twice would make a version look better or worse than it is
+   * 
+   * @param {Object} options
+   * @param {string|null} options.from - ISO timestamp (inclusive)
+   * @param {string|null} options.to - ISO timestamp (inclusive)
+   * @returns {Promise<Object[]>} One entry per prompt version
+   */
+  async getPromptVersionReport({ from = null, to = null } = {}) {
+    try {
+      if (!this.dbService.db) {
+        await this.dbService.initialize();
+      }
+
+      const conditions = ['prompt_version IS NOT NULL', 'duplicate_of IS NULL'];
+      const params = [];
+      if (from) {
+        conditions.push('created_at >= ?');
+        params.push(from);
+      }
+      if (to) {
+        conditions.push('created_at <= ?');
+        params.push(to);
+      }
+
+      const rows = await this.dbService.all(`
+        SELECT
+          prompt_version,
+          COUNT(*) AS scans,
+          ROUND(AVG(confidence), 1) AS average_confidence,
+          SUM(CASE WHEN user_feedback = 'correct' THEN 1 ELSE 0 END) AS correct,
+          SUM(CASE WHEN user_feedback = 'partially_correct' THEN 1 ELSE 0 END) AS partially_correct,
+          SUM(CASE WHEN user_feedback = 'incorrect' THEN 1 ELSE 0 END) AS incorrect,
+          SUM(CASE WHEN user_feedback = 'unsure' THEN 1 ELSE 0 END) AS unsure,
+          SUM(CASE WHEN corrected_ric_code IS NOT NULL AND corrected_ric_code IS NOT ric_code THEN 1 ELSE 0 END) AS ric_code_corrections,
+          MIN(created_at) AS first_scan_at,
+          MAX(created_at) AS last_scan_at
+        FROM scan_sessions
+        WHERE ${conditions.join(' AND ')}
+        GROUP BY prompt_version
+        ORDER BY prompt_version
+      `, params);
+
+      // Educational Note: "unsure" answers say nothing about accuracy, so only
+      // correct, partially correct and incorrect ratings count
+      const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+      return rows.map(row => {
+        const rated = row.correct + row.partially_correct + row.incorrect;
+        return {
+          ...row,
+          rated,
+          feedback_rate: percent(rated + row.unsure, row.scans),
+          accuracy_rate: percent(row.correct, rated)
+        };
+      });
+
+    } catch (error) {
+      console.error('❌ Get prompt version report failed:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Educational Method: Get Scan Session by ID
    * 
@@ -455,7 +948,7 @@ class ScanSessionRepository {
 
       const query = `
         SELECT * FROM scan_sessions
-        WHERE session_id = ?
+        WHERE id = ?
       `;
 
       const row = await new Promise((resolve, reject) => {
@@ -475,6 +968,7 @@ class ScanSessionRepository {
       }
 
       const scanSession = ScanSession.fromDbRecord(row);
+      await this.attachItems([scanSession]);
       console.log(`✅ Retrieved scan session: ${sessionId}`);
       return scanSession;
 
@@ -489,8 +983,13 @@ class ScanSessionRepository {
    * 
    * Allows users to provide feedback on AI accuracy for educational improvement
    * Learn about: user feedback loops, data quality, continuous improvement
+   * 
+   * @param {string} sessionId - Scan session UUID
+   * @param {string} feedback - One of ScanSession.FEEDBACK_OPTIONS
+   * @param {Object} corrections - Optional { material_type, ric_code } supplied by the student
+   * @returns {Promise<ScanSession|null>} Updated session, or null when it does not exist
    */
-  async updateUserFeedback(sessionId, feedback) {
+  async updateUserFeedback(sessionId, feedback, corrections = {}) {
     try {
       console.log(`📝 Updating user feedback for session: ${sessionId}`);
 
@@ -499,30 +998,33 @@ class ScanSessionRepository {
       }
 
       // Educational Note: Validate feedback options
-      const validFeedback = ['correct', 'incorrect', 'partially_correct', 'unsure'];
-      if (!validFeedback.includes(feedback)) {
-        throw new Error(`Invalid feedback. Must be one of: ${validFeedback.join(', ')}`);
+      if (!ScanSession.FEEDBACK_OPTIONS.includes(feedback)) {
+        throw new Error(`Invalid feedback. Must be one of: ${ScanSession.FEEDBACK_OPTIONS.join(', ')}`);
       }
 
       const updateSql = `
         UPDATE scan_sessions 
-        SET user_feedback = ?, updated_at = CURRENT_TIMESTAMP
-        WHERE session_id = ?
+        SET user_feedback = ?,
+            corrected_material_type = ?,
+            corrected_ric_code = ?,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
       `;
 
-      await new Promise((resolve, reject) => {
-        this.dbService.db.run(updateSql, [feedback, sessionId], function(err) {
-          if (err) {
-            console.error('❌ User feedback update failed:', err.message);
-            reject(err);
-          } else if (this.changes === 0) {
-            reject(new Error(`Scan session not found: ${sessionId}`));
-          } else {
-            console.log(`✅ User feedback updated for session: ${sessionId}`);
-            resolve();
-          }
-        });
-      });
+      const result = await this.dbService.run(updateSql, [
+        feedback,
+        corrections.material_type || null,
+        corrections.ric_code || null,
+        sessionId
+      ]);
+
+      if (result.changes === 0) {
+        console.log(`❌ Scan session not found: ${sessionId}`);
+        return null;
+      }
+
+      console.log(`✅ User feedback updated for session: ${sessionId}`);
+      return this.getScanSessionById(sessionId);
 
     } catch (error) {
       console.error('❌ Update user feedback failed:', error.message);
@@ -531,6 +1033,9 @@ class ScanSessionRepository {
   }
 }
 
+// Educational Note: Feedback values students can give on an analysis
+ScanSession.FEEDBACK_OPTIONS = ['correct', 'incorrect', 'partially_correct', 'unsure'];
+
 // Educational Note: Export classes for use in application
 module.exports = {
   ScanSession,
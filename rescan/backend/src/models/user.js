@@ -0,0 +1,385 @@
+/**
+ * Educational Model: User
+ *
+ * Represents a student or teacher on the class roster
+ * Learn about: schema validation with Joi, unique constraints, soft delete
+ */
+
+const Joi = require('joi');
+
+/**
+ * Educational Note: Shared field rules used by the create and update schemas
+ */
+const fields = {
+  username: Joi.string().trim().pattern(/^[a-zA-Z0-9_.-]+$/).min(3).max(50)
+    .messages({ 'string.pattern.base': 'Username may only contain letters, numbers, dots, dashes and underscores' }),
+  display_name: Joi.string().trim().min(1).max(100),
+  email: Joi.string().trim().lowercase().email().max(255),
+  password: Joi.string().min(8).max(128),
+  preferred_language: Joi.string().valid('en', 'es', 'fr', 'de'),
+  educational_level: Joi.string().valid('beginner', 'intermediate', 'advanced')
+};
+
+/**
+ * Educational Class: User
+ *
+ * Demonstrates converting between database rows and API responses
+ */
+class User {
+  /**
+   * Educational Constructor: Initialize User
+   */
+  constructor(data = {}) {
+    this.id = data.id;
+    this.username = data.username;
+    this.display_name = data.display_name;
+    this.email = data.email || null;
+
+    // Educational Note: Role decides what the user may do (see middleware/auth.js)
+    this.role = data.role || 'student';
+
+    // Educational Note: Points and gamification
+    this.points = data.points || 0;
+    this.level = data.level || 1;
+    this.scans_count = data.scans_count || 0;
+
+    // Educational Note: Preferences and learning progress
+    this.preferred_language = data.preferred_language || 'en';
+    this.educational_level = data.educational_level || 'beginner';
+    this.completed_tutorials = data.completed_tutorials || [];
+    this.achievement_badges = data.achievement_badges || [];
+
+    // Educational Note: Account status and timestamps
+    this.is_active = data.is_active !== false;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+    this.last_login = data.last_login || null;
+  }
+
+  /**
+   * Educational Method: Check Role
+   *
+   * @param {...string} roles - Roles to check against
+   * @returns {boolean} True when the user has one of the roles
+   */
+  hasRole(...roles) {
+    return roles.includes(this.role);
+  }
+
+  /**
+   * Educational Method: Convert to API Response
+   *
+   * Returns the public representation of a user
+   */
+  toApiResponse() {
+    return {
+      id: this.id,
+      username: this.username,
+      display_name: this.display_name,
+      email: this.email,
+      role: this.role,
+      points: this.points,
+      level: this.level,
+      scans_count: this.scans_count,
+      preferred_language: this.preferred_language,
+      educational_level: this.educational_level,
+      completed_tutorials: this.completed_tutorials,
+      achievement_badges: this.achievement_badges,
+      is_active: this.is_active,
+      created_at: this.created_at,
+      updated_at: this.updated_at,
+      last_login: this.last_login
+    };
+  }
+
+  /**
+   * Educational Static Method: Create from Database Record
+   *
+   * Learn about: deserializing JSON columns and SQLite booleans
+   *
+   * Educational Note: password_hash is deliberately left off the User object
+   * so it can never end up in an API response by accident
+   */
+  static fromDbRecord(row) {
+    const data = { ...row };
+    delete data.password_hash;
+    return new User({
+      ...data,
+      is_active: row.is_active === 1,
+      completed_tutorials: row.completed_tutorials ? JSON.parse(row.completed_tutorials) : [],
+      achievement_badges: row.achievement_badges ? JSON.parse(row.achievement_badges) : []
+    });
+  }
+}
+
+/**
+ * Educational Note: Roles from least to most privileged
+ * - student: manages their own profile and scans
+ * - teacher: also views the class roster and student progress
+ * - admin: also assigns roles, verifies locations and adjusts points
+ */
+User.ROLES = ['student', 'teacher', 'admin'];
+
+/**
+ * Educational Note: Joi schemas validate request data before it reaches the database
+ */
+User.createSchema = Joi.object({
+  username: fields.username.required(),
+  display_name: fields.display_name.required(),
+  email: fields.email.allow(null),
+  password: fields.password,
+  preferred_language: fields.preferred_language.default('en'),
+  educational_level: fields.educational_level.default('beginner')
+});
+
+User.updateSchema = Joi.object({
+  display_name: fields.display_name,
+  email: fields.email.allow(null),
+  password: fields.password,
+  // Educational Note: The password of whoever is logged in, so a stolen token alone cannot change it
+  current_password: Joi.string().when('password', {
+    is: Joi.exist(),
+    then: Joi.required().messages({ 'any.required': 'current_password is required to change the password' }),
+    otherwise: Joi.forbidden().messages({ 'any.unknown': 'current_password is only needed to change the password' })
+  }),
+  preferred_language: fields.preferred_language,
+  educational_level: fields.educational_level
+}).min(1).messages({ 'object.min': 'Provide at least one field to update' });
+
+User.roleSchema = Joi.object({
+  role: Joi.string().valid(...User.ROLES).required()
+});
+
+User.loginSchema = Joi.object({
+  username: Joi.string().trim().required(),
+  password: Joi.string().required()
+});
+
+User.listSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(10),
+  level: Joi.number().integer().min(1).max(10),
+  sort: Joi.string().valid('created_at', 'points', 'level', 'username').default('created_at'),
+  order: Joi.string().lowercase().valid('asc', 'desc').default('desc')
+});
+
+/**
+ * Educational Class: UserRepository
+ *
+ * Database operations for User entities
+ * Learn about: repository pattern, parameterized queries, soft delete
+ */
+class UserRepository {
+  constructor(dbService) {
+    this.dbService = dbService;
+  }
+
+  /**
+   * Educational Method: Ensure Database Connection
+   */
+  async ensureConnection() {
+    if (!this.dbService.db) {
+      await this.dbService.initialize();
+    }
+  }
+
+  /**
+   * Educational Method: List Active Users
+   *
+   * Learn about: pagination, filtering, whitelisted ORDER BY columns
+   *
+   * @param {Object} options - Validated output of User.listSchema
+   * @returns {Promise<{users: User[], total: number}>}
+   */
+  async list({ page = 1, limit = 10, level = null, sort = 'created_at', order = 'desc' } = {}) {
+    await this.ensureConnection();
+
+    const conditions = ['is_active = 1'];
+    const params = [];
+    if (level) {
+      conditions.push('level = ?');
+      params.push(level);
+    }
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    // Educational Note: Column names cannot be bound as parameters, so sort and order
+    // are restricted to known values by User.listSchema before reaching this query
+    const rows = await this.dbService.all(`
+      SELECT * FROM users
+      ${where}
+      ORDER BY ${sort} ${order.toUpperCase()}, id ASC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, (page - 1) * limit]);
+
+    const countRow = await this.dbService.get(`SELECT COUNT(*) AS total FROM users ${where}`, params);
+
+    return {
+      users: rows.map(row => User.fromDbRecord(row)),
+      total: countRow.total
+    };
+  }
+
+  /**
+   * Educational Method: Find Active User by ID
+   *
+   * @returns {Promise<User|null>}
+   */
+  async findById(id) {
+    await this.ensureConnection();
+
+    const row = await this.dbService.get('SELECT * FROM users WHERE id = ? AND is_active = 1', [id]);
+    return row ? User.fromDbRecord(row) : null;
+  }
+
+  /**
+   * Educational Method: Find Login Credentials
+   *
+   * The only lookup that returns the stored password hash
+   *
+   * @returns {Promise<{user: User, password_hash: string|null}|null>}
+   */
+  async findCredentials(username) {
+    await this.ensureConnection();
+
+    const row = await this.dbService.get(
+      'SELECT * FROM users WHERE username = ? COLLATE NOCASE AND is_active = 1',
+      [username]
+    );
+    return row ? { user: User.fromDbRecord(row), password_hash: row.password_hash } : null;
+  }
+
+  /**
+   * Educational Method: Find Username or Email Conflict
+   *
+   * Checks every user (including deactivated ones, whose names stay reserved)
+   *
+   * @param {Object} values - { username, email } to check
+   * @param {number|null} excludeId - The user being updated, if any
+   * @returns {Promise<string|null>} Name of the conflicting field, or null
+   */
+  async findConflict({ username, email }, excludeId = null) {
+    await this.ensureConnection();
+
+    if (username) {
+      const row = await this.dbService.get(
+        'SELECT id FROM users WHERE username = ? COLLATE NOCASE AND id IS NOT ?',
+        [username, excludeId]
+      );
+      if (row) {
+        return 'username';
+      }
+    }
+
+    if (email) {
+      const row = await this.dbService.get(
+        'SELECT id FROM users WHERE email = ? COLLATE NOCASE AND id IS NOT ?',
+        [email, excludeId]
+      );
+      if (row) {
+        return 'email';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Educational Method: Create User
+   *
+   * @param {Object} data - Validated output of User.createSchema, with password
+   *                        replaced by password_hash
+   * @returns {Promise<User>}
+   */
+  async create(data) {
+    await this.ensureConnection();
+
+    const result = await this.dbService.run(`
+      INSERT INTO users (
+        username, display_name, email, password_hash, preferred_language, educational_level,
+        completed_tutorials, achievement_badges
+      ) VALUES (?, ?, ?, ?, ?, ?, '[]', '[]')
+    `, [
+      data.username, data.display_name, data.email || null, data.password_hash || null,
+      data.preferred_language, data.educational_level
+    ]);
+
+    console.log(`✅ User created: ${data.username} (ID: ${result.lastID})`);
+    return this.findById(result.lastID);
+  }
+
+  /**
+   * Educational Method: Update User
+   *
+   * Only the provided fields are changed
+   *
+   * @param {number} id - User ID
+   * @param {Object} changes - Validated output of User.updateSchema
+   * @returns {Promise<User|null>} Updated user, or null when not found
+   */
+  async update(id, changes) {
+    await this.ensureConnection();
+
+    const columns = Object.keys(changes);
+    const result = await this.dbService.run(`
+      UPDATE users
+      SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND is_active = 1
+    `, [...columns.map(column => changes[column]), id]);
+
+    if (result.changes === 0) {
+      return null;
+    }
+
+    console.log(`✅ User updated: ${id} (${columns.join(', ')})`);
+    return this.findById(id);
+  }
+
+  /**
+   * Educational Method: Change User Role
+   *
+   * @returns {Promise<User|null>} Updated user, or null when not found
+   */
+  async setRole(id, role) {
+    await this.ensureConnection();
+
+    const result = await this.dbService.run(
+      'UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND is_active = 1',
+      [role, id]
+    );
+
+    if (result.changes === 0) {
+      return null;
+    }
+
+    console.log(`✅ User ${id} is now a ${role}`);
+    return this.findById(id);
+  }
+
+  /**
+   * Educational Method: Soft Delete User
+   *
+   * Marks the user inactive instead of removing the row, so scan history and
+   * progress records keep pointing at a real user
+   *
+   * @returns {Promise<boolean>} True when an active user was deactivated
+   */
+  async softDelete(id) {
+    await this.ensureConnection();
+
+    const result = await this.dbService.run(
+      'UPDATE users SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND is_active = 1',
+      [id]
+    );
+
+    if (result.changes > 0) {
+      console.log(`🗑️ User soft deleted: ${id}`);
+    }
+    return result.changes > 0;
+  }
+}
+
+// Educational Note: Export classes for use in application
+module.exports = {
+  User,
+  UserRepository
+};
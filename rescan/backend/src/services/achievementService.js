@@ -0,0 +1,233 @@
+/**
+ * Achievement Service - Badges for Recycling Milestones
+ *
+ * Educational Focus:
+ * - Rule-driven design: badges are data, not if-statements scattered in routes
+ * - Computing each metric once and checking every rule against it
+ * - Idempotent writes (a badge can only be unlocked once)
+ *
+ * Adding a badge: append a rule to ACHIEVEMENT_RULES. If it needs a new kind
+ * of measurement, add a function to METRICS as well.
+ */
+
+const dbService = require('./dbService');
+const streakService = require('./streakService');
+const logger = require('../utils/logger');
+
+/**
+ * Educational Note: Each metric is one query over a user's scan history.
+ * Failed analyses (material_type 'unknown') and repeat uploads do not count towards badges.
+ */
+const METRICS = {
+  total_scans: async (userId) => {
+    const row = await dbService.get(
+      'SELECT COUNT(*) AS value FROM scan_sessions WHERE user_id = ? AND material_type != \'unknown\' AND duplicate_of IS NULL',
+      [userId]
+    );
+    return row.value;
+  },
+
+  total_points: async (userId) => {
+    const row = await dbService.get(
+      'SELECT COALESCE(SUM(points_earned), 0) AS value FROM scan_sessions WHERE user_id = ?',
+      [userId]
+    );
+    return row.value;
+  },
+
+  // Educational Note: A photo of a pile can contain several codes, so every detected
+  // item counts (older scans without item rows still count through scan_sessions)
+  distinct_ric_codes: async (userId) => {
+    const row = await dbService.get(`
+      SELECT COUNT(DISTINCT ric_code) AS value FROM (
+        SELECT ric_code FROM scan_sessions
+        WHERE user_id = ? AND duplicate_of IS NULL
+        UNION
+        SELECT i.ric_code FROM scan_items i
+        JOIN scan_sessions s ON s.id = i.scan_session_id
+        WHERE s.user_id = ? AND s.duplicate_of IS NULL
+      )
+      WHERE ric_code BETWEEN 1 AND 7
+    `, [userId, userId]);
+    return row.value;
+  },
+
+  // Educational Note: Streaks are kept up to date by streakService on every scan
+  longest_streak_days: async (userId) => {
+    const { longest } = await streakService.getStreak(userId);
+    return longest;
+  }
+};
+
+/**
+ * Educational Note: The rules - a badge unlocks when its metric reaches the threshold
+ */
+const ACHIEVEMENT_RULES = [
+  {
+    id: 'first_scan',
+    name: 'First Scan',
+    description: 'Identify your first recyclable item',
+    icon: 'fa-seedling',
+    metric: 'total_scans',
+    threshold: 1
+  },
+  {
+    id: 'ten_scans',
+    name: 'Sorting Pro',
+    description: 'Identify 10 items',
+    icon: 'fa-layer-group',
+    metric: 'total_scans',
+    threshold: 10
+  },
+  {
+    id: 'points_100',
+    name: 'Century Club',
+    description: 'Earn 100 points',
+    icon: 'fa-star',
+    metric: 'total_points',
+    threshold: 100
+  },
+  {
+    id: 'all_ric_codes',
+    name: 'Resin Code Master',
+    description: 'Find all seven resin identification codes (1-7)',
+    icon: 'fa-recycle',
+    metric: 'distinct_ric_codes',
+    threshold: 7
+  },
+  {
+    id: 'streak_7',
+    name: 'Week Warrior',
+    description: 'Scan something seven days in a row',
+    icon: 'fa-fire',
+    metric: 'longest_streak_days',
+    threshold: 7
+  }
+];
+
+class AchievementService {
+  constructor(rules = ACHIEVEMENT_RULES) {
+    this.rules = rules;
+  }
+
+  /**
+   * Compute the metrics the rules need for one user
+   *
+   * @returns {Promise<Object>} metric name -> value
+   */
+  async getMetrics(userId) {
+    if (!dbService.db) {
+      await dbService.initialize();
+    }
+
+    const metrics = {};
+    for (const name of new Set(this.rules.map(rule => rule.metric))) {
+      metrics[name] = await METRICS[name](userId);
+    }
+    return metrics;
+  }
+
+  /**
+   * Check every rule and unlock any newly earned badges
+   *
+   * Called after each scan. Safe to run repeatedly - already unlocked badges are skipped.
+   *
+   * @param {number} userId - User who scanned
+   * @param {string|null} scanSessionId - Scan that triggered the check
+   * @returns {Promise<Object[]>} Badges unlocked by this call (usually none)
+   */
+  async evaluate(userId, scanSessionId = null) {
+    const metrics = await this.getMetrics(userId);
+    const unlocked = [];
+
+    for (const rule of this.rules) {
+      if (metrics[rule.metric] < rule.threshold) {
+        continue;
+      }
+
+      // Educational Note: The primary key (user_id, achievement_id) makes this a no-op
+      // for badges the user already has
+      const result = await dbService.run(
+        'INSERT OR IGNORE INTO user_achievements (user_id, achievement_id, scan_session_id) VALUES (?, ?, ?)',
+        [userId, rule.id, scanSessionId]
+      );
+      if (result.changes > 0) {
+        unlocked.push(this.describe(rule, { unlocked_at: new Date().toISOString() }));
+      }
+    }
+
+    if (unlocked.length > 0) {
+      await this.syncUserBadges(userId);
+      logger.info(`User ${userId} unlocked: ${unlocked.map(badge => badge.id).join(', ')}`);
+    }
+
+    return unlocked;
+  }
+
+  /**
+   * Copy the unlocked badge IDs to users.achievement_badges for profile responses
+   */
+  async syncUserBadges(userId) {
+    const rows = await dbService.all(
+      'SELECT achievement_id FROM user_achievements WHERE user_id = ? ORDER BY unlocked_at ASC',
+      [userId]
+    );
+    await dbService.run(
+      'UPDATE users SET achievement_badges = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [JSON.stringify(rows.map(row => row.achievement_id)), userId]
+    );
+  }
+
+  /**
+   * List every badge with the user's progress towards it
+   *
+   * @returns {Promise<{unlocked: Object[], locked: Object[]}>}
+   */
+  async getUserAchievements(userId) {
+    const metrics = await this.getMetrics(userId);
+    const rows = await dbService.all(
+      'SELECT achievement_id, unlocked_at, scan_session_id FROM user_achievements WHERE user_id = ?',
+      [userId]
+    );
+    const unlockedById = new Map(rows.map(row => [row.achievement_id, row]));
+
+    const unlocked = [];
+    const locked = [];
+    for (const rule of this.rules) {
+      const record = unlockedById.get(rule.id);
+      if (record) {
+        unlocked.push(this.describe(rule, {
+          unlocked_at: record.unlocked_at,
+          scan_session_id: record.scan_session_id
+        }));
+      } else {
+        locked.push(this.describe(rule, {
+          progress: {
+            current: Math.min(metrics[rule.metric], rule.threshold),
+            target: rule.threshold
+          }
+        }));
+      }
+    }
+
+    return { unlocked, locked };
+  }
+
+  /**
+   * Public view of a rule (the metric name is an internal detail)
+   */
+  describe(rule, extra = {}) {
+    return {
+      id: rule.id,
+      name: rule.name,
+      description: rule.description,
+      icon: rule.icon,
+      ...extra
+    };
+  }
+}
+
+// Export singleton instance
+const achievementService = new AchievementService();
+
+module.exports = achievementService;
@@ -0,0 +1,112 @@
+/**
+ * AI Outcome Service - Keep Score of How Well the Model Behaves
+ *
+ * Educational Focus:
+ * - Measuring instead of guessing: every reply is logged as valid, repaired or failed
+ * - Monitoring data: a small table that answers "how often does the model misbehave?"
+ *
+ * Outcomes (ai_response_outcomes.outcome):
+ * - valid: the first reply matched the schema
+ * - repaired: the first reply was rejected, the repair retry matched
+ * - failed: both replies were rejected (the scan gets no AI result)
+ */
+
+const dbService = require('./dbService');
+const logger = require('../utils/logger');
+
+class AIOutcomeService {
+  /**
+   * Record how one analysis request went
+   *
+   * Educational Note: Monitoring must never break scanning, so errors are only logged
+   *
+   * @param {Object} outcome
+   * @param {string} outcome.provider - Provider name (azure, openai, local)
+   * @param {string} outcome.model - Model or deployment that replied
+   * @param {string} outcome.prompt_version - Version of the prompts used
+   * @param {string} outcome.outcome - 'valid', 'repaired' or 'failed'
+   * @param {number} outcome.attempts - Replies requested (1 or 2)
+   * @param {{type: string, details: string[]}|null} outcome.error - Why the first reply was rejected
+   */
+  async record({ provider, model, prompt_version, outcome, attempts, error = null }) {
+    try {
+      if (!dbService.db) {
+        await dbService.initialize();
+      }
+
+      await dbService.run(`
+        INSERT INTO ai_response_outcomes (provider, model, prompt_version, outcome, attempts, error_type, error_details, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        provider,
+        model,
+        prompt_version,
+        outcome,
+        attempts,
+        error ? error.type : null,
+        error ? JSON.stringify(error.details) : null,
+        new Date().toISOString()
+      ]);
+    } catch (recordError) {
+      logger.warn('Failed to record AI response outcome', { error: recordError.message });
+    }
+  }
+
+  /**
+   * Summarize outcomes per provider and model
+   *
+   * @param {Object} [options]
+   * @param {string} [options.from] - Only outcomes since this ISO date
+   * @returns {Promise<Object[]>} One row per provider/model with counts and rates
+   */
+  async getSummary({ from = null } = {}) {
+    if (!dbService.db) {
+      await dbService.initialize();
+    }
+
+    const rows = await dbService.all(`
+      SELECT provider, model,
+             COUNT(*) AS total,
+             SUM(CASE WHEN outcome = 'valid' THEN 1 ELSE 0 END) AS valid,
+             SUM(CASE WHEN outcome = 'repaired' THEN 1 ELSE 0 END) AS repaired,
+             SUM(CASE WHEN outcome = 'failed' THEN 1 ELSE 0 END) AS failed,
+             SUM(CASE WHEN error_type = 'invalid_json' THEN 1 ELSE 0 END) AS invalid_json,
+             SUM(CASE WHEN error_type = 'schema_violation' THEN 1 ELSE 0 END) AS schema_violations
+      FROM ai_response_outcomes
+      WHERE created_at >= ?
+      GROUP BY provider, model
+      ORDER BY total DESC
+    `, [from || '']);
+
+    // Educational Note: Rates make models with different amounts of traffic comparable
+    return rows.map(row => ({
+      ...row,
+      misbehaviour_rate: Math.round(((row.repaired + row.failed) / row.total) * 1000) / 10
+    }));
+  }
+
+  /**
+   * Most recent rejected replies, for finding out what went wrong
+   *
+   * @returns {Promise<Object[]>}
+   */
+  async getRecentProblems(limit = 20) {
+    const rows = await dbService.all(`
+      SELECT provider, model, prompt_version, outcome, error_type, error_details, created_at
+      FROM ai_response_outcomes
+      WHERE outcome != 'valid'
+      ORDER BY created_at DESC
+      LIMIT ?
+    `, [limit]);
+
+    return rows.map(row => ({
+      ...row,
+      error_details: row.error_details ? JSON.parse(row.error_details) : []
+    }));
+  }
+}
+
+// Export singleton instance
+const aiOutcomeService = new AIOutcomeService();
+
+module.exports = aiOutcomeService;
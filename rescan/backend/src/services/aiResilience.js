@@ -0,0 +1,302 @@
+/**
+ * AI Resilience - Timeouts, Retries and a Circuit Breaker
+ *
+ * Educational Focus:
+ * - Timeouts: a request that hangs is worse than one that fails
+ * - Exponential backoff with jitter: wait longer after each failure, and at a
+ *   random moment, so a classroom of retries does not hit the API all at once
+ * - Retry-After: when the server says how long to wait, listen to it
+ * - Circuit breaker: after repeated failures stop calling for a while,
+ *   then let one trial request through to see if the service is back
+ *
+ * Used by AIService around every provider call (see callProvider()).
+ */
+
+const BREAKER_STATES = {
+  CLOSED: 'closed', // Normal: requests go through
+  OPEN: 'open', // Failing: requests are refused until retry_at
+  HALF_OPEN: 'half_open' // Testing: one trial request decides
+};
+
+// Educational Note: Status codes worth another try - timeouts, conflicts,
+// rate limits and server errors. 400, 401, 403, 404 will fail the same way again.
+const RETRYABLE_STATUSES = [408, 409, 429];
+
+/**
+ * Create an error with a machine-readable code
+ */
+function codedError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Run a task, giving up after a time limit
+ *
+ * Educational Note: The task receives an AbortSignal so the HTTP request is
+ * cancelled too, instead of finishing unseen in the background
+ *
+ * @param {function(AbortSignal): Promise} task
+ * @param {number} timeoutMs
+ * @param {string} label - Used in the timeout error message
+ * @returns {Promise}
+ * @throws {Error} code 'AI_TIMEOUT' when the time limit is reached
+ */
+function withTimeout(task, timeoutMs, label) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(codedError(`${label} timed out after ${timeoutMs / 1000}s`, 'AI_TIMEOUT'));
+    }, timeoutMs);
+  });
+
+  return Promise.race([task(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Whether a failed request is worth repeating
+ */
+function isRetryableError(error) {
+  if (error.code === 'AI_TIMEOUT') {
+    return true;
+  }
+  // Educational Note: No status means the request never got an answer
+  // (connection refused, DNS, dropped connection) - usually temporary
+  if (error.status === undefined || error.status === null) {
+    return error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError';
+  }
+  return RETRYABLE_STATUSES.includes(error.status) || error.status >= 500;
+}
+
+/**
+ * Whether a failure says something about the provider's health
+ *
+ * Educational Note: A 400 means this request was wrong, not that the service
+ * is down - it should not count towards opening the circuit
+ */
+function isProviderFailure(error) {
+  if (error.status === 401 || error.status === 403) {
+    return true;
+  }
+  return isRetryableError(error) || !error.status;
+}
+
+/**
+ * Read how long the server asked us to wait, if it did
+ *
+ * @returns {number|null} Milliseconds, or null when no usable header was sent
+ */
+function getRetryAfterMs(error) {
+  const headers = error.headers;
+  if (!headers) {
+    return null;
+  }
+  const read = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  // Educational Note: OpenAI sends retry-after-ms; the standard header is in
+  // seconds or an HTTP date
+  const milliseconds = parseFloat(read('retry-after-ms'));
+  if (!Number.isNaN(milliseconds) && milliseconds >= 0) {
+    return milliseconds;
+  }
+  const value = read('retry-after');
+  if (!value) {
+    return null;
+  }
+  const seconds = parseFloat(value);
+  if (!Number.isNaN(seconds) && seconds >= 0) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Backoff before retry number `retry` (1 = first retry), with "full jitter":
+ * a random wait between 0 and base * 2^(retry - 1), capped at maxDelayMs
+ */
+function getBackoffMs(retry, { baseDelayMs, maxDelayMs }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Run a task, retrying temporary failures with backoff
+ *
+ * @param {function(number): Promise} task - Receives the attempt number (1, 2, ...)
+ * @param {Object} options
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {number} options.baseDelayMs
+ * @param {number} options.maxDelayMs - Longest wait; a longer Retry-After gives up instead
+ * @param {function(Error): boolean} [options.canContinue] - Checked before each retry
+ * @param {function(Error, number, number): void} [options.onRetry] - (error, retry, delayMs)
+ * @returns {Promise}
+ */
+async function withRetry(task, { maxRetries, baseDelayMs, maxDelayMs, canContinue = () => true, onRetry = () => {} }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (attempt > maxRetries || !isRetryableError(error) || !canContinue(error)) {
+        throw error;
+      }
+
+      const retryAfterMs = getRetryAfterMs(error);
+      if (retryAfterMs !== null && retryAfterMs > maxDelayMs) {
+        // Educational Note: Better to fail now than keep a student waiting minutes
+        throw error;
+      }
+      const delayMs = retryAfterMs !== null ? retryAfterMs : getBackoffMs(attempt, { baseDelayMs, maxDelayMs });
+      onRetry(error, attempt, delayMs);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+/**
+ * Circuit breaker for one provider
+ *
+ * Educational Note: Each time a trial fails the wait before the next one
+ * doubles (up to maxResetMs), so a provider that stays down is not hammered
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Provider name, for reports
+   * @param {Object} options
+   * @param {number} options.failureThreshold - Failures in a row that open the circuit
+   * @param {number} options.resetMs - First wait before a trial request
+   * @param {number} options.maxResetMs - Longest wait between trials
+   */
+  constructor(name, { failureThreshold, resetMs, maxResetMs }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetMs = resetMs;
+    this.maxResetMs = maxResetMs;
+
+    this.state = BREAKER_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.cooldownMs = resetMs;
+    this.openedAt = null;
+    this.retryAt = null;
+    this.timesOpened = 0;
+    this.trialInProgress = false;
+    this.lastFailureAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Whether a request may be sent now
+   *
+   * Educational Note: Once the wait is over the circuit is half open and
+   * exactly one request gets through; the rest are refused until it finishes
+   */
+  allowRequest(now = Date.now()) {
+    if (this.state === BREAKER_STATES.CLOSED) {
+      return true;
+    }
+    if (this.state === BREAKER_STATES.OPEN) {
+      if (now < this.retryAt) {
+        return false;
+      }
+      this.halfOpen();
+    }
+    if (this.trialInProgress) {
+      return false;
+    }
+    this.trialInProgress = true;
+    return true;
+  }
+
+  /**
+   * Let the next request through as a trial
+   */
+  halfOpen() {
+    this.state = BREAKER_STATES.HALF_OPEN;
+    this.trialInProgress = false;
+  }
+
+  /**
+   * Give up the trial slot when a request ended without reaching the provider
+   */
+  releaseTrial() {
+    this.trialInProgress = false;
+  }
+
+  recordSuccess() {
+    this.state = BREAKER_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.cooldownMs = this.resetMs;
+    this.openedAt = null;
+    this.retryAt = null;
+    this.trialInProgress = false;
+  }
+
+  /**
+   * @param {Error} error
+   * @param {Object} [options]
+   * @param {boolean} [options.immediate] - Open at once, whatever the threshold
+   *   (used when the provider cannot even be initialized)
+   */
+  recordFailure(error, { immediate = false } = {}) {
+    this.consecutiveFailures += 1;
+    this.lastFailureAt = new Date().toISOString();
+    this.lastError = error.message;
+    this.trialInProgress = false;
+
+    if (this.state !== BREAKER_STATES.CLOSED) {
+      // Educational Note: A failed trial (or recovery probe) waits twice as long
+      this.cooldownMs = Math.min(this.cooldownMs * 2, this.maxResetMs);
+      this.open();
+    } else if (immediate || this.consecutiveFailures >= this.failureThreshold) {
+      this.open();
+    }
+  }
+
+  open() {
+    if (this.state !== BREAKER_STATES.OPEN) {
+      this.timesOpened += 1;
+      this.openedAt = new Date().toISOString();
+    }
+    this.state = BREAKER_STATES.OPEN;
+    this.retryAt = Date.now() + this.cooldownMs;
+  }
+
+  /**
+   * Milliseconds until a trial is allowed (0 when not open)
+   */
+  msUntilRetry(now = Date.now()) {
+    return this.state === BREAKER_STATES.OPEN ? Math.max(this.retryAt - now, 0) : 0;
+  }
+
+  /**
+   * Current state, for /api/health
+   */
+  getState() {
+    return {
+      provider: this.name,
+      state: this.state,
+      consecutive_failures: this.consecutiveFailures,
+      failure_threshold: this.failureThreshold,
+      times_opened: this.timesOpened,
+      opened_at: this.state === BREAKER_STATES.CLOSED ? null : this.openedAt,
+      retry_at: this.state === BREAKER_STATES.OPEN ? new Date(this.retryAt).toISOString() : null,
+      last_failure_at: this.lastFailureAt,
+      last_error: this.lastError
+    };
+  }
+}
+
+module.exports = {
+  BREAKER_STATES,
+  CircuitBreaker,
+  codedError,
+  withTimeout,
+  withRetry,
+  isRetryableError,
+  isProviderFailure,
+  getRetryAfterMs,
+  getBackoffMs
+};
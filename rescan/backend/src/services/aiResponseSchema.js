@@ -0,0 +1,136 @@
+/**
+ * AI Response Schema - The Contract for Model Replies
+ *
+ * Educational Focus:
+ * - Structured output: asking the model for JSON that matches a schema
+ * - Never trusting that it did: validating the reply with Joi anyway
+ * - One schema, two formats: JSON Schema for the provider, Joi for the server
+ *
+ * A reply that breaks the contract is not guessed at - AIService asks the
+ * model once to repair it, and otherwise reports the analysis as failed.
+ */
+
+const Joi = require('joi');
+
+const RIC_CODES = [1, 2, 3, 4, 5, 6, 7];
+
+/**
+ * JSON Schema sent with the request (OpenAI "structured outputs")
+ *
+ * Educational Note: Strict mode requires every property to be listed as
+ * required and forbids extra ones - optional values are written as "or null"
+ */
+const RESPONSE_JSON_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['items', 'description', 'reasoning'],
+  properties: {
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['material_type', 'ric_code', 'confidence', 'description', 'recyclable', 'bounding_box'],
+        properties: {
+          material_type: { type: 'string' },
+          ric_code: { type: ['integer', 'null'], enum: [...RIC_CODES, null] },
+          confidence: { type: 'number' },
+          description: { type: 'string' },
+          recyclable: { type: 'boolean' },
+          bounding_box: {
+            anyOf: [
+              {
+                type: 'object',
+                additionalProperties: false,
+                required: ['x', 'y', 'width', 'height'],
+                properties: {
+                  x: { type: 'number' },
+                  y: { type: 'number' },
+                  width: { type: 'number' },
+                  height: { type: 'number' }
+                }
+              },
+              { type: 'null' }
+            ]
+          }
+        }
+      }
+    },
+    description: { type: 'string' },
+    reasoning: { type: 'string' }
+  }
+};
+
+/**
+ * response_format values for the chat completions API, by AI_STRUCTURED_OUTPUT setting
+ *
+ * - json_schema: the model must follow RESPONSE_JSON_SCHEMA (newer models)
+ * - json_object: the model must reply with some JSON object (older models)
+ * - off: nothing is sent; the reply is still validated
+ */
+const RESPONSE_FORMATS = {
+  json_schema: {
+    type: 'json_schema',
+    json_schema: { name: 'recycling_analysis', strict: true, schema: RESPONSE_JSON_SCHEMA }
+  },
+  json_object: { type: 'json_object' },
+  off: null
+};
+
+const fraction = Joi.number().min(0).max(1).required();
+
+/**
+ * Joi version of the same contract, used to check every reply
+ *
+ * Educational Note: Unknown keys are allowed - a model adding a harmless extra
+ * field is not a reason to reject an otherwise correct answer
+ */
+const responseSchema = Joi.object({
+  items: Joi.array().min(1).items(Joi.object({
+    material_type: Joi.string().trim().min(1).required(),
+    ric_code: Joi.number().integer().valid(...RIC_CODES).allow(null).required(),
+    confidence: Joi.number().min(0).max(100).required(),
+    description: Joi.string().allow('', null),
+    recyclable: Joi.boolean().required(),
+    bounding_box: Joi.object({ x: fraction, y: fraction, width: fraction, height: fraction }).allow(null)
+  }).unknown(true)).required(),
+  description: Joi.string().allow('', null),
+  reasoning: Joi.string().allow('', null)
+}).unknown(true);
+
+/**
+ * Parse and validate a raw model reply
+ *
+ * @param {string} content - Text returned by the model
+ * @returns {{value: Object}|{error: {type: string, details: string[]}}} The
+ *   parsed reply, or why it was rejected ('invalid_json' or 'schema_violation')
+ */
+function validateResponse(content) {
+  // Educational Note: Some models wrap JSON in a markdown code fence (```json ... ```)
+  let text = (content || '').trim();
+  const fenceMatch = text.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/);
+  if (fenceMatch) {
+    text = fenceMatch[1].trim();
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (jsonError) {
+    return { error: { type: 'invalid_json', details: [jsonError.message] } };
+  }
+
+  // Educational Note: convert: false means "5" is not accepted where 5 is expected
+  const { error, value } = responseSchema.validate(parsed, { abortEarly: false, convert: false });
+  if (error) {
+    return { error: { type: 'schema_violation', details: error.details.map(detail => detail.message) } };
+  }
+  return { value };
+}
+
+module.exports = {
+  RESPONSE_JSON_SCHEMA,
+  RESPONSE_FORMATS,
+  responseSchema,
+  validateResponse
+};
@@ -2,7 +2,7 @@
  * AI Service for Recycling Symbol Recognition
  * 
  * Educational Focus:
- * - Azure OpenAI integration patterns with Entra ID authentication
+ * - Pluggable AI provider integration (strategy pattern)
  * - Image analysis and machine learning concepts
  * - Error handling in AI systems
  * - Confidence scoring and validation
@@ -12,179 +12,306 @@
  * This service demonstrates how to integrate AI into educational applications
  * while maintaining proper error handling and educational value.
  * 
- * Authentication: Uses Azure AD (Entra ID) with Service Principal
- * - Requires: AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET
- * - More secure than API keys for production environments
- * - Supports Azure RBAC and Managed Identity patterns
+ * Providers: the AI_PROVIDER environment variable selects the backend
+ * - azure (default): Azure OpenAI with a Service Principal
+ * - openai: any OpenAI-compatible endpoint (OPENAI_BASE_URL, OPENAI_API_KEY)
+ * - local: deterministic offline provider for classrooms and CI
+ * 
+ * Prompts: versioned templates in services/prompts, chosen per photo by
+ * promptService (PROMPT_VERSION and an optional experiment version)
+ * 
+ * Resilience: every provider call has a timeout and is retried with backoff on
+ * rate limits and server errors; a circuit breaker per provider pauses calls
+ * after repeated failures and keeps re-trying initialize() (see aiResilience.js)
+ * 
+ * Usage: tokens, latency and estimated cost are returned with every analysis
+ * and recorded per scan; past a daily budget the paid provider is not called
+ * (see aiUsageService.js)
  */
 
-const { OpenAI } = require('openai');
-const { ClientSecretCredential } = require('@azure/identity');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
+const { createDefaultProviders } = require('./providers');
+const imagePreprocessingService = require('./imagePreprocessingService');
+const analysisCacheService = require('./analysisCacheService');
+const aiOutcomeService = require('./aiOutcomeService');
+const promptService = require('./promptService');
+const aiUsageService = require('./aiUsageService');
+const { RESPONSE_FORMATS, validateResponse } = require('./aiResponseSchema');
+const {
+  BREAKER_STATES,
+  CircuitBreaker,
+  codedError,
+  withTimeout,
+  withRetry,
+  isProviderFailure
+} = require('./aiResilience');
+
+const DEFAULT_PROVIDER = 'azure';
+const DEFAULT_STRUCTURED_OUTPUT = 'json_schema';
+
+// Educational Note: Limits on multi-item answers - a model that "sees" dozens of
+// items in one photo is more likely hallucinating than finding a real pile
+const MAX_ITEMS_PER_SCAN = 10;
+const MIN_ITEM_CONFIDENCE = 20;
+
+/**
+ * Read a count setting where 0 is allowed (e.g. AI_MAX_RETRIES=0 turns retries off)
+ */
+function readCount(value, defaultValue) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? defaultValue : parsed;
+}
 
 class AIService {
   constructor() {
-    this.client = null;
+    this.providers = new Map();
+    this.providerName = (process.env.AI_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
     this.isInitialized = false;
-    this.tokenExpiresAt = 0;
-    this.educationalPrompts = this.getEducationalPrompts();
+    this.structuredOutput = this.resolveStructuredOutput(process.env.AI_STRUCTURED_OUTPUT);
     this.ricSymbolDatabase = this.getRICSymbolDatabase();
+
+    // Educational Note: Resilience settings (see aiResilience.js)
+    this.requestTimeoutMs = (parseInt(process.env.AI_REQUEST_TIMEOUT_SECONDS, 10) || 60) * 1000;
+    this.initTimeoutMs = (parseInt(process.env.AI_INIT_TIMEOUT_SECONDS, 10) || 30) * 1000;
+    this.retryOptions = {
+      maxRetries: readCount(process.env.AI_MAX_RETRIES, 3),
+      baseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS, 10) || 500,
+      maxDelayMs: parseInt(process.env.AI_RETRY_MAX_DELAY_MS, 10) || 20000
+    };
+    this.breakerOptions = {
+      failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+      resetMs: (parseInt(process.env.AI_CIRCUIT_RESET_SECONDS, 10) || 30) * 1000,
+      maxResetMs: (parseInt(process.env.AI_CIRCUIT_MAX_RESET_SECONDS, 10) || 600) * 1000
+    };
+    this.breakers = new Map();
+    this.recoveryTimer = null;
+
+    // Educational Note: Register the built-in providers
+    createDefaultProviders().forEach(provider => this.registerProvider(provider));
   }
 
   /**
-   * Initialize Azure OpenAI client with Azure AD (Entra ID) authentication
-   * 
-   * Educational Note: This uses Service Principal authentication which is more secure
-   * than API keys and supports Azure role-based access control (RBAC)
+   * Check the AI_STRUCTURED_OUTPUT setting (json_schema, json_object or off)
    */
-  async initialize() {
-    try {
-      // Educational Note: Check for required Azure AD credentials
-      const requiredEnvVars = {
-        AZURE_TENANT_ID: process.env.AZURE_TENANT_ID,
-        AZURE_CLIENT_ID: process.env.AZURE_CLIENT_ID,
-        AZURE_CLIENT_SECRET: process.env.AZURE_CLIENT_SECRET,
-        AZURE_OPENAI_ENDPOINT: process.env.AZURE_OPENAI_ENDPOINT,
-        AZURE_OPENAI_DEPLOYMENT_NAME: process.env.AZURE_OPENAI_DEPLOYMENT_NAME
-      };
-
-      const missingVars = Object.entries(requiredEnvVars)
-        .filter(([key, value]) => !value)
-        .map(([key]) => key);
-
-      if (missingVars.length > 0) {
-        logger.warn(`Azure AD credentials not configured - missing: ${missingVars.join(', ')}`);
-        logger.warn('Using mock responses for educational demonstration');
-        this.isInitialized = false;
-        return false;
-      }
-
-      // Educational Note: Create Azure AD credential using Service Principal
-      // This is more secure than API keys and supports Azure RBAC
-      const credential = new ClientSecretCredential(
-        process.env.AZURE_TENANT_ID,
-        process.env.AZURE_CLIENT_ID,
-        process.env.AZURE_CLIENT_SECRET
-      );
-
-      logger.info('Azure AD credential created successfully');
-      logger.info(`Endpoint: ${process.env.AZURE_OPENAI_ENDPOINT}`);
-      logger.info(`Deployment: ${process.env.AZURE_OPENAI_DEPLOYMENT_NAME}`);
+  resolveStructuredOutput(setting) {
+    const value = (setting || DEFAULT_STRUCTURED_OUTPUT).trim().toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(RESPONSE_FORMATS, value)) {
+      logger.warn(`AI_STRUCTURED_OUTPUT "${setting}" is not one of ${Object.keys(RESPONSE_FORMATS).join(', ')} - using ${DEFAULT_STRUCTURED_OUTPUT}`);
+      return DEFAULT_STRUCTURED_OUTPUT;
+    }
+    return value;
+  }
 
-      // Get Azure AD token
-      const tokenResponse = await credential.getToken('https://cognitiveservices.azure.com/.default');
-      
-      if (!tokenResponse || !tokenResponse.token) {
-        throw new Error('Failed to obtain Azure AD token');
-      }
+  /**
+   * Register a vision provider so it can be selected by name
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
 
-      logger.info('Azure AD token obtained successfully');
+  /**
+   * Get the provider selected by configuration (or a named one)
+   */
+  getProvider(name = this.providerName) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown AI provider "${name}". Available providers: ${[...this.providers.keys()].join(', ')}`);
+    }
+    return provider;
+  }
 
-      // Store credential for token refresh and deployment config
-      this.credential = credential;
-      this.deploymentName = process.env.AZURE_OPENAI_DEPLOYMENT_NAME;
+  /**
+   * Switch the active provider at runtime (the next analysis re-initializes)
+   */
+  setProvider(name) {
+    this.getProvider(name);
+    this.providerName = name;
+    this.isInitialized = false;
+  }
 
-      // Build the client with the fresh token
-      this.buildClient(tokenResponse.token);
+  /**
+   * Get the circuit breaker for a provider (created on first use)
+   */
+  getBreaker(name = this.providerName) {
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, new CircuitBreaker(name, this.breakerOptions));
+    }
+    return this.breakers.get(name);
+  }
 
-      // Track expiry so we can refresh before it lapses (5-min buffer)
-      this.tokenExpiresAt = tokenResponse.expiresOnTimestamp - 5 * 60 * 1000;
+  /**
+   * Initialize the active provider
+   * 
+   * Educational Note: Each provider knows how to authenticate with its own backend;
+   * this service only needs to know whether it is ready.
+   */
+  async initialize() {
+    const provider = this.getProvider();
+    logger.info(`Initializing AI provider: ${provider.name}`);
 
-      // Test the connection with a simple request
-      await this.testConnection();
-      
-      this.isInitialized = true;
-      logger.info('Azure OpenAI service initialized successfully with Azure AD authentication');
-      logger.info('Educational Note: Using Service Principal authentication (more secure than API keys)');
-      return true;
+    this.isInitialized = await provider.initialize();
+    return this.isInitialized;
+  }
 
+  /**
+   * Initialize the active provider, giving up after AI_INIT_TIMEOUT_SECONDS
+   * 
+   * @returns {Promise<boolean>} True when the provider is ready
+   */
+  async initializeWithTimeout(provider) {
+    try {
+      return await withTimeout(() => this.initialize(), this.initTimeoutMs, `AI provider "${provider.name}" initialization`);
     } catch (error) {
-      logger.error('Failed to initialize Azure OpenAI service:', error);
-      logger.error('Educational Note: Check Azure AD Service Principal credentials and permissions');
+      logger.error(`AI provider "${provider.name}" initialization failed:`, error);
       this.isInitialized = false;
       return false;
     }
   }
 
   /**
-   * Build (or rebuild) the OpenAI client with a Bearer token
+   * Make sure the provider can take a request, or explain why not
+   * 
+   * Educational Note: A failed initialization opens the circuit instead of
+   * disabling AI until the server restarts - initialize() is tried again
+   * in the background (scheduleRecovery) and by the next trial request
+   * 
+   * @throws {Error} code 'AI_CIRCUIT_OPEN' while calls are paused, or the provider's configuration hint
    */
-  buildClient(token) {
-    this.client = new OpenAI({
-      apiKey: token,
-      baseURL: `${process.env.AZURE_OPENAI_ENDPOINT}/openai/deployments/${this.deploymentName}`,
-      defaultQuery: { 'api-version': '2024-10-01-preview' },
-      defaultHeaders: {
-        'Authorization': `Bearer ${token}`
+  async ensureProviderReady(provider) {
+    const breaker = this.getBreaker(provider.name);
+    if (!breaker.allowRequest()) {
+      const seconds = Math.ceil(breaker.msUntilRetry() / 1000);
+      throw codedError(
+        `AI provider "${provider.name}" is paused after repeated failures${seconds > 0 ? ` - next try in ${seconds}s` : ''} (last error: ${breaker.lastError})`,
+        'AI_CIRCUIT_OPEN'
+      );
+    }
+
+    if (!this.isInitialized || !provider.isInitialized) {
+      const ready = await this.initializeWithTimeout(provider);
+      if (!ready) {
+        breaker.recordFailure(new Error(`Initialization failed: ${provider.configurationHint}`), { immediate: true });
+        this.scheduleRecovery(provider);
+        throw new Error(provider.configurationHint);
       }
-    });
+    }
   }
 
   /**
-   * Refresh the Azure AD token if it is expired or about to expire,
-   * then rebuild the OpenAI client with the new token.
+   * Re-try initialize() when the circuit's wait is over, without waiting for a student
+   * 
+   * Educational Note: A successful re-initialization only half-opens the
+   * circuit - the next real request decides whether it closes. The timer is
+   * unref()'d so it never keeps the process alive.
    */
-  async refreshTokenIfNeeded() {
-    if (Date.now() < this.tokenExpiresAt) {
-      return; // token is still valid
+  scheduleRecovery(provider) {
+    const breaker = this.getBreaker(provider.name);
+    if (this.recoveryTimer || breaker.state !== BREAKER_STATES.OPEN) {
+      return;
     }
-    logger.info('Azure AD token expired or expiring soon — refreshing...');
-    const tokenResponse = await this.credential.getToken('https://cognitiveservices.azure.com/.default');
-    if (!tokenResponse || !tokenResponse.token) {
-      throw new Error('Failed to refresh Azure AD token');
-    }
-    this.buildClient(tokenResponse.token);
-    this.tokenExpiresAt = tokenResponse.expiresOnTimestamp - 5 * 60 * 1000;
-    logger.info('Azure AD token refreshed successfully');
+
+    this.recoveryTimer = setTimeout(async () => {
+      this.recoveryTimer = null;
+      if (breaker.state !== BREAKER_STATES.OPEN || this.getProvider() !== provider) {
+        return;
+      }
+
+      logger.info(`Circuit for AI provider "${provider.name}" is open - trying to initialize it again`);
+      if (await this.initializeWithTimeout(provider)) {
+        logger.info(`AI provider "${provider.name}" initialized - the next request is a trial`);
+        breaker.halfOpen();
+      } else {
+        breaker.recordFailure(new Error(`Initialization failed: ${provider.configurationHint}`));
+        this.scheduleRecovery(provider);
+      }
+    }, breaker.msUntilRetry());
+    this.recoveryTimer.unref();
   }
 
   /**
-   * Test Azure OpenAI connection
+   * Send one request to the provider with a timeout, retries and the circuit breaker
+   * 
+   * @param {VisionProvider} provider
+   * @param {Object} request - VisionRequest
+   * @returns {Promise<Object>} VisionResponse
    */
-  async testConnection() {
-    if (!this.client) {
-      throw new Error('OpenAI client not initialized');
+  async callProvider(provider, request) {
+    const breaker = this.getBreaker(provider.name);
+    // Educational Note: Latency includes retries - it is how long the student waited
+    const startedAt = Date.now();
+    try {
+      const response = await withRetry(
+        () => withTimeout(
+          signal => provider.analyze({ ...request, signal }),
+          this.requestTimeoutMs,
+          `AI provider "${provider.name}" request`
+        ),
+        {
+          ...this.retryOptions,
+          // Educational Note: Stop retrying if other requests have opened the circuit meanwhile
+          canContinue: () => breaker.state !== BREAKER_STATES.OPEN,
+          onRetry: (error, retry, delayMs) => logger.warn(
+            `AI provider "${provider.name}" request failed (${error.status || error.code || error.message}) - retry ${retry} of ${this.retryOptions.maxRetries} in ${delayMs}ms`
+          )
+        }
+      );
+      breaker.recordSuccess();
+      return { ...response, latency_ms: Date.now() - startedAt };
+    } catch (error) {
+      if (isProviderFailure(error)) {
+        breaker.recordFailure(error);
+        if (breaker.state === BREAKER_STATES.OPEN) {
+          logger.warn(`Circuit for AI provider "${provider.name}" opened after ${breaker.consecutiveFailures} failures in a row`);
+          this.scheduleRecovery(provider);
+        }
+      }
+      throw error;
     }
+  }
 
-    logger.info('Testing connection to Azure OpenAI...');
-    logger.info(`Deployment: ${this.deploymentName}`);
-    
-    // For OpenAI SDK with Azure, don't pass model when deployment is in baseURL
-    const response = await this.client.chat.completions.create({
-      messages: [{ role: 'user', content: 'Test connection - respond with "OK"' }],
-      max_tokens: 10
-    });
-
-    if (!response.choices || response.choices.length === 0) {
-      throw new Error('Invalid response from Azure OpenAI service');
+  /**
+   * Provider and circuit breaker status for /api/health
+   */
+  getHealth() {
+    const provider = this.getProvider();
+    const circuit = this.getBreaker(provider.name).getState();
+
+    let status = 'healthy';
+    if (circuit.state === BREAKER_STATES.OPEN) {
+      status = 'unavailable';
+    } else if (circuit.state === BREAKER_STATES.HALF_OPEN) {
+      status = 'recovering';
+    } else if (!this.isInitialized) {
+      // Educational Note: Providers connect on the first scan, so this is normal after a restart
+      status = 'not_initialized';
     }
 
-    logger.info('Azure OpenAI connection test successful');
-    logger.info(`Response: ${response.choices[0].message.content}`);
+    return {
+      status,
+      provider: provider.name,
+      model: provider.model,
+      circuit,
+      settings: {
+        request_timeout_seconds: this.requestTimeoutMs / 1000,
+        max_retries: this.retryOptions.maxRetries
+      }
+    };
   }
 
   /**
    * Analyze uploaded image for recycling symbols
    * Returns educational analysis with confidence scoring
+   *
+   * Educational Note: Never throws - when no analysis could be made the result has
+   * error 'AI_ANALYSIS_FAILED' and material_type 'unknown', so callers never
+   * mistake a failure for a real answer
    */
   async analyzeRecyclingImage(imagePath, originalFileName = 'uploaded_image') {
-    let initError = null;
     try {
-      // Lazy initialization: attempt to connect to Azure OpenAI on first call
-      // Use a 30-second timeout so a bad credential doesn't hang the request
-      if (!this.isInitialized && !this._initAttempted) {
-        this._initAttempted = true;
-        await Promise.race([
-          this.initialize(),
-          new Promise((_, reject) => setTimeout(() => reject(new Error('Azure OpenAI initialization timed out after 30s — check Service Principal credentials')), 30000))
-        ]);
-      }
-
-      if (!this.isInitialized || !this.client) {
-        throw new Error('Azure OpenAI is not initialized. Check your AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET, AZURE_OPENAI_ENDPOINT, and AZURE_OPENAI_DEPLOYMENT_NAME environment variables.');
-      }
+      const provider = this.getProvider();
 
       logger.info(`Starting AI analysis for image: ${originalFileName}`);
 
@@ -195,7 +322,44 @@ class AIService {
       const stats = await fs.stat(imagePath);
       logger.info(`Analyzing image: ${originalFileName}, Size: ${stats.size} bytes`);
 
-      const analysisResult = await this.performRealAIAnalysis(imagePath, originalFileName);
+      // Educational Note: The prompt version is picked per photo (see promptService.js)
+      const contentHash = crypto.createHash('sha256').update(await fs.readFile(imagePath)).digest('hex');
+      const prompt = promptService.select(contentHash, { max_items: MAX_ITEMS_PER_SCAN });
+
+      // Educational Note: The same photo, prompt and model give the same answer,
+      // so a cached answer saves a call to the provider
+      const cacheParts = this.getCacheParts(provider, contentHash, prompt, originalFileName);
+      const cacheKey = analysisCacheService.buildKey(cacheParts);
+      const cached = await analysisCacheService.get(cacheKey);
+
+      let analysisResult;
+      if (cached) {
+        logger.info(`AI analysis for ${originalFileName} served from cache (cached ${cached.cached_at}, ${cached.hits} hits)`);
+        analysisResult = {
+          ...cached.result,
+          // Educational Note: A cached answer sent nothing to the provider, so it cost nothing
+          usage: this.createUsage(provider.name, cached.result.ai_analysis ? cached.result.ai_analysis.model_used : provider.model),
+          cache: { hit: true, cached_at: cached.cached_at, hits: cached.hits }
+        };
+      } else {
+        // Educational Note: Only a miss costs money, so only a miss checks the budget
+        const budget = await aiUsageService.checkBudget();
+        if (budget.exceeded) {
+          analysisResult = await this.performBudgetFallback(budget, imagePath, originalFileName, prompt);
+        } else {
+          // Educational Note: Cached answers are served even while the provider is
+          // down; only a miss needs it. Initialization is lazy, on the first miss.
+          await this.ensureProviderReady(provider);
+          try {
+            analysisResult = await this.performAIAnalysis(provider, imagePath, originalFileName, prompt);
+          } finally {
+            // Educational Note: Frees the trial slot if the analysis failed before reaching the provider
+            this.getBreaker(provider.name).releaseTrial();
+          }
+          await analysisCacheService.set(cacheKey, cacheParts, analysisResult);
+        }
+        analysisResult.cache = { hit: false };
+      }
 
       // Enhance result with educational content
       analysisResult.educational = this.getEducationalContent(analysisResult.material_type, analysisResult.ric_code);
@@ -203,7 +367,7 @@ class AIService {
       // Add confidence validation
       analysisResult.confidence_analysis = this.analyzeConfidence(analysisResult.confidence);
 
-      logger.info(`AI analysis completed for ${originalFileName}: ${analysisResult.material_type}, Confidence: ${analysisResult.confidence}%`);
+      logger.info(`AI analysis completed for ${originalFileName}: ${analysisResult.items.length} item(s), primary ${analysisResult.material_type}, Confidence: ${analysisResult.confidence}%`);
       
       return analysisResult;
 
@@ -226,9 +390,11 @@ class AIService {
           learning_moment: 'This demonstrates the importance of error handling in AI applications'
         },
         confidence: 0,
-        material_type: 'plastic',
+        material_type: 'unknown',
         ric_code: null,
         points: 0,
+        // Educational Note: Tokens spent on a reply that was rejected are still billed
+        usage: error.usage || null,
         debug: {
           raw_prompts: [{ role: 'error', content: `Analysis failed: ${error.message}` }],
           raw_response: `ERROR: ${error.message}\n\nStack: ${error.stack}`
@@ -238,31 +404,112 @@ class AIService {
   }
 
   /**
-   * Perform real AI analysis using Azure OpenAI Vision API
+   * Answer without the paid provider once today's budget is used up
+   * 
+   * Educational Note: In "local" mode the offline provider answers, so scans
+   * keep working (with mock results); in "degraded" mode the scan fails and the
+   * student gets general recycling tips. Fallback answers are not cached, so the
+   * real provider grades the photo again tomorrow.
+   * 
+   * @throws {Error} code 'AI_BUDGET_EXCEEDED' in degraded mode
+   */
+  async performBudgetFallback(budget, imagePath, fileName, prompt) {
+    if (budget.exceeded_mode !== 'local') {
+      throw codedError(`Today's AI budget is used up (${budget.reason}) - AI analysis resumes at midnight UTC`, 'AI_BUDGET_EXCEEDED');
+    }
+
+    const fallback = this.getProvider('local');
+    if (!fallback.isInitialized) {
+      await fallback.initialize();
+    }
+    const result = await this.performAIAnalysis(fallback, imagePath, fileName, prompt);
+    result.usage.budget_fallback = true;
+    return result;
+  }
+
+  /**
+   * Empty usage record for one analysis
+   * 
+   * @returns {{provider: string, model: string, requests: number, prompt_tokens: number,
+   *   completion_tokens: number, total_tokens: number, latency_ms: number, estimated_cost_usd: number}}
+   */
+  createUsage(providerName, model) {
+    return {
+      provider: providerName,
+      model,
+      requests: 0,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0,
+      latency_ms: 0,
+      estimated_cost_usd: 0
+    };
+  }
+
+  /**
+   * Add one provider response to a usage record
+   * 
+   * Educational Note: Providers that do not report usage (the offline one)
+   * still count requests and latency, with zero tokens
+   */
+  addUsage(usage, response) {
+    const tokens = response.usage || { prompt_tokens: 0, completion_tokens: 0 };
+    usage.model = response.model || usage.model;
+    usage.requests += 1;
+    usage.prompt_tokens += tokens.prompt_tokens;
+    usage.completion_tokens += tokens.completion_tokens;
+    usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+    usage.latency_ms += response.latency_ms || 0;
+    usage.estimated_cost_usd = aiUsageService.estimateCost(usage.provider, usage);
+    return usage;
+  }
+
+  /**
+   * Describe what an analysis depends on, for the cache key
+   * 
+   * Educational Note: The fingerprint is included next to the version name, so
+   * cached answers are not reused if a prompt file's text is edited anyway
+   * 
+   * @returns {{content_hash: string, prompt_version: string, model: string, file_name: string|null}}
+   */
+  getCacheParts(provider, contentHash, prompt, fileName) {
+    return {
+      content_hash: contentHash,
+      prompt_version: `${prompt.version}@${prompt.fingerprint}`,
+      model: `${provider.name}:${provider.model}`,
+      file_name: provider.answersDependOnFileName ? fileName : null
+    };
+  }
+
+  /**
+   * Perform AI analysis through the selected vision provider
    */
-  async performRealAIAnalysis(imagePath, fileName) {
+  async performAIAnalysis(provider, imagePath, fileName, prompt) {
     try {
-      // Read and encode image
-      const imageBuffer = await fs.readFile(imagePath);
+      // Educational Note: Rotate upright, shrink and strip metadata (GPS!) before
+      // the photo leaves the server - see imagePreprocessingService.js
+      const image = await imagePreprocessingService.preprocess(imagePath);
+      const imageBuffer = image.buffer;
       const base64Image = imageBuffer.toString('base64');
+      const mimeType = image.mime_type;
       
       // Create the vision analysis prompt
       const messages = [
         {
           role: 'system',
-          content: this.educationalPrompts.system_prompt
+          content: prompt.system_prompt
         },
         {
           role: 'user',
           content: [
             {
               type: 'text',
-              text: this.educationalPrompts.analysis_prompt
+              text: prompt.analysis_prompt
             },
             {
               type: 'image_url',
               image_url: {
-                url: `data:image/jpeg;base64,${base64Image}`,
+                url: `data:${mimeType};base64,${base64Image}`,
                 detail: 'high'
               }
             }
@@ -270,22 +517,22 @@ class AIService {
         }
       ];
 
-      // Refresh token if needed before calling Azure OpenAI
-      await this.refreshTokenIfNeeded();
-
-      // Call Azure OpenAI Vision API
-      const response = await this.client.chat.completions.create({
-        model: process.env.AZURE_OPENAI_DEPLOYMENT_NAME || 'gpt-4o',
-        messages: messages,
-        max_tokens: 1000,
-        temperature: 0.3 // Lower temperature for more consistent analysis
-      });
+      // Educational Note: Every provider receives the same request shape
+      const { response, reply, attempts, messages: sentMessages, usage } = await this.requestValidatedReply(provider, {
+        messages,
+        imageBuffer,
+        mimeType,
+        fileName,
+        maxTokens: 1000,
+        temperature: 0.3, // Lower temperature for more consistent analysis
+        responseFormat: RESPONSE_FORMATS[this.structuredOutput],
+        attempt: 1
+      }, prompt.version);
 
-      const aiResponse = response.choices[0].message.content;
-      logger.info('Raw AI response received:', aiResponse);
+      const aiResponse = response.content;
 
       // Build text-only version of prompts (exclude base64 image data)
-      const rawPrompts = messages.map(m => {
+      const rawPrompts = sentMessages.map(m => {
         if (Array.isArray(m.content)) {
           const textParts = m.content.filter(p => p.type === 'text').map(p => p.text);
           return { role: m.role, content: textParts.join('\n') + '\n[image attached]' };
@@ -293,54 +540,158 @@ class AIService {
         return { role: m.role, content: m.content };
       });
 
-      // Parse AI response into structured format
-      const result = this.parseAIResponse(aiResponse, fileName);
+      // Turn the validated reply into the analysis result
+      const result = this.buildAnalysisResult(reply, aiResponse, {
+        processing_method: provider.processingMethod,
+        model_used: response.model || provider.model,
+        attempts,
+        prompt_version: prompt.version
+      });
       result.debug = { raw_prompts: rawPrompts, raw_response: aiResponse };
+      result.usage = usage;
+
+      // Educational Note: What was actually sent (the pixels themselves are left out)
+      result.image = {
+        mime_type: image.mime_type,
+        width: image.width,
+        height: image.height,
+        original_width: image.original_width,
+        original_height: image.original_height,
+        bytes: image.bytes,
+        original_bytes: image.original_bytes,
+        resized: image.resized
+      };
       return result;
 
     } catch (error) {
-      logger.error('Azure OpenAI analysis failed:', error);
+      logger.error(`AI provider "${provider.name}" analysis failed:`, error);
       throw error;
     }
   }
 
   /**
-   * Parse AI response into structured analysis result
+   * Ask the provider for an analysis and check the reply against the schema
+   * 
+   * Educational Note: A reply that breaks the schema gets exactly one repair
+   * retry: the model sees its own reply and the validation errors. Guessing
+   * values out of free text (the old regex fallback) produced wrong RIC codes.
+   * 
+   * @param {VisionProvider} provider
+   * @param {Object} request - VisionRequest for the first attempt
+   * @param {string} promptVersion - Prompt version in the request, for the outcome log
+   * @returns {Promise<{response: Object, reply: Object, attempts: number, messages: Object[], usage: Object}>}
+   *   usage adds up both attempts (see createUsage)
+   * @throws {Error} When the provider fails or the repaired reply is still invalid
+   *   (error.usage holds what the failed attempts used)
    */
-  parseAIResponse(aiResponse, fileName) {
+  async requestValidatedReply(provider, request, promptVersion) {
+    const usage = this.createUsage(provider.name, provider.model);
+    let response = await this.callProvider(provider, request);
+    this.addUsage(usage, response);
+    logger.info('Raw AI response received', { content: response.content });
+    let check = validateResponse(response.content);
+    if (!check.error) {
+      await this.recordOutcome(provider, response, promptVersion, 'valid', 1, null);
+      return { response, reply: check.value, attempts: 1, messages: request.messages, usage };
+    }
+
+    const firstError = check.error;
+    logger.warn(`AI reply rejected (${firstError.type}) - asking for a repair`, { details: firstError.details });
+
+    const messages = [
+      ...request.messages,
+      { role: 'assistant', content: response.content || '' },
+      { role: 'user', content: this.buildRepairPrompt(firstError) }
+    ];
     try {
-      // Strip markdown code fences if present (e.g. ```json ... ```)
-      let cleanResponse = aiResponse.trim();
-      const fenceMatch = cleanResponse.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/);
-      if (fenceMatch) {
-        cleanResponse = fenceMatch[1].trim();
-      }
+      response = await this.callProvider(provider, { ...request, messages, attempt: 2 });
+    } catch (error) {
+      await this.recordOutcome(provider, response, promptVersion, 'failed', 2, firstError);
+      error.usage = usage;
+      throw error;
+    }
+    this.addUsage(usage, response);
+    logger.info('Repaired AI response received', { content: response.content });
+    check = validateResponse(response.content);
+
+    await this.recordOutcome(provider, response, promptVersion, check.error ? 'failed' : 'repaired', 2, firstError);
+    if (check.error) {
+      const error = new Error(`AI reply did not match the response schema after a repair attempt: ${check.error.details.join('; ')}`);
+      error.usage = usage;
+      throw error;
+    }
+    return { response, reply: check.value, attempts: 2, messages, usage };
+  }
+
+  /**
+   * Instructions sent with the repair retry
+   */
+  buildRepairPrompt(error) {
+    const problem = error.type === 'invalid_json'
+      ? 'was not valid JSON'
+      : `did not match the required format: ${error.details.join('; ')}`;
+    return `Your previous reply ${problem}. Reply again with only the JSON object described in your instructions. `
+      + 'Every item needs material_type, ric_code (1-7 or null), confidence (0-100), description, recyclable (true/false) and bounding_box (or null).';
+  }
 
-      // Try to parse JSON response
-      let parsed;
-      try {
-        parsed = JSON.parse(cleanResponse);
-      } catch (jsonError) {
-        // If not JSON, extract using regex patterns
-        parsed = this.extractFromTextResponse(cleanResponse);
+  /**
+   * Log how a request went, for measuring how often the model misbehaves
+   */
+  recordOutcome(provider, response, promptVersion, outcome, attempts, error) {
+    return aiOutcomeService.record({
+      provider: provider.name,
+      model: (response && response.model) || provider.model,
+      prompt_version: promptVersion,
+      outcome,
+      attempts,
+      error
+    });
+  }
+
+  /**
+   * Build the analysis result from a validated reply
+   * 
+   * Educational Note: The result lists every detected item in "items". The
+   * top-level material_type, ric_code, confidence and recyclable fields describe
+   * the most confident item, and "points" is the total for all items, so
+   * single-item clients keep working unchanged.
+   * 
+   * @param {Object} reply - Reply that passed validateResponse (see aiResponseSchema.js)
+   * @param {string} aiResponse - The raw reply text, kept for auditing
+   * @param {Object} source - processing_method, model_used, attempts and prompt_version
+   */
+  buildAnalysisResult(reply, aiResponse, source = {}) {
+    try {
+      // Validate and normalize every detected item
+      const rawItems = reply.items;
+      const items = this.normalizeItems(rawItems);
+
+      // Educational Note: If every item was below the confidence floor, keep the best
+      // guess so the student still gets feedback (the low confidence check below flags it)
+      if (items.length === 0) {
+        items.push(this.normalizeItem(rawItems[0], 0));
       }
 
-      // Validate and normalize response
-      const ricCode = this.normalizeRICCode(parsed.ric_code || parsed.ric);
+      const primary = items.reduce((best, item) => (item.confidence > best.confidence ? item : best), items[0]);
       const result = {
         success: true,
-        material_type: this.normalizeMaterialType(parsed.material_type || parsed.material, ricCode),
-        ric_code: ricCode,
-        confidence: Math.min(Math.max(parseInt(parsed.confidence) || 50, 0), 100),
-        description: parsed.description || 'AI-identified recycling symbol',
-        reasoning: parsed.reasoning || null,
-        recyclable: parsed.recyclable !== false, // Default to true unless explicitly false
-        points: this.calculatePoints(parsed.material_type, parsed.ric_code, parsed.confidence),
+        material_type: primary.material_type,
+        ric_code: primary.ric_code,
+        confidence: primary.confidence,
+        description: reply.description || primary.description || 'AI-identified recycling symbol',
+        reasoning: reply.reasoning || primary.reasoning || null,
+        recyclable: primary.recyclable,
+        points: items.reduce((sum, item) => sum + item.points, 0),
+        items,
         ai_analysis: {
           raw_response: aiResponse,
-          processing_method: 'azure_openai_vision',
+          processing_method: source.processing_method || 'azure_openai_vision',
           timestamp: new Date().toISOString(),
-          model_used: process.env.AZURE_OPENAI_DEPLOYMENT_NAME || 'gpt-4o'
+          model_used: source.model_used || process.env.AZURE_OPENAI_DEPLOYMENT_NAME || 'gpt-4o',
+          // Educational Note: 2 means the first reply broke the schema and was repaired
+          attempts: source.attempts || 1,
+          // Educational Note: Saved with the scan so feedback can be compared per prompt version
+          prompt_version: source.prompt_version || null
         }
       };
 
@@ -360,94 +711,63 @@ class AIService {
   }
 
   /**
-   * Extract information from text-based AI response using patterns
+   * Normalize the detected items, dropping guesses and capping the count
+   * 
+   * @param {Object[]} rawItems - Items as the model returned them
+   * @returns {Object[]} Items numbered from 1, each with its own points
    */
-  extractFromTextResponse(text) {
-    const result = {};
-
-    // Extract material type
-    const materialMatch = text.match(/(?:material|type):\s*([^,\n]+)/i);
-    result.material_type = materialMatch ? materialMatch[1].trim() : 'plastic';
-
-    // Extract RIC code
-    const ricMatch = text.match(/(?:ric|code|number):\s*(\d+)/i);
-    result.ric_code = ricMatch ? parseInt(ricMatch[1]) : null;
-
-    // Extract confidence
-    const confidenceMatch = text.match(/(?:confidence|certainty):\s*(\d+)/i);
-    result.confidence = confidenceMatch ? parseInt(confidenceMatch[1]) : 50;
-
-    // Extract recyclable status
-    const recyclableMatch = text.match(/recyclable:\s*(yes|no|true|false)/i);
-    result.recyclable = recyclableMatch ? ['yes', 'true'].includes(recyclableMatch[1].toLowerCase()) : true;
-
-    return result;
+  normalizeItems(rawItems) {
+    return rawItems
+      .filter(item => item && typeof item === 'object')
+      .map((item, index) => this.normalizeItem(item, index))
+      .filter(item => item.confidence >= MIN_ITEM_CONFIDENCE)
+      .slice(0, MAX_ITEMS_PER_SCAN)
+      .map((item, index) => ({ ...item, index: index + 1 }));
   }
 
   /**
-   * Perform mock AI analysis for educational demonstration
+   * Normalize one detected item
    */
-  async performMockAIAnalysis(imagePath, fileName) {
-    // Simulate AI processing time
-    await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000));
+  normalizeItem(item = {}, index = 0) {
+    const ricCode = this.normalizeRICCode(item.ric_code || item.ric);
+    const confidence = Math.min(Math.max(parseInt(item.confidence) || 50, 0), 100);
+    return {
+      index: index + 1,
+      material_type: this.normalizeMaterialType(item.material_type || item.material, ricCode),
+      ric_code: ricCode,
+      confidence,
+      description: item.description || null,
+      reasoning: item.reasoning || null,
+      recyclable: item.recyclable !== false, // Default to true unless explicitly false
+      bounding_box: this.normalizeBoundingBox(item.bounding_box || item.bbox),
+      points: this.calculatePoints(item.material_type, ricCode, confidence)
+    };
+  }
 
-    // Generate realistic mock response based on common plastic scenarios
-    const mockScenarios = [
-      {
-        material_type: 'plastic',
-        ric_code: 1,
-        description: 'PET (Polyethylene Terephthalate) plastic bottle',
-        confidence: 85,
-        recyclable: true,
-        educational_note: 'PET is one of the most commonly recycled plastics'
-      },
-      {
-        material_type: 'plastic',
-        ric_code: 2,
-        description: 'HDPE (High-Density Polyethylene) container',
-        confidence: 78,
-        recyclable: true,
-        educational_note: 'HDPE is widely accepted in recycling programs'
-      },
-      {
-        material_type: 'plastic',
-        ric_code: 5,
-        description: 'PP (Polypropylene) container',
-        confidence: 70,
-        recyclable: true,
-        educational_note: 'PP recycling availability varies by location'
-      },
-      {
-        material_type: 'plastic',
-        ric_code: 4,
-        description: 'LDPE (Low-Density Polyethylene) bag or wrap',
-        confidence: 65,
-        recyclable: true,
-        educational_note: 'LDPE often requires special drop-off locations'
-      }
-    ];
+  /**
+   * Normalize a bounding region to fractions of the image size
+   * 
+   * Educational Note: Fractions (0-1) instead of pixels mean the box lines up
+   * with the photo at any display size
+   * 
+   * @returns {{x: number, y: number, width: number, height: number}|null}
+   */
+  normalizeBoundingBox(box) {
+    if (!box || typeof box !== 'object') {
+      return null;
+    }
 
-    // Select random scenario or base on filename patterns
-    const scenario = fileName.toLowerCase().includes('bottle') ? mockScenarios[0] :
-                    mockScenarios[Math.floor(Math.random() * mockScenarios.length)];
+    const values = ['x', 'y', 'width', 'height'].map(key => parseFloat(box[key]));
+    if (values.some(value => !Number.isFinite(value))) {
+      return null;
+    }
 
-    const mockPrompts = [
-      { role: 'system', content: this.educationalPrompts.system_prompt },
-      { role: 'user', content: this.educationalPrompts.analysis_prompt + '\n[image attached]' }
-    ];
-    const mockResponse = JSON.stringify(scenario, null, 2);
+    const clamp = value => Math.round(Math.min(Math.max(value, 0), 1) * 1000) / 1000;
+    const [x, y] = values.map(clamp);
+    const width = clamp(Math.min(values[2], 1 - x));
+    const height = clamp(Math.min(values[3], 1 - y));
 
-    return {
-      success: true,
-      ...scenario,
-      points: this.calculatePoints(scenario.material_type, scenario.ric_code, scenario.confidence),
-      ai_analysis: {
-        processing_method: 'mock_analysis_for_education',
-        timestamp: new Date().toISOString(),
-        note: 'This is a simulated AI response for educational purposes'
-      },
-      debug: { raw_prompts: mockPrompts, raw_response: mockResponse }
-    };
+    return width > 0 && height > 0 ? { x, y, width, height } : null;
   }
 
   /**
@@ -594,71 +914,6 @@ class AIService {
     };
   }
 
-  /**
-   * Get educational prompts for AI analysis
-   */
-  getEducationalPrompts() {
-    return {
-      system_prompt: `You are an expert recycling symbol recognition AI. 
-Your job is to analyze images and identify recycling symbols with HIGH accuracy and consistency.
-
-STRICT RULES (VERY IMPORTANT):
-1. If a recycling triangle with a number (RIC code 1–7) is visible, you MUST:
-- Return that exact number as "ric_code"
-- Match it to the correct plastic type using this mapping ONLY:
-
-1 = Polyethylene Terephthalate (PET/PETE)
-2 = High-Density Polyethylene (HDPE)
-3 = Polyvinyl Chloride (PVC)
-4 = Low-Density Polyethylene (LDPE)
-5 = Polypropylene (PP)
-6 = Polystyrene (PS)
-7 = Other (Mixed Plastics)
-
-2. NEVER mismatch the number and material.
-- Example: If ric_code = 4, it MUST be LDPE (not polystyrene)
-- If unsure, LOWER confidence instead of guessing
-
-3. ONLY infer material type IF NO number is visible.
-- If guessing, set ric_code = null
-- Lower confidence significantly (below 60)
-
-4. If a recycling symbol is visible but number is unclear:
-- material_type = "plastic"
-- ric_code = null
-- explain uncertainty
-
-5. Confidence Rules:
-- 90-100: number clearly visible
-- 70-89: mostly clear but slightly obstructed
-- 40-69: symbol visible but number unclear
-- below 40: very unclear or guessing
-
-6. Recyclability:
-- 1, 2 → true
-- 4, 5 → true (but may vary)
-- 3, 6, 7 → false
-
-7. Be concise but educational.
-
-Response Format: Return a JSON object with these fields:
-{
-  "material_type": "plastic",
-  "ric_code": number or null,
-  "confidence": confidence percentage (0-100),
-  "description": "What you visually see",
-  "recyclable": true/false based on general guidelines,
-  "reasoning": "Why you chose this result"
-}
-
-`,
-
-      analysis_prompt: `Please analyze this image for recycling symbols and materials.  
-
-Return your analysis in the JSON format specified in your system instructions.`
-    };
-  }
-
   /**
    * Get RIC symbol database for educational reference
    */
@@ -0,0 +1,220 @@
+/**
+ * AI Usage Service - Tokens, Cost and Daily Budgets
+ *
+ * Educational Focus:
+ * - Usage-based pricing: AI APIs bill per token, read (prompt) and written (completion)
+ * - Estimating cost from usage and a price list
+ * - Budgets: a hard stop is cheaper than a surprise bill
+ *
+ * Every scan records the tokens, latency, provider, model and estimated cost
+ * of its AI calls (scan_sessions.ai_*). Cached answers cost nothing. When
+ * today's total passes a budget, AIService stops calling the paid provider
+ * until midnight (UTC) - see AI_BUDGET_EXCEEDED_MODE.
+ *
+ * Configuration:
+ * - AI_PRICE_PROMPT_PER_1K_TOKENS: USD per 1,000 prompt tokens (default 0.0025, gpt-4o)
+ * - AI_PRICE_COMPLETION_PER_1K_TOKENS: USD per 1,000 completion tokens (default 0.01, gpt-4o)
+ * - AI_DAILY_BUDGET_USD: estimated spend allowed per day (default 0 = no limit)
+ * - AI_DAILY_TOKEN_BUDGET: tokens allowed per day (default 0 = no limit)
+ * - AI_BUDGET_EXCEEDED_MODE: degraded (default - no AI, general feedback only)
+ *   or local (answers from the offline mock provider)
+ */
+
+const dbService = require('./dbService');
+const logger = require('../utils/logger');
+
+const EXCEEDED_MODES = ['degraded', 'local'];
+const GROUPINGS = ['day', 'class', 'address'];
+
+// Educational Note: The offline provider runs on this server, so it costs nothing
+const FREE_PROVIDERS = ['local'];
+
+/**
+ * Read a price or budget setting (decimals allowed; missing or invalid = default)
+ */
+function readAmount(value, defaultValue) {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) || parsed < 0 ? defaultValue : parsed;
+}
+
+class AIUsageService {
+  constructor() {
+    this.pricePromptPer1k = readAmount(process.env.AI_PRICE_PROMPT_PER_1K_TOKENS, 0.0025);
+    this.priceCompletionPer1k = readAmount(process.env.AI_PRICE_COMPLETION_PER_1K_TOKENS, 0.01);
+    this.dailyBudgetUsd = readAmount(process.env.AI_DAILY_BUDGET_USD, 0);
+    this.dailyTokenBudget = readAmount(process.env.AI_DAILY_TOKEN_BUDGET, 0);
+
+    const mode = (process.env.AI_BUDGET_EXCEEDED_MODE || 'degraded').trim().toLowerCase();
+    if (!EXCEEDED_MODES.includes(mode)) {
+      logger.warn(`AI_BUDGET_EXCEEDED_MODE "${mode}" is not one of ${EXCEEDED_MODES.join(', ')} - using degraded`);
+    }
+    this.exceededMode = EXCEEDED_MODES.includes(mode) ? mode : 'degraded';
+    this.groupings = GROUPINGS;
+
+    // Educational Note: Remembered so the "budget reached" warning is logged once a day
+    this.exceededDay = null;
+  }
+
+  /**
+   * Estimated cost in USD of one analysis
+   *
+   * @param {string} providerName
+   * @param {{prompt_tokens: number, completion_tokens: number}} usage
+   * @returns {number}
+   */
+  estimateCost(providerName, { prompt_tokens, completion_tokens }) {
+    if (FREE_PROVIDERS.includes(providerName)) {
+      return 0;
+    }
+    const cost = (prompt_tokens / 1000) * this.pricePromptPer1k + (completion_tokens / 1000) * this.priceCompletionPer1k;
+    // Educational Note: Rounded to a millionth of a dollar - a single scan costs fractions of a cent
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  /**
+   * Start of the current budget day (midnight UTC), as stored in created_at
+   */
+  startOfToday(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())).toISOString();
+  }
+
+  /**
+   * Today's usage compared with the daily budgets
+   *
+   * @returns {Promise<{day: string, tokens: number, cost_usd: number, token_budget: number|null,
+   *   budget_usd: number|null, exceeded: boolean, reason: string|null, exceeded_mode: string}>}
+   */
+  async getBudgetStatus() {
+    if (!dbService.db) {
+      await dbService.initialize();
+    }
+
+    const day = this.startOfToday();
+    const row = await dbService.get(`
+      SELECT COALESCE(SUM(ai_prompt_tokens + ai_completion_tokens), 0) AS tokens,
+             COALESCE(SUM(ai_cost_usd), 0) AS cost_usd
+      FROM scan_sessions
+      WHERE created_at >= ?
+    `, [day]);
+
+    let reason = null;
+    if (this.dailyBudgetUsd > 0 && row.cost_usd >= this.dailyBudgetUsd) {
+      reason = `estimated cost $${row.cost_usd.toFixed(2)} of $${this.dailyBudgetUsd.toFixed(2)}`;
+    } else if (this.dailyTokenBudget > 0 && row.tokens >= this.dailyTokenBudget) {
+      reason = `${row.tokens} of ${this.dailyTokenBudget} tokens`;
+    }
+
+    return {
+      day: day.slice(0, 10),
+      tokens: row.tokens,
+      cost_usd: Math.round(row.cost_usd * 1e6) / 1e6,
+      token_budget: this.dailyTokenBudget || null,
+      budget_usd: this.dailyBudgetUsd || null,
+      exceeded: reason !== null,
+      reason,
+      exceeded_mode: this.exceededMode
+    };
+  }
+
+  /**
+   * Check the daily budgets before a paid AI call
+   *
+   * Educational Note: Without budgets configured nothing is queried at all
+   *
+   * @returns {Promise<{exceeded: boolean, reason: string|null}>}
+   */
+  async checkBudget() {
+    if (!this.dailyBudgetUsd && !this.dailyTokenBudget) {
+      return { exceeded: false, reason: null };
+    }
+
+    const status = await this.getBudgetStatus();
+    if (status.exceeded && this.exceededDay !== status.day) {
+      this.exceededDay = status.day;
+      logger.warn(`Daily AI budget reached (${status.reason}) - switching to ${this.exceededMode} mode until midnight UTC`);
+    }
+    return status;
+  }
+
+  /**
+   * Usage and estimated cost grouped by day, class or address
+   *
+   * Educational Note: A student enrolled in two classes counts towards both,
+   * so the class totals can add up to more than the overall total
+   *
+   * @param {Object} options
+   * @param {string} options.from - ISO timestamp (inclusive)
+   * @param {string} options.group_by - 'day', 'class' or 'address'
+   * @returns {Promise<{totals: Object, groups: Object[]}>}
+   */
+  async getUsageReport({ from, group_by = 'day' }) {
+    if (!GROUPINGS.includes(group_by)) {
+      throw new Error(`group_by must be one of: ${GROUPINGS.join(', ')}`);
+    }
+    if (!dbService.db) {
+      await dbService.initialize();
+    }
+
+    const measures = `
+      COUNT(*) AS scans,
+      SUM(CASE WHEN s.ai_requests > 0 THEN 1 ELSE 0 END) AS ai_scans,
+      COALESCE(SUM(s.ai_requests), 0) AS requests,
+      COALESCE(SUM(s.ai_prompt_tokens), 0) AS prompt_tokens,
+      COALESCE(SUM(s.ai_completion_tokens), 0) AS completion_tokens,
+      ROUND(AVG(CASE WHEN s.ai_requests > 0 THEN s.ai_latency_ms END)) AS average_latency_ms,
+      ROUND(COALESCE(SUM(s.ai_cost_usd), 0), 6) AS estimated_cost_usd
+    `;
+
+    const groupQueries = {
+      day: `
+        SELECT substr(s.created_at, 1, 10) AS day, ${measures}
+        FROM scan_sessions s
+        WHERE s.created_at >= ?
+        GROUP BY day
+        ORDER BY day DESC
+      `,
+      class: `
+        SELECT c.id AS class_id, c.name AS class_name, ${measures}
+        FROM scan_sessions s
+        LEFT JOIN class_enrollments e ON e.user_id = s.user_id
+        LEFT JOIN classes c ON c.id = e.class_id
+        WHERE s.created_at >= ?
+        GROUP BY c.id
+        ORDER BY estimated_cost_usd DESC
+      `,
+      address: `
+        SELECT s.address_id AS address, ${measures}
+        FROM scan_sessions s
+        WHERE s.created_at >= ?
+        GROUP BY s.address_id
+        ORDER BY estimated_cost_usd DESC
+      `
+    };
+
+    const [totals, groups] = await Promise.all([
+      dbService.get(`SELECT ${measures} FROM scan_sessions s WHERE s.created_at >= ?`, [from]),
+      dbService.all(groupQueries[group_by], [from])
+    ]);
+
+    // Educational Note: Scans without a class or address are grouped under null
+    return { totals, groups };
+  }
+
+  /**
+   * Current prices and budgets, for reports
+   */
+  getSettings() {
+    return {
+      price_prompt_per_1k_tokens: this.pricePromptPer1k,
+      price_completion_per_1k_tokens: this.priceCompletionPer1k,
+      daily_budget_usd: this.dailyBudgetUsd || null,
+      daily_token_budget: this.dailyTokenBudget || null,
+      exceeded_mode: this.exceededMode
+    };
+  }
+}
+
+// Export singleton instance
+const aiUsageService = new AIUsageService();
+
+module.exports = aiUsageService;
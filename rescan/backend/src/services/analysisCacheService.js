@@ -0,0 +1,143 @@
+/**
+ * Analysis Cache Service - Don't Pay Twice for the Same Photo
+ *
+ * Educational Focus:
+ * - Caching: remember the answer to an expensive question
+ * - Cache keys: everything that can change the answer must be part of the key
+ *   (the image, the prompt and the model)
+ * - Bounds: entries expire (TTL) and the oldest are evicted (size limit)
+ *
+ * Demo photos and teacher samples are scanned again and again. With the cache,
+ * only the first scan calls the AI provider; the rest reuse its answer.
+ * Entries live in SQLite (ai_analysis_cache), so they survive restarts.
+ *
+ * Configuration:
+ * - AI_CACHE_ENABLED: set to false to always call the provider (default true)
+ * - AI_CACHE_TTL_HOURS: how long an answer is reused (default 168 = one week)
+ * - AI_CACHE_MAX_ENTRIES: answers kept before the least recently used are removed (default 1000)
+ */
+
+const crypto = require('crypto');
+const dbService = require('./dbService');
+const logger = require('../utils/logger');
+
+const ONE_HOUR_MS = 60 * 60 * 1000;
+
+class AnalysisCacheService {
+  constructor() {
+    this.enabled = process.env.AI_CACHE_ENABLED !== 'false';
+    this.ttlHours = parseInt(process.env.AI_CACHE_TTL_HOURS, 10) || 168;
+    this.maxEntries = parseInt(process.env.AI_CACHE_MAX_ENTRIES, 10) || 1000;
+  }
+
+  /**
+   * Build the cache key for one analysis
+   *
+   * @param {Object} parts
+   * @param {string} parts.content_hash - SHA-256 of the image file
+   * @param {string} parts.prompt_version - Version of the prompts sent with it
+   * @param {string} parts.model - Provider and model/deployment, e.g. "azure:gpt-4o"
+   * @param {string|null} [parts.file_name] - Only for providers whose answer depends on the name
+   * @returns {string}
+   */
+  buildKey({ content_hash, prompt_version, model, file_name = null }) {
+    return crypto
+      .createHash('sha256')
+      .update(`${content_hash}\n${prompt_version}\n${model}\n${file_name || ''}`)
+      .digest('hex');
+  }
+
+  /**
+   * Look up a cached analysis
+   *
+   * Educational Note: A cache is only a shortcut, so any database error is
+   * logged and treated as a miss
+   *
+   * @returns {Promise<{result: Object, cached_at: string, hits: number}|null>}
+   */
+  async get(key) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      if (!dbService.db) {
+        await dbService.initialize();
+      }
+
+      const row = await dbService.get(
+        'SELECT result, created_at, hit_count FROM ai_analysis_cache WHERE cache_key = ? AND expires_at > ?',
+        [key, new Date().toISOString()]
+      );
+      if (!row) {
+        return null;
+      }
+
+      await dbService.run(
+        'UPDATE ai_analysis_cache SET hit_count = hit_count + 1, last_used_at = ? WHERE cache_key = ?',
+        [new Date().toISOString(), key]
+      );
+      return { result: JSON.parse(row.result), cached_at: row.created_at, hits: row.hit_count + 1 };
+    } catch (error) {
+      logger.warn('AI cache lookup failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Store an analysis, then trim the cache back within its bounds
+   *
+   * @param {string} key - From buildKey()
+   * @param {Object} parts - The parts the key was built from (stored for inspection)
+   * @param {Object} result - The analysis to reuse
+   */
+  async set(key, { content_hash, prompt_version, model }, result) {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      const now = new Date();
+      await dbService.run(`
+        INSERT OR REPLACE INTO ai_analysis_cache
+          (cache_key, content_hash, prompt_version, model, result, hit_count, created_at, last_used_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?)
+      `, [
+        key,
+        content_hash,
+        prompt_version,
+        model,
+        JSON.stringify(result),
+        now.toISOString(),
+        now.toISOString(),
+        new Date(now.getTime() + this.ttlHours * ONE_HOUR_MS).toISOString()
+      ]);
+      await this.prune();
+    } catch (error) {
+      logger.warn('AI cache write failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Remove expired entries and the least recently used ones over the limit
+   */
+  async prune() {
+    await dbService.run('DELETE FROM ai_analysis_cache WHERE expires_at <= ?', [new Date().toISOString()]);
+    const evicted = await dbService.run(`
+      DELETE FROM ai_analysis_cache
+      WHERE cache_key IN (
+        SELECT cache_key FROM ai_analysis_cache
+        ORDER BY last_used_at DESC
+        LIMIT -1 OFFSET ?
+      )
+    `, [this.maxEntries]);
+    if (evicted.changes > 0) {
+      logger.info(`AI cache full - removed ${evicted.changes} least recently used entries`);
+    }
+  }
+}
+
+// Export singleton instance
+const analysisCacheService = new AnalysisCacheService();
+
+module.exports = analysisCacheService;
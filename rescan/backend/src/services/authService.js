@@ -0,0 +1,255 @@
+/**
+ * Authentication Service for Students and Teachers
+ *
+ * Educational Focus:
+ * - Password hashing with a salt (never store plain-text passwords!)
+ * - Signed tokens (JWT) for stateless authentication
+ * - Server-side sessions so a token can be revoked on logout
+ *
+ * Configuration:
+ * - JWT_SECRET: Secret used to sign tokens (required in production)
+ * - JWT_EXPIRES_IN: Token lifetime, e.g. "8h" or "1d" (defaults to 8h - one school day)
+ * - LOGIN_MAX_FAILED_ATTEMPTS: failed logins allowed per IP address and per username (default 10)
+ * - LOGIN_LOCKOUT_MINUTES: how long those failures are counted (default 15)
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const dbService = require('./dbService');
+const logger = require('../utils/logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Educational Note: scrypt is deliberately slow, which makes guessing passwords expensive
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+class AuthService {
+  constructor() {
+    this.expiresIn = process.env.JWT_EXPIRES_IN || '8h';
+    this.secret = null;
+    this.dummyHash = null;
+
+    this.maxFailedLogins = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 10;
+    this.loginLockoutMs = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+    // Educational Note: "ip:<address>" / "user:<name>" -> { count, resetAt }, kept in memory
+    this.failedLogins = new Map();
+  }
+
+  /**
+   * Get the token signing secret
+   *
+   * Educational Note: Without JWT_SECRET a random secret is generated in development,
+   * which means every restart logs everyone out. Production refuses to start without one.
+   */
+  getSecret() {
+    if (this.secret) {
+      return this.secret;
+    }
+
+    if (process.env.JWT_SECRET) {
+      this.secret = process.env.JWT_SECRET;
+    } else if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET must be set in production');
+    } else {
+      logger.warn('JWT_SECRET not set - using a random secret (tokens will not survive a restart)');
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+
+    return this.secret;
+  }
+
+  /**
+   * Hash a password for storage
+   *
+   * @param {string} password - Plain-text password
+   * @returns {Promise<string>} "scrypt$<salt>$<hash>" string
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    const derivedKey = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${derivedKey.toString('hex')}`;
+  }
+
+  /**
+   * Check a password against a stored hash
+   *
+   * Educational Note: timingSafeEqual takes the same time whether the first or last
+   * byte differs, so attackers cannot learn the hash from response times
+   *
+   * @returns {Promise<boolean>}
+   */
+  async verifyPassword(password, storedHash) {
+    if (!password || !storedHash) {
+      return false;
+    }
+
+    const [algorithm, salt, hash] = storedHash.split('$');
+    if (algorithm !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const derivedKey = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(derivedKey, expected);
+  }
+
+  /**
+   * Get a hash to check passwords against when the user does not exist
+   *
+   * Educational Note: Checking an unknown username against this hash takes as long
+   * as a wrong password, so response times do not reveal which usernames exist
+   *
+   * @returns {Promise<string>} Hash of a random password nobody knows
+   */
+  getDummyHash() {
+    if (!this.dummyHash) {
+      this.dummyHash = this.hashPassword(crypto.randomBytes(32).toString('hex'));
+    }
+    return this.dummyHash;
+  }
+
+  /**
+   * Counter keys for a login attempt: one for the IP address, one for the username
+   */
+  getLoginAttemptKeys(ip, username) {
+    return { ipKey: `ip:${ip}`, userKey: `user:${String(username).toLowerCase()}` };
+  }
+
+  /**
+   * Check whether logins from this IP address or for this username are paused
+   *
+   * @returns {number} Seconds until the next attempt is allowed (0 = allowed now)
+   */
+  getLoginRetryAfter(ip, username) {
+    const now = Date.now();
+    let retryAfterMs = 0;
+
+    for (const key of Object.values(this.getLoginAttemptKeys(ip, username))) {
+      const entry = this.failedLogins.get(key);
+      if (entry && entry.resetAt > now && entry.count >= this.maxFailedLogins) {
+        retryAfterMs = Math.max(retryAfterMs, entry.resetAt - now);
+      }
+    }
+    return Math.ceil(retryAfterMs / 1000);
+  }
+
+  /**
+   * Count a failed login against the IP address and the username
+   *
+   * Educational Note: Counting per IP slows down guessing many usernames from one
+   * computer; counting per username slows down guessing one password from many
+   */
+  recordFailedLogin(ip, username) {
+    const now = Date.now();
+    for (const [key, entry] of this.failedLogins) {
+      if (entry.resetAt <= now) {
+        this.failedLogins.delete(key);
+      }
+    }
+
+    for (const key of Object.values(this.getLoginAttemptKeys(ip, username))) {
+      const entry = this.failedLogins.get(key) || { count: 0, resetAt: now + this.loginLockoutMs };
+      entry.count++;
+      this.failedLogins.set(key, entry);
+    }
+  }
+
+  /**
+   * Forget the failed logins of a username after a successful login
+   *
+   * Educational Note: The IP counter is kept - otherwise logging into your own
+   * account would reset it between guesses at someone else's
+   */
+  clearFailedLogins(ip, username) {
+    const { userKey } = this.getLoginAttemptKeys(ip, username);
+    this.failedLogins.delete(userKey);
+  }
+
+  /**
+   * Start a session and issue a signed token for a user
+   *
+   * @param {Object} user - User with at least id and username
+   * @returns {Promise<{token: string, session_id: string, expires_at: string}>}
+   */
+  async issueToken(user) {
+    const sessionId = uuidv4();
+    const token = jwt.sign(
+      { sub: String(user.id), username: user.username },
+      this.getSecret(),
+      { expiresIn: this.expiresIn, jwtid: sessionId }
+    );
+
+    const { exp } = jwt.decode(token);
+    const expiresAt = new Date(exp * 1000).toISOString();
+
+    await dbService.run(
+      'INSERT INTO user_sessions (id, user_id, expires_at) VALUES (?, ?, ?)',
+      [sessionId, user.id, expiresAt]
+    );
+    await dbService.run('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+
+    logger.info(`Session started for user ${user.username} (expires ${expiresAt})`);
+    return { token, session_id: sessionId, expires_at: expiresAt };
+  }
+
+  /**
+   * Verify a token and make sure its session has not been revoked
+   *
+   * Throws JsonWebTokenError / TokenExpiredError for bad tokens, which the auth
+   * middleware turns into 401 responses
+   *
+   * @returns {Promise<{userId: number, sessionId: string}>}
+   */
+  async verifyToken(token) {
+    const payload = jwt.verify(token, this.getSecret());
+
+    const session = await dbService.get(
+      'SELECT id FROM user_sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [payload.jti, parseInt(payload.sub, 10)]
+    );
+
+    if (!session) {
+      const error = new Error('Session has ended - please log in again');
+      error.name = 'JsonWebTokenError';
+      throw error;
+    }
+
+    return { userId: parseInt(payload.sub, 10), sessionId: payload.jti };
+  }
+
+  /**
+   * End a session (logout)
+   *
+   * @returns {Promise<boolean>} True when an active session was revoked
+   */
+  async revokeSession(sessionId) {
+    const result = await dbService.run(
+      'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+      [sessionId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * End every session belonging to a user (e.g. when the account is deleted)
+   *
+   * @param {number} userId
+   * @param {string|null} [exceptSessionId] - Session to keep, e.g. the one changing the password
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllSessions(userId, exceptSessionId = null) {
+    const result = await dbService.run(
+      'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND id IS NOT ? AND revoked_at IS NULL',
+      [userId, exceptSessionId]
+    );
+    return result.changes;
+  }
+}
+
+// Export singleton instance
+const authService = new AuthService();
+
+module.exports = authService;
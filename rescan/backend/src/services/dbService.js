@@ -16,6 +16,7 @@ const { createConnection } = require('../config/database');
 class DatabaseService {
   constructor() {
     this.db = null;
+    this.queue = Promise.resolve();
   }
 
   /**
@@ -27,6 +28,12 @@ class DatabaseService {
   async initialize() {
     try {
       this.db = await createConnection();
+
+      // Educational Note: Make sure tables and newer columns exist before any query runs
+      // (required lazily because setupDatabase also depends on this service)
+      const { createTables } = require('../config/setupDatabase');
+      await createTables(this);
+
       console.log('📊 Database service initialized');
       return true;
     } catch (error) {
@@ -35,6 +42,146 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Educational Method: Wait for a Turn on the Connection
+   * 
+   * Educational Note: All requests share one SQLite connection, and BEGIN/COMMIT
+   * belong to the connection, not to the code that sent them. A statement sent
+   * while another request's transaction is open would become part of it (and be
+   * rolled back with it), so statements and transactions run one at a time.
+   * 
+   * @param {Function} task - Returns a promise
+   * @returns {Promise<*>} Whatever the task resolves to
+   */
+  enqueue(task) {
+    const result = this.queue.then(task, task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Educational Method: Run a Write Statement
+   * 
+   * Promise wrapper around sqlite3's callback API
+   * Learn about: promisifying callbacks, lastID and changes
+   * 
+   * @param {string} sql - SQL statement with ? placeholders
+   * @param {Array} params - Values bound to the placeholders
+   * @returns {Promise<{lastID: number, changes: number}>}
+   */
+  run(sql, params = []) {
+    return this.enqueue(() => this.runStatement(sql, params));
+  }
+
+  /**
+   * Educational Method: Fetch a Single Row
+   * 
+   * @param {string} sql - SQL query with ? placeholders
+   * @param {Array} params - Values bound to the placeholders
+   * @returns {Promise<Object|undefined>}
+   */
+  get(sql, params = []) {
+    return this.enqueue(() => this.getRow(sql, params));
+  }
+
+  /**
+   * Educational Method: Fetch All Rows
+   * 
+   * @param {string} sql - SQL query with ? placeholders
+   * @param {Array} params - Values bound to the placeholders
+   * @returns {Promise<Array>}
+   */
+  all(sql, params = []) {
+    return this.enqueue(() => this.allRows(sql, params));
+  }
+
+  /**
+   * Run one statement now, without waiting for a turn (see enqueue)
+   */
+  runStatement(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ lastID: this.lastID, changes: this.changes });
+        }
+      });
+    });
+  }
+
+  /**
+   * Fetch one row now, without waiting for a turn (see enqueue)
+   */
+  getRow(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  /**
+   * Fetch all rows now, without waiting for a turn (see enqueue)
+   */
+  allRows(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  /**
+   * Educational Method: Run Work Inside a Transaction
+   * 
+   * Commits when the callback resolves and rolls back when it throws
+   * Learn about: atomicity, BEGIN/COMMIT/ROLLBACK
+   * 
+   * Educational Note: The transaction holds the connection's turn until it
+   * commits, so other requests' statements wait instead of joining it. The
+   * callback must use the handle it is given - calling dbService.run() inside
+   * would wait for the transaction that is waiting for it.
+   * 
+   * @param {Function} work - Async callback receiving a handle with run, get and all
+   * @returns {Promise<*>} Whatever the callback returns
+   */
+  runInTransaction(work) {
+    const transaction = {
+      run: (sql, params) => this.runStatement(sql, params),
+      get: (sql, params) => this.getRow(sql, params),
+      all: (sql, params) => this.allRows(sql, params)
+    };
+
+    return this.enqueue(async () => {
+      await this.runStatement('BEGIN IMMEDIATE TRANSACTION');
+      try {
+        const result = await work(transaction);
+        await this.runStatement('COMMIT');
+        return result;
+      } catch (error) {
+        await this.runStatement('ROLLBACK').catch(rollbackError => {
+          console.error('❌ Transaction rollback failed:', rollbackError.message);
+        });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Educational Method: Normalize Street Address
+   * 
+   * Lowercases and strips punctuation so the same address always matches
+   * 
+   * @param {string} streetAddress - Address as typed by the student
+   * @returns {string} Normalized address used as the primary key
+   */
+  normalizeAddress(streetAddress) {
+    return streetAddress.trim().toLowerCase().replace(/[^a-z0-9\s]/g, '');
+  }
+
   /**
    * Educational Method: Address Lookup
    * 
@@ -52,7 +199,7 @@ class DatabaseService {
       }
 
       // Educational Note: Normalize to lowercase and remove punctuation for consistent matching
-      const cleanAddress = streetAddress.trim().toLowerCase().replace(/[^a-z0-9\s]/g, '');
+      const cleanAddress = this.normalizeAddress(streetAddress);
       if (cleanAddress.length === 0) {
         throw new Error('Street address cannot be empty');
       }
@@ -135,7 +282,7 @@ class DatabaseService {
       }
 
       // Educational Note: Normalize to lowercase and remove punctuation for consistent storage
-      const cleanAddress = streetAddress.trim().toLowerCase().replace(/[^a-z0-9\s]/g, '');
+      const cleanAddress = this.normalizeAddress(streetAddress);
       if (cleanAddress.length === 0) {
         throw new Error('Street address cannot be empty');
       }
@@ -159,17 +306,9 @@ class DatabaseService {
         ) VALUES (?, ?, ?, CURRENT_TIMESTAMP)
       `;
 
-      const insertResult = await new Promise((resolve, reject) => {
-        this.db.run(insertQuery, [cleanAddress, 0, 1], function(err) {
-          if (err) {
-            console.error('❌ Address creation failed:', err.message);
-            reject(err);
-          } else {
-            console.log(`✅ Address created: ${cleanAddress} (Row ID: ${this.lastID})`);
-            resolve(this.lastID);
-          }
-        });
-      });
+      // Educational Note: Through run() so the write waits for any open transaction
+      const insertResult = await this.run(insertQuery, [cleanAddress, 0, 1]);
+      console.log(`✅ Address created: ${cleanAddress} (Row ID: ${insertResult.lastID})`);
 
       // Educational Note: Return the newly created address data
       return {
@@ -212,7 +351,7 @@ class DatabaseService {
       }
 
       // Educational Note: Normalize to lowercase and remove punctuation for consistent matching
-      const cleanAddress = streetAddress.trim().toLowerCase().replace(/[^a-z0-9\s]/g, '');
+      const cleanAddress = this.normalizeAddress(streetAddress);
       console.log(`🎯 Updating points for ${cleanAddress}: ${pointsToAdd > 0 ? '+' : ''}${pointsToAdd}`);
 
       // Educational Note: First get current points to calculate new total
@@ -239,19 +378,11 @@ class DatabaseService {
         AND is_active = 1
       `;
 
-      await new Promise((resolve, reject) => {
-        this.db.run(updateQuery, [newTotal, cleanAddress], function(err) {
-          if (err) {
-            console.error('❌ Points update failed:', err.message);
-            reject(err);
-          } else if (this.changes === 0) {
-            reject(new Error('No address was updated - address may not exist or be inactive'));
-          } else {
-            console.log(`✅ Points updated: ${cleanAddress} now has ${newTotal} points`);
-            resolve();
-          }
-        });
-      });
+      const update = await this.run(updateQuery, [newTotal, cleanAddress]);
+      if (update.changes === 0) {
+        throw new Error('No address was updated - address may not exist or be inactive');
+      }
+      console.log(`✅ Points updated: ${cleanAddress} now has ${newTotal} points`);
 
       // Educational Note: Return updated address data
       return {
@@ -0,0 +1,191 @@
+/**
+ * Duplicate Detection Service - Stop Points Farming With Repeated Photos
+ *
+ * Educational Focus:
+ * - Content hashing (SHA-256): the exact same file always has the same hash
+ * - Perceptual hashing (dHash): similar-looking images have similar hashes,
+ *   even after resizing, re-compressing or small edits
+ * - Hamming distance: counting the bits that differ between two hashes
+ *
+ * A scan is a duplicate when the same user or address uploaded the same (or a
+ * near-identical) image within the duplicate window. Duplicates are still
+ * analyzed and recorded, but earn zero points.
+ *
+ * Configuration:
+ * - DUPLICATE_WINDOW_HOURS: how far back to look for repeats (default 24)
+ * - DUPLICATE_MAX_DISTANCE: how many of the 64 dHash bits may differ (default 6)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const logger = require('../utils/logger');
+
+// Educational Note: dHash compares neighbouring pixels of a 9x8 thumbnail -> 8x8 = 64 bits
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+class DuplicateDetectionService {
+  constructor() {
+    this.windowHours = parseFloat(process.env.DUPLICATE_WINDOW_HOURS) || 24;
+    this.maxDistance = Number.isInteger(parseInt(process.env.DUPLICATE_MAX_DISTANCE, 10))
+      ? parseInt(process.env.DUPLICATE_MAX_DISTANCE, 10)
+      : 6;
+  }
+
+  /**
+   * Compute both hashes for an uploaded image
+   *
+   * Educational Note: A file that cannot be decoded as an image still gets a
+   * content hash, so exact repeats are caught either way
+   *
+   * @param {string} filePath - Path to the uploaded file
+   * @returns {Promise<{content_hash: string, perceptual_hash: string|null}>}
+   */
+  async computeHashes(filePath) {
+    const buffer = await fs.readFile(filePath);
+    const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    let perceptualHash = null;
+    try {
+      perceptualHash = await this.differenceHash(buffer);
+    } catch (error) {
+      logger.warn(`Perceptual hash failed for ${filePath}: ${error.message}`);
+    }
+
+    return { content_hash: contentHash, perceptual_hash: perceptualHash };
+  }
+
+  /**
+   * Difference hash (dHash) of an image
+   *
+   * 1. Shrink to 9x8 grayscale pixels (throws away detail, keeps structure)
+   * 2. For each row, is each pixel brighter than the one to its right? -> 1 bit
+   * 3. 64 bits written as 16 hex characters
+   *
+   * @param {Buffer} buffer - Image file contents
+   * @returns {Promise<string>} 16-character hex hash
+   */
+  async differenceHash(buffer) {
+    const pixels = await sharp(buffer)
+      .rotate() // Educational Note: Apply EXIF orientation so a rotated copy matches
+      .grayscale()
+      .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = '';
+    for (let row = 0; row < HASH_HEIGHT; row++) {
+      let nibble = 0;
+      for (let column = 0; column < HASH_WIDTH - 1; column++) {
+        const index = row * HASH_WIDTH + column;
+        nibble = (nibble << 1) | (pixels[index] > pixels[index + 1] ? 1 : 0);
+        if (column % 4 === 3) {
+          hash += nibble.toString(16);
+          nibble = 0;
+        }
+      }
+    }
+    return hash;
+  }
+
+  /**
+   * Count the bits that differ between two hex hashes of the same length
+   *
+   * @returns {number} 0 (identical) to 64 (opposite)
+   */
+  hammingDistance(hashA, hashB) {
+    let distance = 0;
+    for (let i = 0; i < hashA.length; i++) {
+      let diff = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+      while (diff) {
+        distance += diff & 1;
+        diff >>= 1;
+      }
+    }
+    return distance;
+  }
+
+  /**
+   * Compare two sets of hashes
+   *
+   * @returns {{reason: string, distance: number}|null} 'exact' or 'similar', or null when different
+   */
+  compare(hashes, candidate) {
+    if (hashes.content_hash && hashes.content_hash === candidate.content_hash) {
+      return { reason: 'exact', distance: 0 };
+    }
+    if (hashes.perceptual_hash && candidate.perceptual_hash) {
+      const distance = this.hammingDistance(hashes.perceptual_hash, candidate.perceptual_hash);
+      if (distance <= this.maxDistance) {
+        return { reason: 'similar', distance };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the start of the duplicate window
+   *
+   * @param {string} scannedAt - ISO timestamp of the new scan
+   * @returns {string} ISO timestamp
+   */
+  getWindowStart(scannedAt) {
+    return new Date(new Date(scannedAt).getTime() - this.windowHours * 60 * 60 * 1000).toISOString();
+  }
+
+  /**
+   * Look for an earlier scan of the same image by the same user or at the same address
+   *
+   * Call inside dbService.runInTransaction so two uploads of the same photo at the
+   * same moment cannot both count as the original.
+   *
+   * Educational Note: Failed analyses (material_type 'unknown') are not used as
+   * originals, so retrying a photo after an AI outage still earns points
+   *
+   * @param {Object} db - Transaction handle from dbService.runInTransaction
+   * @param {ScanSession} scanSession - The new scan (with content_hash / perceptual_hash set)
+   * @returns {Promise<{session_id: string, reason: string, distance: number}|null>}
+   */
+  async findDuplicate(db, scanSession) {
+    if (!scanSession.content_hash || (!scanSession.user_id && !scanSession.address)) {
+      return null;
+    }
+
+    const owners = [];
+    const params = [this.getWindowStart(scanSession.scan_timestamp), scanSession.session_id];
+    if (scanSession.user_id) {
+      owners.push('user_id = ?');
+      params.push(scanSession.user_id);
+    }
+    if (scanSession.address) {
+      owners.push('address_id = ?');
+      params.push(scanSession.address);
+    }
+
+    const candidates = await db.all(`
+      SELECT id, duplicate_of, content_hash, perceptual_hash
+      FROM scan_sessions
+      WHERE created_at >= ? AND id != ?
+        AND content_hash IS NOT NULL
+        AND material_type != 'unknown'
+        AND (${owners.join(' OR ')})
+      ORDER BY created_at ASC
+    `, params);
+
+    let best = null;
+    for (const candidate of candidates) {
+      const match = this.compare(scanSession, candidate);
+      if (match && (!best || match.distance < best.distance)) {
+        // Educational Note: Repeats of a repeat point back to the first upload
+        best = { session_id: candidate.duplicate_of || candidate.id, ...match };
+      }
+    }
+    return best;
+  }
+}
+
+// Export singleton instance
+const duplicateDetectionService = new DuplicateDetectionService();
+
+module.exports = duplicateDetectionService;
@@ -0,0 +1,227 @@
+/**
+ * Evaluation Metrics - How Good Is the RIC Classifier?
+ *
+ * Educational Focus:
+ * - Confusion matrix: which codes get mistaken for which
+ * - Precision ("when it says 5, is it 5?") and recall ("does it find every 5?")
+ * - Calibration: does 90% confidence really mean right 9 times out of 10?
+ *
+ * Used by the offline evaluation script (config/evaluateAccuracy.js). Every
+ * function here is pure - predictions in, numbers out - so two runs over the
+ * same labeled images can be compared number by number.
+ */
+
+// Educational Note: 'none' is the label for "no readable code" (ric_code null)
+const LABELS = ['1', '2', '3', '4', '5', '6', '7', 'none'];
+
+// Educational Note: Extra column for images the AI could not analyze at all -
+// they count as wrong, so a model that fails more cannot look more accurate
+const FAILED = 'failed';
+
+const CALIBRATION_BIN_WIDTH = 10;
+const CALIBRATION_BIN_COUNT = 100 / CALIBRATION_BIN_WIDTH;
+
+/**
+ * Turn a RIC code (1-7 or null) into a matrix label
+ */
+function labelFor(ricCode) {
+  return ricCode === null || ricCode === undefined ? 'none' : String(ricCode);
+}
+
+/**
+ * Round to one decimal place, keeping null for "not measurable"
+ */
+function round(value) {
+  return value === null ? null : Math.round(value * 10) / 10;
+}
+
+/**
+ * part / whole as a percentage, or null when there is nothing to divide by
+ */
+function percent(part, whole) {
+  return whole > 0 ? (part / whole) * 100 : null;
+}
+
+/**
+ * Count true label (rows) against predicted label (columns)
+ *
+ * @param {Object[]} predictions - { expected, predicted } labels; predicted may be FAILED
+ * @returns {{labels: string[], columns: string[], matrix: Object<string, Object<string, number>>}}
+ */
+function buildConfusionMatrix(predictions) {
+  const columns = [...LABELS, FAILED];
+  const matrix = {};
+  for (const label of LABELS) {
+    matrix[label] = Object.fromEntries(columns.map(column => [column, 0]));
+  }
+  for (const { expected, predicted } of predictions) {
+    matrix[expected][predicted] += 1;
+  }
+  return { labels: LABELS, columns, matrix };
+}
+
+/**
+ * Precision, recall and F1 for every label, plus macro averages
+ *
+ * Educational Note: A code that is in the set but never predicted has 0%
+ * precision (and one predicted but not in the set 0% recall). Codes that
+ * appear nowhere get null and are left out of the averages - "not measured"
+ * is not "bad".
+ */
+function computeClassMetrics({ matrix }) {
+  const perClass = LABELS.map(label => {
+    const truePositives = matrix[label][label];
+    const support = Object.values(matrix[label]).reduce((sum, count) => sum + count, 0);
+    const predictedCount = LABELS.reduce((sum, row) => sum + matrix[row][label], 0);
+
+    const seen = support > 0 || predictedCount > 0;
+    const precision = predictedCount > 0 ? percent(truePositives, predictedCount) : (seen ? 0 : null);
+    const recall = support > 0 ? percent(truePositives, support) : (seen ? 0 : null);
+    let f1 = null;
+    if (precision !== null && recall !== null) {
+      f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+    }
+
+    return {
+      label,
+      support,
+      predicted: predictedCount,
+      true_positives: truePositives,
+      precision: round(precision),
+      recall: round(recall),
+      f1: round(f1)
+    };
+  });
+
+  const average = key => {
+    const values = perClass.map(row => row[key]).filter(value => value !== null);
+    return values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+  };
+
+  return {
+    per_class: perClass,
+    macro: { precision: average('precision'), recall: average('recall'), f1: average('f1') }
+  };
+}
+
+/**
+ * Compare the AI's confidence with how often it was actually right
+ *
+ * Educational Note: Answers are grouped by confidence (0-9, 10-19, ... 90-100).
+ * In a well calibrated model each group's accuracy matches its average
+ * confidence. The expected calibration error (ECE) is the average gap,
+ * weighted by how many answers fall in each group - 0 is perfect.
+ *
+ * @param {Object[]} predictions - { confidence (0-100), correct } for analyzed images
+ */
+function computeCalibration(predictions) {
+  // Educational Note: 100% goes in the top group rather than a group of its own
+  const binOf = confidence => Math.min(Math.floor(confidence / CALIBRATION_BIN_WIDTH), CALIBRATION_BIN_COUNT - 1);
+
+  const bins = [];
+  for (let index = 0; index < CALIBRATION_BIN_COUNT; index++) {
+    const low = index * CALIBRATION_BIN_WIDTH;
+    const high = index === CALIBRATION_BIN_COUNT - 1 ? 100 : low + CALIBRATION_BIN_WIDTH - 1;
+    const members = predictions.filter(prediction => binOf(prediction.confidence) === index);
+    const correct = members.filter(prediction => prediction.correct).length;
+    const averageConfidence = members.length > 0
+      ? members.reduce((sum, prediction) => sum + prediction.confidence, 0) / members.length
+      : null;
+    const accuracy = percent(correct, members.length);
+
+    bins.push({
+      range: `${low}-${high}`,
+      count: members.length,
+      correct,
+      average_confidence: round(averageConfidence),
+      accuracy: round(accuracy),
+      gap: members.length > 0 ? round(averageConfidence - accuracy) : null
+    });
+  }
+
+  const total = predictions.length;
+  const ece = total > 0
+    ? bins.reduce((sum, bin) => sum + (bin.count / total) * Math.abs(bin.gap || 0), 0)
+    : null;
+
+  const averageOf = list => (list.length > 0
+    ? round(list.reduce((sum, prediction) => sum + prediction.confidence, 0) / list.length)
+    : null);
+
+  return {
+    bins,
+    expected_calibration_error: round(ece),
+    average_confidence_correct: averageOf(predictions.filter(prediction => prediction.correct)),
+    average_confidence_incorrect: averageOf(predictions.filter(prediction => !prediction.correct))
+  };
+}
+
+/**
+ * All metrics for one evaluation run
+ *
+ * @param {Object[]} results - Per-image results: { expected, predicted, confidence, correct, error }
+ */
+function summarize(results) {
+  const confusion = buildConfusionMatrix(results);
+  const classMetrics = computeClassMetrics(confusion);
+  const analyzed = results.filter(result => result.predicted !== FAILED);
+  const correct = results.filter(result => result.correct).length;
+
+  return {
+    totals: {
+      images: results.length,
+      analyzed: analyzed.length,
+      failed: results.length - analyzed.length,
+      correct,
+      accuracy: round(percent(correct, results.length))
+    },
+    confusion_matrix: confusion,
+    per_class: classMetrics.per_class,
+    macro: classMetrics.macro,
+    calibration: computeCalibration(analyzed)
+  };
+}
+
+/**
+ * Differences between this run and an earlier one
+ *
+ * Educational Note: Numbers are only comparable on the same images with the
+ * same labels, so the dataset fingerprints are compared first
+ *
+ * @param {Object} current - Report of this run
+ * @param {Object} baseline - Report loaded from an earlier run's JSON file
+ */
+function compareRuns(current, baseline) {
+  const delta = (now, before) => (now === null || before === null || before === undefined ? null : round(now - before));
+  const baselineClasses = Object.fromEntries((baseline.metrics.per_class || []).map(row => [row.label, row]));
+
+  return {
+    baseline_run_id: baseline.run.id,
+    baseline_started_at: baseline.run.started_at,
+    baseline_configuration: baseline.run.configuration,
+    same_dataset: baseline.run.dataset.fingerprint === current.run.dataset.fingerprint,
+    accuracy: delta(current.metrics.totals.accuracy, baseline.metrics.totals.accuracy),
+    macro_f1: delta(current.metrics.macro.f1, baseline.metrics.macro.f1),
+    expected_calibration_error: delta(
+      current.metrics.calibration.expected_calibration_error,
+      baseline.metrics.calibration.expected_calibration_error
+    ),
+    failed: current.metrics.totals.failed - baseline.metrics.totals.failed,
+    per_class: current.metrics.per_class.map(row => ({
+      label: row.label,
+      precision: delta(row.precision, baselineClasses[row.label] ? baselineClasses[row.label].precision : null),
+      recall: delta(row.recall, baselineClasses[row.label] ? baselineClasses[row.label].recall : null)
+    }))
+  };
+}
+
+module.exports = {
+  LABELS,
+  FAILED,
+  labelFor,
+  buildConfusionMatrix,
+  computeClassMetrics,
+  computeCalibration,
+  summarize,
+  compareRuns
+};
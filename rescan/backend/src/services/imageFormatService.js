@@ -0,0 +1,152 @@
+/**
+ * Image Format Service - Trust the Bytes, Not the Label
+ *
+ * Educational Focus:
+ * - Magic bytes: most file formats start with a fixed signature
+ * - Why the browser's MIME type and the file extension can't be trusted
+ *   (anyone can rename virus.exe to photo.jpg)
+ * - Converting iPhone photos (HEIC/HEIF) into a format every tool understands
+ *
+ * Supported uploads: JPEG, PNG, WebP, and HEIC/HEIF (converted to JPEG)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const heicConvert = require('heic-convert');
+const logger = require('../utils/logger');
+
+// Educational Note: Enough bytes to hold every signature checked below
+const SIGNATURE_BYTES = 32;
+
+// Educational Note: HEIF files are ISO media files - bytes 4-7 spell "ftyp" and
+// the brands that follow say what is inside. HEVC-coded brands are HEIC.
+const HEIC_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx'];
+const HEIF_BRANDS = ['mif1', 'msf1'];
+
+const FORMATS = {
+  jpeg: { mime_type: 'image/jpeg', extension: '.jpg' },
+  png: { mime_type: 'image/png', extension: '.png' },
+  webp: { mime_type: 'image/webp', extension: '.webp' },
+  heic: { mime_type: 'image/heic', extension: '.heic', convert: true },
+  heif: { mime_type: 'image/heif', extension: '.heif', convert: true }
+};
+
+class ImageFormatService {
+  constructor() {
+    this.jpegQuality = Math.min(Math.max(parseInt(process.env.IMAGE_JPEG_QUALITY, 10) || 85, 1), 100) / 100;
+  }
+
+  /**
+   * Identify an image format from the first bytes of a buffer
+   *
+   * @param {Buffer} buffer - Start of the file
+   * @returns {string|null} 'jpeg', 'png', 'webp', 'heic', 'heif' or null when unsupported
+   */
+  detectFormat(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+      return 'jpeg';
+    }
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+      return 'png';
+    }
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+      return 'webp';
+    }
+    if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp') {
+      // Educational Note: The major brand (bytes 8-11) is followed by compatible brands
+      const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+      const brands = [buffer.toString('ascii', 8, 12)];
+      for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+        brands.push(buffer.toString('ascii', offset, offset + 4));
+      }
+      if (brands.some(brand => HEIC_BRANDS.includes(brand))) {
+        return 'heic';
+      }
+      if (brands.some(brand => HEIF_BRANDS.includes(brand)) && !brands.includes('avif')) {
+        return 'heif';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Identify the format of a file on disk
+   *
+   * @returns {Promise<{format: string, mime_type: string}|null>}
+   */
+  async identifyFile(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(SIGNATURE_BYTES), 0, SIGNATURE_BYTES, 0);
+      const format = this.detectFormat(buffer.subarray(0, bytesRead));
+      return format ? { format, mime_type: FORMATS[format].mime_type } : null;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Check an uploaded file by its content and convert it when needed
+   *
+   * Educational Note: The returned file has the real MIME type. HEIC/HEIF
+   * uploads are replaced on disk by a JPEG next to the original.
+   *
+   * @param {Object} file - Multer file (path, originalname, mimetype, size)
+   * @returns {Promise<Object|null>} Updated file, or null when it is not a supported image
+   * @throws {Error} When a HEIC/HEIF file cannot be converted
+   */
+  async normalizeUpload(file) {
+    const detected = await this.identifyFile(file.path);
+    if (!detected) {
+      logger.warn(`Upload ${file.originalname} (${file.mimetype}) is not a supported image`);
+      return null;
+    }
+
+    if (detected.mime_type !== file.mimetype) {
+      logger.info(`Upload ${file.originalname} claimed ${file.mimetype} but is ${detected.mime_type}`);
+    }
+
+    if (!FORMATS[detected.format].convert) {
+      return { ...file, mimetype: detected.mime_type, detected_format: detected.format };
+    }
+
+    return this.convertToJpeg(file, detected.format);
+  }
+
+  /**
+   * Convert a HEIC/HEIF upload to JPEG and remove the original
+   *
+   * Educational Note: Most image libraries (and AI providers) can't read HEIC,
+   * the default camera format on iPhones, so it is converted once on arrival
+   */
+  async convertToJpeg(file, format) {
+    const input = await fs.readFile(file.path);
+    const output = Buffer.from(await heicConvert({
+      buffer: input,
+      format: 'JPEG',
+      quality: this.jpegQuality
+    }));
+
+    const parsed = path.parse(file.path);
+    const jpegPath = path.join(parsed.dir, `${parsed.name}.jpg`);
+    await fs.writeFile(jpegPath, output);
+    await fs.unlink(file.path);
+
+    logger.info(`Converted ${format.toUpperCase()} upload ${file.originalname} to JPEG (${input.length} -> ${output.length} bytes)`);
+
+    return {
+      ...file,
+      path: jpegPath,
+      filename: path.basename(jpegPath),
+      mimetype: FORMATS.jpeg.mime_type,
+      size: output.length,
+      detected_format: format,
+      converted_from: FORMATS[format].mime_type
+    };
+  }
+}
+
+// Export singleton instance
+const imageFormatService = new ImageFormatService();
+
+module.exports = imageFormatService;
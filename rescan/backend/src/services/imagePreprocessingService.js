@@ -0,0 +1,86 @@
+/**
+ * Image Preprocessing Service - Prepare Photos Before AI Analysis
+ *
+ * Educational Focus:
+ * - EXIF orientation: phones store "rotate me" as metadata instead of turning the pixels
+ * - Privacy: photo metadata can include the GPS position of a student's home
+ * - Cost: vision models charge by image size, so a 12-megapixel photo wastes tokens
+ * - MIME types: telling the model a PNG is a JPEG can make it misread the image
+ *
+ * Pipeline: decode -> rotate upright -> shrink to fit -> re-encode without metadata
+ *
+ * Configuration:
+ * - IMAGE_MAX_DIMENSION: longest side in pixels sent to the AI (default 1536)
+ * - IMAGE_JPEG_QUALITY: quality used when re-encoding JPEG and WebP (default 85)
+ */
+
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const logger = require('../utils/logger');
+
+// Educational Note: Formats vision models accept; anything else is converted to JPEG
+const OUTPUT_FORMATS = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+class ImagePreprocessingService {
+  constructor() {
+    this.maxDimension = parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || 1536;
+    this.quality = Math.min(Math.max(parseInt(process.env.IMAGE_JPEG_QUALITY, 10) || 85, 1), 100);
+  }
+
+  /**
+   * Prepare an uploaded image for the AI provider
+   *
+   * Educational Note: sharp writes no metadata unless asked to (withMetadata),
+   * so re-encoding is what removes EXIF, GPS and camera details
+   *
+   * @param {string} filePath - Path to the uploaded file
+   * @returns {Promise<Object>} { buffer, mime_type, width, height, original_width,
+   *   original_height, bytes, original_bytes, resized }
+   * @throws {Error} When the file cannot be decoded as an image
+   */
+  async preprocess(filePath) {
+    const input = await fs.readFile(filePath);
+    const metadata = await sharp(input).metadata();
+    const format = OUTPUT_FORMATS[metadata.format] ? metadata.format : 'jpeg';
+
+    // Educational Note: Orientations 5-8 are rotated by 90 degrees, so width and height swap
+    const isQuarterTurn = metadata.orientation >= 5;
+    const originalWidth = isQuarterTurn ? metadata.height : metadata.width;
+    const originalHeight = isQuarterTurn ? metadata.width : metadata.height;
+
+    const { data, info } = await sharp(input)
+      .rotate()
+      .resize({
+        width: this.maxDimension,
+        height: this.maxDimension,
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      .toFormat(format, { quality: this.quality })
+      .toBuffer({ resolveWithObject: true });
+
+    const resized = info.width !== originalWidth || info.height !== originalHeight;
+    logger.info(`Preprocessed image: ${originalWidth}x${originalHeight} ${metadata.format} (${input.length} bytes) -> ${info.width}x${info.height} ${format} (${data.length} bytes)`);
+
+    return {
+      buffer: data,
+      mime_type: OUTPUT_FORMATS[format],
+      width: info.width,
+      height: info.height,
+      original_width: originalWidth,
+      original_height: originalHeight,
+      bytes: data.length,
+      original_bytes: input.length,
+      resized
+    };
+  }
+}
+
+// Export singleton instance
+const imagePreprocessingService = new ImagePreprocessingService();
+
+module.exports = imagePreprocessingService;
@@ -0,0 +1,276 @@
+/**
+ * Leaderboard Service for Addresses, Students and Classes
+ *
+ * Educational Focus:
+ * - Aggregating points from scan_sessions with GROUP BY
+ * - Ranking with SQL window functions (RANK() OVER ...)
+ * - Keyset ("cursor") pagination that stays stable while new scans arrive
+ *
+ * Rankings are rebuilt from scan history on every request, so weekly and monthly
+ * boards are simply the same query with a start date.
+ */
+
+const dbService = require('./dbService');
+
+// Educational Note: Each scope groups scans by a different key
+const SCOPES = ['address', 'user', 'class'];
+const WINDOWS = ['all_time', 'week', 'month'];
+
+/**
+ * Educational Note: Tie-breaking order, used both for sorting and for cursors
+ * 1. More points first
+ * 2. Whoever reached that total earlier (earlier last scan) first
+ * 3. Entry key, so the order is always fully defined
+ *
+ * Entries with the same points share a rank ("1, 2, 2, 4").
+ */
+const RANK_ORDER = 'points DESC, last_scan_at ASC, entry_key ASC';
+
+/**
+ * Educational Note: Street name of a normalized address, written in SQL
+ * A leading token that starts with a digit is the house number and is dropped
+ * ("12 oak st newark nj" -> "oak st newark nj"). maskAddress() applies the same rule.
+ */
+const STREET_NAME_SQL = `CASE
+  WHEN a.street_address GLOB '[0-9]*' AND instr(a.street_address, ' ') > 0
+  THEN ltrim(substr(a.street_address, instr(a.street_address, ' ') + 1))
+  ELSE a.street_address
+END`;
+
+class LeaderboardService {
+  constructor() {
+    this.scopes = SCOPES;
+    this.windows = WINDOWS;
+  }
+
+  /**
+   * Get the start of a time window (UTC)
+   *
+   * Educational Note: Weeks start on Monday, months on the 1st
+   *
+   * @param {string} window - all_time, week or month
+   * @param {Date} now - Reference time (defaults to the current time)
+   * @returns {string|null} ISO timestamp, or null for all_time
+   */
+  getWindowStart(window, now = new Date()) {
+    if (window === 'week') {
+      const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+      return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - daysSinceMonday)).toISOString();
+    }
+    if (window === 'month') {
+      return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+    }
+    return null;
+  }
+
+  /**
+   * Build the per-entry totals query for a scope
+   *
+   * Every variant returns entry_key, lookup_key, name, points, scans and last_scan_at
+   *
+   * Educational Note: The address board groups homes by street, so every row is a
+   * different street and cursors (which clients can decode) never contain a house number
+   */
+  buildTotalsQuery(scope, since) {
+    const params = [];
+    const sinceCondition = since ? 'AND s.created_at >= ?' : '';
+    if (since) {
+      params.push(since);
+    }
+
+    const queries = {
+      address: `
+        SELECT ${STREET_NAME_SQL} AS entry_key, ${STREET_NAME_SQL} AS lookup_key, ${STREET_NAME_SQL} AS name,
+          SUM(s.points_earned) AS points, COUNT(*) AS scans, MAX(s.created_at) AS last_scan_at
+        FROM scan_sessions s
+        JOIN addresses a ON a.street_address = s.address_id AND a.is_active = 1
+        WHERE 1 = 1 ${sinceCondition}
+        GROUP BY ${STREET_NAME_SQL}
+      `,
+      user: `
+        SELECT u.id AS entry_key, u.id AS lookup_key, u.display_name AS name,
+          SUM(s.points_earned) AS points, COUNT(*) AS scans, MAX(s.created_at) AS last_scan_at
+        FROM scan_sessions s
+        JOIN users u ON u.id = s.user_id AND u.is_active = 1
+        WHERE 1 = 1 ${sinceCondition}
+        GROUP BY u.id
+      `,
+      class: `
+        SELECT c.id AS entry_key, c.id AS lookup_key, c.name || COALESCE(' (' || c.section || ')', '') AS name,
+          SUM(s.points_earned) AS points, COUNT(*) AS scans, MAX(s.created_at) AS last_scan_at,
+          COUNT(DISTINCT s.user_id) AS active_students
+        FROM classes c
+        JOIN class_enrollments e ON e.class_id = c.id
+        JOIN users u ON u.id = e.user_id AND u.is_active = 1
+        JOIN scan_sessions s ON s.user_id = e.user_id ${sinceCondition}
+        WHERE c.is_active = 1
+        GROUP BY c.id
+      `
+    };
+
+    return { sql: queries[scope], params };
+  }
+
+  /**
+   * Build the ranked query shared by page and single-entry lookups
+   *
+   * Educational Note: RANK() is computed before any cursor filter, so a page
+   * further down still shows the true rank of each entry
+   */
+  buildRankedQuery(scope, window) {
+    const { sql, params } = this.buildTotalsQuery(scope, this.getWindowStart(window));
+    return {
+      sql: `
+        WITH totals AS (${sql}),
+        ranked AS (
+          SELECT *, RANK() OVER (ORDER BY points DESC) AS rank
+          FROM totals
+          WHERE points > 0
+        )
+      `,
+      params
+    };
+  }
+
+  /**
+   * Encode a cursor pointing just after an entry
+   *
+   * Educational Note: The cursor holds the sort values of the last entry shown,
+   * so the next page starts right after it even if new entries appear above
+   */
+  encodeCursor(scope, window, entry) {
+    const payload = { s: scope, w: window, p: entry.points, t: entry.last_scan_at, k: entry.entry_key };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  /**
+   * Decode and check a cursor
+   *
+   * @returns {Object|null} The cursor payload, or null when it is invalid or
+   * belongs to a different scope/window
+   */
+  decodeCursor(cursor, scope, window) {
+    try {
+      const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (payload.s !== scope || payload.w !== window || typeof payload.p !== 'number' || payload.k === undefined) {
+        return null;
+      }
+      return payload;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get one page of a leaderboard
+   *
+   * @param {Object} options
+   * @param {string} options.scope - address, user or class
+   * @param {string} options.window - all_time, week or month
+   * @param {number} options.limit - Entries per page
+   * @param {string} [options.cursor] - next_cursor from the previous page
+   * @returns {Promise<{entries: Object[], next_cursor: string|null, window_start: string|null}>}
+   * @throws {Error} With code INVALID_CURSOR when the cursor cannot be used
+   */
+  async getLeaderboard({ scope, window = 'all_time', limit = 10, cursor = null }) {
+    if (!dbService.db) {
+      await dbService.initialize();
+    }
+
+    const { sql, params } = this.buildRankedQuery(scope, window);
+    const pageParams = [...params];
+    let after = '';
+
+    if (cursor) {
+      const position = this.decodeCursor(cursor, scope, window);
+      if (!position) {
+        const error = new Error('Invalid cursor - start again without one');
+        error.code = 'INVALID_CURSOR';
+        throw error;
+      }
+      // Educational Note: "Comes after" in the RANK_ORDER sort, written out column by column
+      after = `WHERE points < ?
+        OR (points = ? AND last_scan_at > ?)
+        OR (points = ? AND last_scan_at = ? AND entry_key > ?)`;
+      pageParams.push(position.p, position.p, position.t, position.p, position.t, position.k);
+    }
+
+    // Educational Note: Fetch one extra row to know whether another page exists
+    const rows = await dbService.all(`
+      ${sql}
+      SELECT * FROM ranked
+      ${after}
+      ORDER BY ${RANK_ORDER}
+      LIMIT ?
+    `, [...pageParams, limit + 1]);
+
+    const entries = rows.slice(0, limit);
+    const hasMore = rows.length > limit;
+
+    return {
+      entries: entries.map(row => this.formatEntry(scope, row)),
+      next_cursor: hasMore ? this.encodeCursor(scope, window, entries[entries.length - 1]) : null,
+      window_start: this.getWindowStart(window)
+    };
+  }
+
+  /**
+   * Find the rank of a single entry (e.g. "where does my street rank?")
+   *
+   * @param {string} scope - address, user or class
+   * @param {string} window - all_time, week or month
+   * @param {string|number} key - Normalized address, user ID or class ID
+   * @returns {Promise<Object|null>} The entry (for an address: its street), or null
+   * when it has no points in the window
+   */
+  async getEntryRank(scope, window, key) {
+    if (!dbService.db) {
+      await dbService.initialize();
+    }
+
+    const { sql, params } = this.buildRankedQuery(scope, window);
+    const row = await dbService.get(`
+      ${sql}
+      SELECT *, (SELECT COUNT(*) FROM ranked) AS total_entries
+      FROM ranked
+      WHERE lookup_key = ?
+    `, [...params, scope === 'address' ? this.maskAddress(key) : key]);
+
+    return row ? { ...this.formatEntry(scope, row), total_entries: row.total_entries } : null;
+  }
+
+  /**
+   * Shape a ranked row for the API
+   *
+   * Educational Note: Full street addresses are never shown on a public board -
+   * rows are whole streets, so kids can find their street without revealing homes
+   */
+  formatEntry(scope, row) {
+    const entry = {
+      rank: row.rank,
+      key: row.entry_key,
+      name: row.name,
+      points: row.points,
+      scans: row.scans,
+      last_scan_at: row.last_scan_at
+    };
+    if (scope === 'class') {
+      entry.active_students = row.active_students;
+    }
+    return entry;
+  }
+
+  /**
+   * Hide the house number of a normalized address ("12 oak st newark nj" -> "oak st newark nj")
+   *
+   * Educational Note: Must match STREET_NAME_SQL, which groups the address board
+   */
+  maskAddress(address) {
+    return /^\d[^ ]* /.test(address) ? address.replace(/^[^ ]+ +/, '') : address;
+  }
+}
+
+// Export singleton instance
+const leaderboardService = new LeaderboardService();
+
+module.exports = leaderboardService;
@@ -0,0 +1,130 @@
+/**
+ * Prompt Service - Which Prompt Version Grades This Photo
+ *
+ * Educational Focus:
+ * - Configuration over code edits: the active prompt is chosen by PROMPT_VERSION
+ * - A/B testing: a share of scans can use a candidate version instead
+ * - Deterministic bucketing: the photo's hash, not a coin flip, picks the version
+ *
+ * The version used is stored on each scan session (scan_sessions.prompt_version),
+ * so student feedback can be compared per version - see
+ * GET /api/scan/prompt-versions.
+ *
+ * Configuration:
+ * - PROMPT_VERSION: the active version (default v1)
+ * - PROMPT_EXPERIMENT_VERSION: a candidate version to try on some scans (optional)
+ * - PROMPT_EXPERIMENT_PERCENT: share of scans, 0-100, that use the candidate (default 0)
+ */
+
+const crypto = require('crypto');
+const { getPrompt, listVersions, renderPrompt } = require('./prompts');
+const logger = require('../utils/logger');
+
+const DEFAULT_VERSION = 'v1';
+
+class PromptService {
+  constructor() {
+    this.activeVersion = this.resolveVersion(process.env.PROMPT_VERSION, 'PROMPT_VERSION') || DEFAULT_VERSION;
+    this.experimentVersion = this.resolveVersion(process.env.PROMPT_EXPERIMENT_VERSION, 'PROMPT_EXPERIMENT_VERSION');
+
+    const percent = parseInt(process.env.PROMPT_EXPERIMENT_PERCENT, 10) || 0;
+    this.experimentPercent = Math.min(Math.max(percent, 0), 100);
+
+    // Educational Note: An "experiment" with the active version would compare it with itself
+    if (this.experimentVersion === this.activeVersion) {
+      this.experimentVersion = null;
+    }
+    if (!this.experimentVersion) {
+      this.experimentPercent = 0;
+    }
+  }
+
+  /**
+   * Check a configured version, warning (not crashing) on typos
+   *
+   * @returns {string|null} The version, or null when unset or unknown
+   */
+  resolveVersion(setting, variableName) {
+    const value = (setting || '').trim().toLowerCase();
+    if (!value) {
+      return null;
+    }
+    if (!listVersions().includes(value)) {
+      logger.warn(`${variableName} "${setting}" is not one of ${listVersions().join(', ')} - ignoring it`);
+      return null;
+    }
+    return value;
+  }
+
+  /**
+   * Use one version for every photo (no experiment), e.g. for an offline evaluation
+   *
+   * @throws {Error} For unknown versions
+   */
+  setVersion(version) {
+    getPrompt(version);
+    this.activeVersion = version;
+    this.experimentVersion = null;
+    this.experimentPercent = 0;
+  }
+
+  /**
+   * Pick the prompt version for one photo
+   *
+   * Educational Note: The bucket comes from the image hash, so the same photo
+   * always gets the same version - rescans hit the analysis cache and a
+   * student cannot get a different grade by simply trying again
+   *
+   * @param {string} contentHash - SHA-256 (hex) of the image file
+   * @returns {string}
+   */
+  chooseVersion(contentHash) {
+    if (this.experimentPercent === 0) {
+      return this.activeVersion;
+    }
+    const bucket = parseInt(contentHash.slice(0, 8), 16) % 100;
+    return bucket < this.experimentPercent ? this.experimentVersion : this.activeVersion;
+  }
+
+  /**
+   * Get the rendered prompts for one photo
+   *
+   * @param {string} contentHash - SHA-256 (hex) of the image file
+   * @param {Object} values - Placeholder values, e.g. { max_items: 10 }
+   * @returns {{version: string, fingerprint: string, system_prompt: string, analysis_prompt: string}}
+   *   fingerprint changes whenever the rendered text does, even if a frozen file was edited
+   */
+  select(contentHash, values = {}) {
+    const version = this.chooseVersion(contentHash);
+    const template = getPrompt(version);
+    const systemPrompt = renderPrompt(template.system_prompt, values);
+    const analysisPrompt = renderPrompt(template.analysis_prompt, values);
+
+    return {
+      version,
+      fingerprint: crypto.createHash('sha256').update(`${systemPrompt}\n${analysisPrompt}`).digest('hex').slice(0, 12),
+      system_prompt: systemPrompt,
+      analysis_prompt: analysisPrompt
+    };
+  }
+
+  /**
+   * Current configuration, for reports
+   */
+  getSettings() {
+    return {
+      active_version: this.activeVersion,
+      experiment_version: this.experimentVersion,
+      experiment_percent: this.experimentPercent,
+      available_versions: listVersions().map(version => ({
+        version,
+        description: getPrompt(version).description
+      }))
+    };
+  }
+}
+
+// Export singleton instance
+const promptService = new PromptService();
+
+module.exports = promptService;
@@ -0,0 +1,66 @@
+/**
+ * Prompt Registry
+ *
+ * Educational Focus: Versioning AI prompts like code
+ *
+ * Every prompt the scanner has used lives in its own file (v1.js, v2.js, ...).
+ * A version is frozen once students have been graded with it: to change the
+ * wording, copy the newest file, give it the next version and register it
+ * here. PROMPT_VERSION then chooses the active one (see promptService.js).
+ *
+ * Templates may use {{name}} placeholders, filled in by renderPrompt().
+ */
+
+const v1 = require('./v1');
+const v2 = require('./v2');
+
+const PROMPTS = {
+  v1,
+  v2
+};
+
+/**
+ * Get a prompt template by version
+ *
+ * @param {string} version - e.g. 'v1'
+ * @returns {{version: string, description: string, system_prompt: string, analysis_prompt: string}}
+ * @throws {Error} For unknown versions
+ */
+function getPrompt(version) {
+  const prompt = PROMPTS[version];
+  if (!prompt) {
+    throw new Error(`Unknown prompt version "${version}". Available versions: ${listVersions().join(', ')}`);
+  }
+  return prompt;
+}
+
+/**
+ * All registered versions, oldest first
+ */
+function listVersions() {
+  return Object.keys(PROMPTS);
+}
+
+/**
+ * Fill in {{name}} placeholders
+ *
+ * @param {string} template
+ * @param {Object} values - e.g. { max_items: 10 }
+ * @returns {string}
+ * @throws {Error} When a placeholder has no value (a typo would otherwise reach the model)
+ */
+function renderPrompt(template, values = {}) {
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+    if (values[name] === undefined) {
+      throw new Error(`Prompt placeholder ${placeholder} has no value`);
+    }
+    return String(values[name]);
+  });
+}
+
+module.exports = {
+  PROMPTS,
+  getPrompt,
+  listVersions,
+  renderPrompt
+};
@@ -0,0 +1,199 @@
+/**
+ * Azure OpenAI Vision Provider
+ *
+ * Educational Focus:
+ * - Azure AD (Entra ID) Service Principal authentication
+ * - Token lifetime management and refresh
+ * - Calling a deployment-scoped Azure OpenAI endpoint with the OpenAI SDK
+ *
+ * Requires: AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET,
+ * AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_DEPLOYMENT_NAME
+ */
+
+const { OpenAI } = require('openai');
+const { ClientSecretCredential } = require('@azure/identity');
+const VisionProvider = require('./visionProvider');
+const logger = require('../../utils/logger');
+
+const TOKEN_SCOPE = 'https://cognitiveservices.azure.com/.default';
+
+class AzureOpenAIProvider extends VisionProvider {
+  constructor() {
+    super('azure');
+    this.client = null;
+    this.credential = null;
+    this.deploymentName = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  get processingMethod() {
+    return 'azure_openai_vision';
+  }
+
+  get model() {
+    return this.deploymentName || process.env.AZURE_OPENAI_DEPLOYMENT_NAME || 'gpt-4o';
+  }
+
+  get configurationHint() {
+    return 'Azure OpenAI is not initialized. Check your AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET, AZURE_OPENAI_ENDPOINT, and AZURE_OPENAI_DEPLOYMENT_NAME environment variables.';
+  }
+
+  /**
+   * Initialize Azure OpenAI client with Azure AD (Entra ID) authentication
+   *
+   * Educational Note: This uses Service Principal authentication which is more secure
+   * than API keys and supports Azure role-based access control (RBAC)
+   */
+  async initialize() {
+    try {
+      // Educational Note: Check for required Azure AD credentials
+      const requiredEnvVars = {
+        AZURE_TENANT_ID: process.env.AZURE_TENANT_ID,
+        AZURE_CLIENT_ID: process.env.AZURE_CLIENT_ID,
+        AZURE_CLIENT_SECRET: process.env.AZURE_CLIENT_SECRET,
+        AZURE_OPENAI_ENDPOINT: process.env.AZURE_OPENAI_ENDPOINT,
+        AZURE_OPENAI_DEPLOYMENT_NAME: process.env.AZURE_OPENAI_DEPLOYMENT_NAME
+      };
+
+      const missingVars = Object.entries(requiredEnvVars)
+        .filter(([, value]) => !value)
+        .map(([key]) => key);
+
+      if (missingVars.length > 0) {
+        logger.warn(`Azure AD credentials not configured - missing: ${missingVars.join(', ')}`);
+        logger.warn('Set AI_PROVIDER=local to use the offline provider for demonstrations');
+        this.isInitialized = false;
+        return false;
+      }
+
+      // Educational Note: Create Azure AD credential using Service Principal
+      // This is more secure than API keys and supports Azure RBAC
+      const credential = new ClientSecretCredential(
+        process.env.AZURE_TENANT_ID,
+        process.env.AZURE_CLIENT_ID,
+        process.env.AZURE_CLIENT_SECRET
+      );
+
+      logger.info('Azure AD credential created successfully');
+      logger.info(`Endpoint: ${process.env.AZURE_OPENAI_ENDPOINT}`);
+      logger.info(`Deployment: ${process.env.AZURE_OPENAI_DEPLOYMENT_NAME}`);
+
+      // Get Azure AD token
+      const tokenResponse = await credential.getToken(TOKEN_SCOPE);
+
+      if (!tokenResponse || !tokenResponse.token) {
+        throw new Error('Failed to obtain Azure AD token');
+      }
+
+      logger.info('Azure AD token obtained successfully');
+
+      // Store credential for token refresh and deployment config
+      this.credential = credential;
+      this.deploymentName = process.env.AZURE_OPENAI_DEPLOYMENT_NAME;
+
+      // Build the client with the fresh token
+      this.buildClient(tokenResponse.token);
+
+      // Track expiry so we can refresh before it lapses (5-min buffer)
+      this.tokenExpiresAt = tokenResponse.expiresOnTimestamp - 5 * 60 * 1000;
+
+      // Test the connection with a simple request
+      await this.testConnection();
+
+      this.isInitialized = true;
+      logger.info('Azure OpenAI service initialized successfully with Azure AD authentication');
+      logger.info('Educational Note: Using Service Principal authentication (more secure than API keys)');
+      return true;
+
+    } catch (error) {
+      logger.error('Failed to initialize Azure OpenAI service:', error);
+      logger.error('Educational Note: Check Azure AD Service Principal credentials and permissions');
+      this.isInitialized = false;
+      return false;
+    }
+  }
+
+  /**
+   * Build (or rebuild) the OpenAI client with a Bearer token
+   */
+  buildClient(token) {
+    this.client = new OpenAI({
+      apiKey: token,
+      baseURL: `${process.env.AZURE_OPENAI_ENDPOINT}/openai/deployments/${this.deploymentName}`,
+      defaultQuery: { 'api-version': '2024-10-01-preview' },
+      // Educational Note: AIService retries with its own backoff and circuit breaker
+      maxRetries: 0,
+      defaultHeaders: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+  }
+
+  /**
+   * Refresh the Azure AD token if it is expired or about to expire,
+   * then rebuild the OpenAI client with the new token.
+   */
+  async refreshTokenIfNeeded() {
+    if (Date.now() < this.tokenExpiresAt) {
+      return; // token is still valid
+    }
+    logger.info('Azure AD token expired or expiring soon — refreshing...');
+    const tokenResponse = await this.credential.getToken(TOKEN_SCOPE);
+    if (!tokenResponse || !tokenResponse.token) {
+      throw new Error('Failed to refresh Azure AD token');
+    }
+    this.buildClient(tokenResponse.token);
+    this.tokenExpiresAt = tokenResponse.expiresOnTimestamp - 5 * 60 * 1000;
+    logger.info('Azure AD token refreshed successfully');
+  }
+
+  /**
+   * Test Azure OpenAI connection
+   */
+  async testConnection() {
+    if (!this.client) {
+      throw new Error('OpenAI client not initialized');
+    }
+
+    logger.info('Testing connection to Azure OpenAI...');
+    logger.info(`Deployment: ${this.deploymentName}`);
+
+    // For OpenAI SDK with Azure, don't pass model when deployment is in baseURL
+    const response = await this.client.chat.completions.create({
+      messages: [{ role: 'user', content: 'Test connection - respond with "OK"' }],
+      max_tokens: 10
+    });
+
+    if (!response.choices || response.choices.length === 0) {
+      throw new Error('Invalid response from Azure OpenAI service');
+    }
+
+    logger.info('Azure OpenAI connection test successful');
+    logger.info(`Response: ${response.choices[0].message.content}`);
+  }
+
+  /**
+   * Call the Azure OpenAI Vision API
+   */
+  async analyze(request) {
+    // Refresh token if needed before calling Azure OpenAI
+    await this.refreshTokenIfNeeded();
+
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages: request.messages,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      // Educational Note: Asks the model to follow the JSON schema (see aiResponseSchema.js)
+      ...(request.responseFormat ? { response_format: request.responseFormat } : {})
+    }, { signal: request.signal });
+
+    return {
+      content: response.choices[0].message.content,
+      model: this.model,
+      usage: this.readUsage(response)
+    };
+  }
+}
+
+module.exports = AzureOpenAIProvider;
@@ -0,0 +1,34 @@
+/**
+ * Vision Provider Registry
+ *
+ * Educational Focus: Module index files and factory functions
+ *
+ * Lists the providers AIService can dispatch to. The active one is chosen with
+ * the AI_PROVIDER environment variable (azure, openai or local).
+ */
+
+const VisionProvider = require('./visionProvider');
+const AzureOpenAIProvider = require('./azureOpenAIProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const LocalProvider = require('./localProvider');
+
+/**
+ * Create one instance of every built-in provider
+ *
+ * @returns {VisionProvider[]}
+ */
+function createDefaultProviders() {
+  return [
+    new AzureOpenAIProvider(),
+    new OpenAICompatibleProvider(),
+    new LocalProvider()
+  ];
+}
+
+module.exports = {
+  VisionProvider,
+  AzureOpenAIProvider,
+  OpenAICompatibleProvider,
+  LocalProvider,
+  createDefaultProviders
+};
@@ -0,0 +1,151 @@
+/**
+ * Local (Offline) Vision Provider
+ *
+ * Educational Focus:
+ * - Test doubles: replacing a cloud dependency with a predictable stand-in
+ * - Deterministic behaviour through content hashing
+ *
+ * This provider never leaves the machine, so classroom laptops and CI can run
+ * the full scan flow without cloud credentials. The same image always produces
+ * the same answer, which keeps demonstrations and automated checks repeatable.
+ */
+
+const crypto = require('crypto');
+const VisionProvider = require('./visionProvider');
+
+/**
+ * Common plastic scenarios the offline provider can "recognize"
+ */
+const MOCK_SCENARIOS = [
+  {
+    material_type: 'plastic',
+    ric_code: 1,
+    description: 'PET (Polyethylene Terephthalate) plastic bottle',
+    confidence: 85,
+    recyclable: true,
+    reasoning: 'Offline provider: scenario selected from the image content hash',
+    educational_note: 'PET is one of the most commonly recycled plastics'
+  },
+  {
+    material_type: 'plastic',
+    ric_code: 2,
+    description: 'HDPE (High-Density Polyethylene) container',
+    confidence: 78,
+    recyclable: true,
+    reasoning: 'Offline provider: scenario selected from the image content hash',
+    educational_note: 'HDPE is widely accepted in recycling programs'
+  },
+  {
+    material_type: 'plastic',
+    ric_code: 5,
+    description: 'PP (Polypropylene) container',
+    confidence: 70,
+    recyclable: true,
+    reasoning: 'Offline provider: scenario selected from the image content hash',
+    educational_note: 'PP recycling availability varies by location'
+  },
+  {
+    material_type: 'plastic',
+    ric_code: 4,
+    description: 'LDPE (Low-Density Polyethylene) bag or wrap',
+    confidence: 65,
+    recyclable: true,
+    reasoning: 'Offline provider: scenario selected from the image content hash',
+    educational_note: 'LDPE often requires special drop-off locations'
+  }
+];
+
+class LocalProvider extends VisionProvider {
+  constructor() {
+    super('local');
+  }
+
+  get processingMethod() {
+    return 'local_mock_analysis';
+  }
+
+  get model() {
+    return 'local-mock-v1';
+  }
+
+  // Educational Note: "bottle" and "pile" in the file name pick the answer (see selectItems)
+  get answersDependOnFileName() {
+    return true;
+  }
+
+  /**
+   * Nothing to connect to - the offline provider is always ready
+   */
+  async initialize() {
+    this.isInitialized = true;
+    return true;
+  }
+
+  /**
+   * Pick a scenario deterministically and reply the way a real model would
+   *
+   * Educational Note: File names containing "bottle" always map to PET and
+   * names containing "pile" return several items, so teachers can demonstrate
+   * known answers; everything else is chosen from a hash of the image bytes.
+   * Names containing "garbled" get a free-text first reply, to show the
+   * schema check and repair retry at work.
+   */
+  async analyze(request) {
+    const latency = parseInt(process.env.LOCAL_AI_LATENCY_MS) || 0;
+    if (latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, latency));
+    }
+
+    if ((request.fileName || '').toLowerCase().includes('garbled') && request.attempt === 1) {
+      return {
+        content: 'Material: plastic, RIC code: 5 (probably), confidence: high',
+        model: this.model
+      };
+    }
+
+    const items = this.selectItems(request.imageBuffer, request.fileName);
+
+    return {
+      content: JSON.stringify({
+        items,
+        description: items.length > 1
+          ? `${items.length} items: ${items.map(item => item.description).join('; ')}`
+          : items[0].description,
+        reasoning: 'Offline provider: scenario selected from the image content hash'
+      }, null, 2),
+      model: this.model
+    };
+  }
+
+  /**
+   * Choose the items "seen" in the photo, each with a bounding box
+   *
+   * Educational Note: A pile is laid out left to right in equal columns
+   */
+  selectItems(imageBuffer, fileName = '') {
+    const scenarios = fileName.toLowerCase().includes('pile')
+      ? MOCK_SCENARIOS.slice(0, 3)
+      : [this.selectScenario(imageBuffer, fileName)];
+
+    const width = 1 / scenarios.length;
+    return scenarios.map((scenario, index) => ({
+      ...scenario,
+      bounding_box: { x: index * width, y: 0.1, width, height: 0.8 }
+    }));
+  }
+
+  /**
+   * Choose a mock scenario from the file name or image content
+   */
+  selectScenario(imageBuffer, fileName = '') {
+    if (fileName.toLowerCase().includes('bottle')) {
+      return MOCK_SCENARIOS[0];
+    }
+
+    const digest = crypto.createHash('sha256').update(imageBuffer || '').digest();
+    return MOCK_SCENARIOS[digest.readUInt32BE(0) % MOCK_SCENARIOS.length];
+  }
+}
+
+module.exports = LocalProvider;
+module.exports.MOCK_SCENARIOS = MOCK_SCENARIOS;
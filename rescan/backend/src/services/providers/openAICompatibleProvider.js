@@ -0,0 +1,85 @@
+/**
+ * OpenAI-Compatible Vision Provider
+ *
+ * Educational Focus:
+ * - Many AI servers (OpenAI, LM Studio, Ollama, vLLM) share one HTTP API
+ * - API key authentication compared with Azure AD tokens
+ *
+ * Configuration:
+ * - OPENAI_API_KEY: API key (optional for local servers that ignore it)
+ * - OPENAI_BASE_URL: Server URL (defaults to the public OpenAI API)
+ * - OPENAI_MODEL: Vision-capable model name (defaults to gpt-4o)
+ */
+
+const { OpenAI } = require('openai');
+const VisionProvider = require('./visionProvider');
+const logger = require('../../utils/logger');
+
+class OpenAICompatibleProvider extends VisionProvider {
+  constructor() {
+    super('openai');
+    this.client = null;
+  }
+
+  get processingMethod() {
+    return 'openai_compatible_vision';
+  }
+
+  get model() {
+    return process.env.OPENAI_MODEL || 'gpt-4o';
+  }
+
+  get configurationHint() {
+    return 'OpenAI-compatible provider is not initialized. Set OPENAI_API_KEY and/or OPENAI_BASE_URL.';
+  }
+
+  /**
+   * Create the OpenAI SDK client
+   *
+   * Educational Note: Local servers usually accept any key, so only one of
+   * OPENAI_API_KEY or OPENAI_BASE_URL has to be provided.
+   */
+  async initialize() {
+    const apiKey = process.env.OPENAI_API_KEY;
+    const baseURL = process.env.OPENAI_BASE_URL;
+
+    if (!apiKey && !baseURL) {
+      logger.warn('OpenAI-compatible provider not configured - set OPENAI_API_KEY or OPENAI_BASE_URL');
+      this.isInitialized = false;
+      return false;
+    }
+
+    this.client = new OpenAI({
+      apiKey: apiKey || 'not-required',
+      ...(baseURL && { baseURL }),
+      // Educational Note: AIService retries with its own backoff and circuit breaker
+      maxRetries: 0
+    });
+
+    this.isInitialized = true;
+    logger.info(`OpenAI-compatible provider ready (model: ${this.model}, endpoint: ${baseURL || 'api.openai.com'})`);
+    return true;
+  }
+
+  /**
+   * Call the chat completions endpoint with the image attached
+   */
+  async analyze(request) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages: request.messages,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      // Educational Note: Asks the model to follow the JSON schema (see aiResponseSchema.js)
+      ...(request.responseFormat ? { response_format: request.responseFormat } : {})
+    }, { signal: request.signal });
+
+    return {
+      content: response.choices[0].message.content,
+      model: response.model || this.model,
+      usage: this.readUsage(response)
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
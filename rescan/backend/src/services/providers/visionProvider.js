@@ -0,0 +1,109 @@
+/**
+ * Vision Provider Base Class
+ *
+ * Educational Focus:
+ * - Interface (contract) design in JavaScript
+ * - Strategy pattern: swapping implementations behind one API
+ * - Keeping vendor-specific code out of business logic
+ *
+ * Every provider receives the same request (chat messages plus the raw image)
+ * and returns the model's raw text reply. AIService owns prompting, parsing and
+ * points, so a provider only has to know how to talk to its backend.
+ */
+
+/**
+ * @typedef {Object} VisionRequest
+ * @property {Array<Object>} messages - Chat messages, including the image as a data URL
+ * @property {Buffer} imageBuffer - Raw image bytes (used by offline providers)
+ * @property {string} mimeType - MIME type of the image
+ * @property {string} fileName - Original file name of the upload
+ * @property {number} maxTokens - Maximum tokens the model may generate
+ * @property {number} temperature - Sampling temperature
+ * @property {Object|null} responseFormat - response_format for chat completions (JSON schema), or null
+ * @property {number} attempt - 1 for the first request, 2 for the repair retry
+ * @property {AbortSignal} [signal] - Aborted when AIService's timeout is reached
+ */
+
+/**
+ * @typedef {Object} VisionResponse
+ * @property {string} content - Raw text returned by the model
+ * @property {string} model - Model or deployment that produced the reply
+ * @property {{prompt_tokens: number, completion_tokens: number}|null} [usage] - Tokens billed, when the backend reports them
+ */
+
+class VisionProvider {
+  /**
+   * @param {string} name - Registry name used by the AI_PROVIDER setting
+   */
+  constructor(name) {
+    this.name = name;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Label stored in ai_analysis.processing_method for each result
+   */
+  get processingMethod() {
+    return this.name;
+  }
+
+  /**
+   * Model or deployment name reported in analysis results
+   */
+  get model() {
+    return this.name;
+  }
+
+  /**
+   * Whether answers depend on the upload's file name as well as its pixels
+   * (the analysis cache then includes the name in its key)
+   */
+  get answersDependOnFileName() {
+    return false;
+  }
+
+  /**
+   * Hint shown to students when the provider cannot be initialized
+   */
+  get configurationHint() {
+    return `Check the configuration for the "${this.name}" AI provider.`;
+  }
+
+  /**
+   * Prepare the provider for use (credentials, clients, connection tests)
+   *
+   * @returns {Promise<boolean>} True when the provider is ready
+   */
+  async initialize() {
+    throw new Error(`${this.constructor.name} must implement initialize()`);
+  }
+
+  /**
+   * Send one vision request to the backend
+   *
+   * @param {VisionRequest} _request
+   * @returns {Promise<VisionResponse>}
+   */
+  async analyze(_request) {
+    throw new Error(`${this.constructor.name} must implement analyze()`);
+  }
+
+  /**
+   * Read the token counts from a chat completions response
+   *
+   * Educational Note: This is what the API bills for - see aiUsageService.js
+   *
+   * @returns {{prompt_tokens: number, completion_tokens: number}|null}
+   */
+  readUsage(response) {
+    if (!response.usage) {
+      return null;
+    }
+    return {
+      prompt_tokens: response.usage.prompt_tokens || 0,
+      completion_tokens: response.usage.completion_tokens || 0
+    };
+  }
+}
+
+module.exports = VisionProvider;
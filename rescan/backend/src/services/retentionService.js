@@ -0,0 +1,450 @@
+/**
+ * Retention Service - Keep Upload Storage in Check
+ *
+ * Educational Focus:
+ * - Data retention: keep student photos only as long as they are useful
+ * - Quotas: one busy address (or the whole school) cannot fill the disk
+ * - Orphans: files left behind by crashes or failed uploads with no database row
+ * - Scheduled jobs: a timer runs the cleanup in the background
+ *
+ * Cleanup order: expired images -> address quotas -> total quota -> orphans -> old debug copies
+ *
+ * Images are deleted through StorageService, so the policy works the same for
+ * the local folder and an S3 bucket.
+ *
+ * The scan session row (material, points, feedback) is never deleted - only the
+ * image file. image_deleted_at records when and that the photo is gone.
+ *
+ * Configuration:
+ * - UPLOAD_RETENTION_DAYS: days an uploaded image is kept (default 30, 0 keeps forever)
+ * - STORAGE_QUOTA_MB: total size of all kept images (default 0 = no limit)
+ * - STORAGE_ADDRESS_QUOTA_MB: size of the images kept for one address (default 0 = no limit)
+ * - STORAGE_CLEANUP_INTERVAL_MINUTES: how often the cleanup runs (default 60, 0 disables it)
+ * - SAVE_DEBUG_COPIES: also copy every upload to scans-uploads/ (default false)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const dbService = require('./dbService');
+const storageService = require('./storageService');
+const logger = require('../utils/logger');
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+const BYTES_PER_MB = 1024 * 1024;
+
+// Educational Note: A file this young may belong to an upload that is still being
+// analyzed or saved and has no session row yet, so it is not treated as an orphan
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+// Educational Note: Jobs that still need their file
+const PENDING_JOB_STATUSES = ['queued', 'processing'];
+
+/**
+ * Read a non-negative number from the environment (0 is a valid setting)
+ */
+function readNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+class RetentionService {
+  constructor() {
+    this.debugDir = path.join(__dirname, '../../../scans-uploads');
+
+    this.retentionDays = readNumber('UPLOAD_RETENTION_DAYS', 30);
+    this.totalQuotaBytes = Math.round(readNumber('STORAGE_QUOTA_MB', 0) * BYTES_PER_MB);
+    this.addressQuotaBytes = Math.round(readNumber('STORAGE_ADDRESS_QUOTA_MB', 0) * BYTES_PER_MB);
+    this.cleanupIntervalMinutes = readNumber('STORAGE_CLEANUP_INTERVAL_MINUTES', 60);
+    this.saveDebugCopies = process.env.SAVE_DEBUG_COPIES === 'true';
+
+    this.timer = null;
+    this.isRunning = false;
+    this.lastCleanup = null;
+  }
+
+  /**
+   * Start the scheduled cleanup
+   */
+  async start() {
+    if (this.timer || this.cleanupIntervalMinutes === 0) {
+      return;
+    }
+    if (!dbService.db) {
+      await dbService.initialize();
+    }
+
+    // Educational Note: unref() lets the process exit even though the timer is running
+    this.timer = setInterval(() => this.runScheduledCleanup(), this.cleanupIntervalMinutes * 60 * 1000);
+    this.timer.unref();
+    logger.info(`Storage cleanup scheduled every ${this.cleanupIntervalMinutes} minutes`);
+    this.runScheduledCleanup();
+  }
+
+  /**
+   * Stop the scheduled cleanup
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run the cleanup from the timer, logging instead of throwing
+   */
+  async runScheduledCleanup() {
+    try {
+      await this.runCleanup();
+    } catch (error) {
+      logger.error('Storage cleanup failed:', error);
+    }
+  }
+
+  /**
+   * Save a copy of an upload to scans-uploads/ for debugging (only when enabled)
+   *
+   * Educational Note: Named after the address and time so a developer can find a
+   * photo by eye. A failure here never fails the upload.
+   *
+   * @param {Object} file - Multer file
+   * @param {string|null} address - Address the scan was made for
+   */
+  async saveDebugCopy(file, address) {
+    if (!this.saveDebugCopies) {
+      return;
+    }
+
+    try {
+      const addressText = address || 'unknown-address';
+      // Sanitize address for use as filename (replace non-alphanumeric chars with underscores)
+      const sanitizedAddress = addressText.replace(/[^a-zA-Z0-9]/g, '_').replace(/_+/g, '_').substring(0, 100);
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      // Educational Note: The stored file's extension - converted HEIC photos are JPEGs now
+      const extension = path.extname(file.path).toLowerCase() || '.jpg';
+      const debugFilename = `${sanitizedAddress}-${timestamp}${extension}`;
+
+      await fs.mkdir(this.debugDir, { recursive: true });
+      await fs.copyFile(file.path, path.join(this.debugDir, debugFilename));
+      logger.info(`Debug copy saved: scans-uploads/${debugFilename}`);
+    } catch (debugError) {
+      logger.warn('Failed to save debug copy', { error: debugError.message });
+    }
+  }
+
+  /**
+   * Apply the retention policy and quotas once
+   *
+   * @returns {Promise<Object>} What was removed: counts per reason and bytes freed
+   */
+  async runCleanup() {
+    if (this.isRunning) {
+      return null;
+    }
+    this.isRunning = true;
+    const startedAt = Date.now();
+
+    try {
+      const summary = {
+        expired: 0,
+        address_quota: 0,
+        total_quota: 0,
+        orphans: 0,
+        debug_copies: 0,
+        bytes_freed: 0
+      };
+      const tally = (reason) => ({ files, bytes }) => {
+        summary[reason] += files;
+        summary.bytes_freed += bytes;
+      };
+
+      if (this.retentionDays > 0) {
+        const cutoff = new Date(Date.now() - this.retentionDays * ONE_DAY_MS).toISOString();
+        const expired = await dbService.all(`
+          SELECT id, file_path, file_size, storage_backend, storage_key FROM scan_sessions
+          WHERE image_deleted_at IS NULL AND created_at < ?
+        `, [cutoff]);
+        tally('expired')(await this.purgeSessionImages(expired));
+      }
+
+      if (this.addressQuotaBytes > 0) {
+        tally('address_quota')(await this.enforceAddressQuota());
+      }
+
+      if (this.totalQuotaBytes > 0) {
+        tally('total_quota')(await this.enforceTotalQuota());
+      }
+
+      tally('orphans')(await this.removeOrphans());
+
+      if (this.retentionDays > 0) {
+        tally('debug_copies')(await this.removeOldFiles(this.debugDir, Date.now() - this.retentionDays * ONE_DAY_MS));
+      }
+
+      this.lastCleanup = {
+        ...summary,
+        completed_at: new Date().toISOString(),
+        duration_ms: Date.now() - startedAt
+      };
+      const removed = summary.expired + summary.address_quota + summary.total_quota + summary.orphans + summary.debug_copies;
+      if (removed > 0) {
+        logger.info(`Storage cleanup removed ${removed} files (${summary.bytes_freed} bytes)`, summary);
+      }
+      return this.lastCleanup;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Delete the image files of scan sessions and mark them as deleted
+   *
+   * @param {Object[]} rows - scan_sessions rows (id, file_path, file_size, storage_backend, storage_key)
+   * @returns {Promise<{files: number, bytes: number}>}
+   */
+  async purgeSessionImages(rows) {
+    const removed = { files: 0, bytes: 0 };
+    for (const row of rows) {
+      try {
+        await storageService.deleteImage(storageService.referenceFor(row));
+      } catch (error) {
+        // Educational Note: Keep the row as it is so the next cleanup tries again
+        logger.warn(`Failed to delete the image of scan ${row.id}`, { error: error.message });
+        continue;
+      }
+      await dbService.run(
+        'UPDATE scan_sessions SET image_deleted_at = ? WHERE id = ?',
+        [new Date().toISOString(), row.id]
+      );
+      removed.files++;
+      removed.bytes += row.file_size || 0;
+    }
+    return removed;
+  }
+
+  /**
+   * Remove the oldest images of every address that uses more than its quota
+   *
+   * Educational Note: Scans without an address only count towards the total quota
+   */
+  async enforceAddressQuota() {
+    const addresses = await dbService.all(`
+      SELECT address_id FROM scan_sessions
+      WHERE image_deleted_at IS NULL AND address_id IS NOT NULL
+      GROUP BY address_id
+      HAVING SUM(file_size) > ?
+    `, [this.addressQuotaBytes]);
+
+    const removed = { files: 0, bytes: 0 };
+    for (const { address_id: addressId } of addresses) {
+      const rows = await dbService.all(`
+        SELECT id, file_path, file_size, storage_backend, storage_key FROM scan_sessions
+        WHERE image_deleted_at IS NULL AND address_id = ?
+        ORDER BY created_at DESC
+      `, [addressId]);
+      const { files, bytes } = await this.purgeSessionImages(this.overQuota(rows, this.addressQuotaBytes));
+      removed.files += files;
+      removed.bytes += bytes;
+    }
+    return removed;
+  }
+
+  /**
+   * Remove the oldest images until all kept images fit in the total quota
+   */
+  async enforceTotalQuota() {
+    const rows = await dbService.all(`
+      SELECT id, file_path, file_size, storage_backend, storage_key FROM scan_sessions
+      WHERE image_deleted_at IS NULL
+      ORDER BY created_at DESC
+    `);
+    return this.purgeSessionImages(this.overQuota(rows, this.totalQuotaBytes));
+  }
+
+  /**
+   * Pick the rows that don't fit in a quota
+   *
+   * @param {Object[]} rows - Newest first
+   * @returns {Object[]} The older rows left over once the quota is full
+   */
+  overQuota(rows, quotaBytes) {
+    let used = 0;
+    return rows.filter(row => {
+      used += row.file_size || 0;
+      return used > quotaBytes;
+    });
+  }
+
+  /**
+   * Delete stored images no scan session refers to, and incoming uploads
+   * no pending job is waiting for
+   */
+  async removeOrphans() {
+    const cutoffMs = Date.now() - ORPHAN_GRACE_MS;
+    const store = storageService.getStore();
+
+    const sessions = await dbService.all(
+      'SELECT file_path, storage_backend, storage_key FROM scan_sessions WHERE image_deleted_at IS NULL'
+    );
+    const referencedKeys = new Set(sessions
+      .map(row => storageService.referenceFor(row))
+      .filter(reference => reference.backend === store.name)
+      .map(reference => reference.key));
+
+    const removed = { files: 0, bytes: 0 };
+    for (const blob of await store.list()) {
+      if (blob.modified_ms >= cutoffMs || referencedKeys.has(blob.key)) {
+        continue;
+      }
+      try {
+        await store.delete(blob.key);
+        removed.files++;
+        removed.bytes += blob.bytes;
+      } catch (error) {
+        logger.warn(`Failed to delete orphaned image ${blob.key}`, { error: error.message });
+      }
+    }
+
+    const jobs = await dbService.all(
+      `SELECT file_path FROM scan_jobs WHERE status IN (${PENDING_JOB_STATUSES.map(() => '?').join(', ')})`,
+      PENDING_JOB_STATUSES
+    );
+    // Educational Note: Compare file names - stored paths depend on where the app was installed
+    const waiting = new Set(jobs.map(row => path.basename(row.file_path)));
+    const incoming = await this.removeOldFiles(storageService.incomingDir, cutoffMs, name => !waiting.has(name));
+
+    return { files: removed.files + incoming.files, bytes: removed.bytes + incoming.bytes };
+  }
+
+  /**
+   * Delete files in a folder last modified before a cutoff
+   *
+   * @param {string} dir - Folder to clean (missing folders are skipped)
+   * @param {number} cutoffMs - Files modified before this time are removed
+   * @param {Function} [shouldRemove] - Extra check on the file name
+   * @returns {Promise<{files: number, bytes: number}>}
+   */
+  async removeOldFiles(dir, cutoffMs, shouldRemove = () => true) {
+    const removed = { files: 0, bytes: 0 };
+    for (const entry of await this.listFiles(dir)) {
+      if (entry.modified_ms >= cutoffMs || !shouldRemove(entry.name)) {
+        continue;
+      }
+      const bytes = await this.removeFile(entry.path);
+      removed.files++;
+      removed.bytes += bytes;
+    }
+    return removed;
+  }
+
+  /**
+   * Delete one file, ignoring files that are already gone
+   *
+   * @returns {Promise<number>} Bytes freed
+   */
+  async removeFile(filePath) {
+    try {
+      const { size } = await fs.stat(filePath);
+      await fs.unlink(filePath);
+      return size;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Failed to delete ${filePath}`, { error: error.message });
+      }
+      return 0;
+    }
+  }
+
+  /**
+   * List the files in a folder with their size and age
+   *
+   * Educational Note: Hidden files such as .gitkeep are left alone
+   */
+  async listFiles(dir) {
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const files = [];
+    for (const name of names) {
+      if (name.startsWith('.')) {
+        continue;
+      }
+      const filePath = path.join(dir, name);
+      const stats = await fs.stat(filePath).catch(() => null);
+      if (stats && stats.isFile()) {
+        files.push({ name, path: filePath, bytes: stats.size, modified_ms: stats.mtimeMs });
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Report how much space uploads use, compared with the quotas
+   *
+   * @returns {Promise<Object>}
+   */
+  async getStorageReport() {
+    const summarize = (files) => ({
+      files: files.length,
+      bytes: files.reduce((sum, file) => sum + file.bytes, 0)
+    });
+
+    const kept = await dbService.get(`
+      SELECT COUNT(*) AS images, COALESCE(SUM(file_size), 0) AS bytes
+      FROM scan_sessions WHERE image_deleted_at IS NULL
+    `);
+    const deleted = await dbService.get('SELECT COUNT(*) AS images FROM scan_sessions WHERE image_deleted_at IS NOT NULL');
+    const addresses = await dbService.all(`
+      SELECT address_id AS address, COUNT(*) AS images, SUM(file_size) AS bytes
+      FROM scan_sessions
+      WHERE image_deleted_at IS NULL AND address_id IS NOT NULL
+      GROUP BY address_id
+      ORDER BY bytes DESC
+      LIMIT 10
+    `);
+
+    const store = storageService.getStore();
+
+    return {
+      stored: {
+        backend: store.name,
+        location: store.describe(),
+        ...summarize(await store.list())
+      },
+      incoming: summarize(await this.listFiles(storageService.incomingDir)),
+      debug_copies: {
+        enabled: this.saveDebugCopies,
+        ...summarize(await this.listFiles(this.debugDir))
+      },
+      images: {
+        kept: kept.images,
+        kept_bytes: kept.bytes,
+        deleted: deleted.images
+      },
+      top_addresses: addresses.map(row => ({
+        ...row,
+        over_quota: this.addressQuotaBytes > 0 && row.bytes > this.addressQuotaBytes
+      })),
+      policy: {
+        retention_days: this.retentionDays || null,
+        total_quota_bytes: this.totalQuotaBytes || null,
+        address_quota_bytes: this.addressQuotaBytes || null,
+        over_total_quota: this.totalQuotaBytes > 0 && kept.bytes > this.totalQuotaBytes,
+        cleanup_interval_minutes: this.cleanupIntervalMinutes || null
+      },
+      last_cleanup: this.lastCleanup
+    };
+  }
+}
+
+// Export singleton instance
+const retentionService = new RetentionService();
+
+module.exports = retentionService;
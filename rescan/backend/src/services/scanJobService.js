@@ -0,0 +1,392 @@
+/**
+ * Scan Job Service - Background Queue for Image Analysis
+ *
+ * Educational Focus:
+ * - Job queues: answer the HTTP request right away, do the slow work later
+ * - Persistence: jobs live in SQLite (scan_jobs), so a restart does not lose uploads
+ * - Workers: a fixed number of jobs run at once, the rest wait their turn
+ * - Events: every change is emitted so routes can stream progress (Server-Sent Events)
+ *
+ * Job lifecycle: queued -> processing -> completed | failed
+ *
+ * The work itself is done by a processor registered with setProcessor().
+ * It receives the job and a report(stage, progress) callback, and returns the
+ * result to store on the job.
+ *
+ * Configuration:
+ * - SCAN_JOB_CONCURRENCY: jobs processed at the same time (default 2)
+ * - SCAN_JOB_POLL_INTERVAL_MS: how often idle workers check the queue (default 1000)
+ * - SCAN_JOB_MAX_ATTEMPTS: how often a job interrupted by a restart is retried (default 3)
+ * - SCAN_JOB_EVENTS_LINK_TTL_SECONDS: how long a progress stream link works (default 3600)
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const dbService = require('./dbService');
+const authService = require('./authService');
+const logger = require('../utils/logger');
+
+const TERMINAL_STATUSES = ['completed', 'failed'];
+
+class ScanJobService extends EventEmitter {
+  constructor() {
+    super();
+    // Educational Note: Every open progress stream adds a listener
+    this.setMaxListeners(0);
+
+    this.concurrency = parseInt(process.env.SCAN_JOB_CONCURRENCY, 10) || 2;
+    this.pollIntervalMs = parseInt(process.env.SCAN_JOB_POLL_INTERVAL_MS, 10) || 1000;
+    this.maxAttempts = parseInt(process.env.SCAN_JOB_MAX_ATTEMPTS, 10) || 3;
+    this.eventsLinkTtlSeconds = parseInt(process.env.SCAN_JOB_EVENTS_LINK_TTL_SECONDS, 10) || 3600;
+
+    this.processor = null;
+    this.timer = null;
+    this.activeJobs = 0;
+    this.isDraining = false;
+  }
+
+  /**
+   * Register the function that processes one job
+   *
+   * @param {Function} processor - async (job, report) => result
+   */
+  setProcessor(processor) {
+    this.processor = processor;
+  }
+
+  /**
+   * Start the workers
+   *
+   * Educational Note: A job still marked 'processing' at startup was cut off by a
+   * restart - it goes back in the queue until it has used up its attempts
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+    if (!this.processor) {
+      throw new Error('No scan job processor registered');
+    }
+    if (!dbService.db) {
+      await dbService.initialize();
+    }
+
+    const requeued = await dbService.run(`
+      UPDATE scan_jobs
+      SET status = 'queued', stage = 'queued', progress = 0, updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'processing' AND attempts < ?
+    `, [this.maxAttempts]);
+    const abandoned = await dbService.run(`
+      UPDATE scan_jobs
+      SET status = 'failed', stage = 'failed', error = 'Processing was interrupted too many times',
+          completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'processing'
+    `);
+    if (requeued.changes > 0 || abandoned.changes > 0) {
+      logger.warn(`Scan jobs interrupted by a restart: ${requeued.changes} requeued, ${abandoned.changes} failed`);
+    }
+
+    // Educational Note: unref() lets the process exit even though the timer is running
+    this.timer = setInterval(() => this.drain(), this.pollIntervalMs);
+    this.timer.unref();
+    logger.info(`Scan job workers started (${this.concurrency} at a time)`);
+    this.drain();
+  }
+
+  /**
+   * Stop picking up new jobs (jobs already running are allowed to finish)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Add an uploaded file to the queue
+   *
+   * @param {Object} file - Multer file (path, originalname, size, mimetype)
+   * @param {Object} context - Who uploaded it and from where (user_id, address, ...)
+   * @returns {Promise<Object>} The queued job
+   */
+  async enqueue(file, context = {}) {
+    const jobId = uuidv4();
+    await dbService.run(`
+      INSERT INTO scan_jobs (id, user_id, file_path, original_filename, file_size_bytes, file_mime_type, context, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      jobId,
+      context.user_id || null,
+      file.path,
+      file.originalname,
+      file.size,
+      file.mimetype,
+      JSON.stringify(context),
+      new Date().toISOString()
+    ]);
+
+    const job = await this.getJob(jobId);
+    this.emit('update', job);
+    // Educational Note: Wake the workers instead of waiting for the next poll
+    setImmediate(() => this.drain());
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   *
+   * @returns {Promise<Object|null>}
+   */
+  async getJob(jobId) {
+    const row = await dbService.get('SELECT * FROM scan_jobs WHERE id = ?', [jobId]);
+    return row ? this.fromDbRecord(row) : null;
+  }
+
+  /**
+   * Start as many queued jobs as there are free workers
+   */
+  async drain() {
+    if (this.isDraining || !this.timer) {
+      return;
+    }
+    this.isDraining = true;
+
+    try {
+      while (this.activeJobs < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) {
+          break;
+        }
+        this.activeJobs++;
+        this.runJob(job).finally(() => {
+          this.activeJobs--;
+          this.drain();
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to claim scan job:', error);
+    } finally {
+      this.isDraining = false;
+    }
+  }
+
+  /**
+   * Take the oldest queued job and mark it as processing
+   *
+   * Educational Note: Reading and updating in one transaction means a job can
+   * never be picked up twice
+   *
+   * @returns {Promise<Object|null>}
+   */
+  claimNext() {
+    return dbService.runInTransaction(async (db) => {
+      const row = await db.get(`
+        SELECT id FROM scan_jobs
+        WHERE status = 'queued'
+        ORDER BY created_at ASC, rowid ASC
+        LIMIT 1
+      `);
+      if (!row) {
+        return null;
+      }
+
+      await db.run(`
+        UPDATE scan_jobs
+        SET status = 'processing', stage = 'starting', progress = 5, attempts = attempts + 1,
+            started_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [new Date().toISOString(), row.id]);
+
+      return this.fromDbRecord(await db.get('SELECT * FROM scan_jobs WHERE id = ?', [row.id]));
+    });
+  }
+
+  /**
+   * Run one job through the processor and store the outcome
+   */
+  async runJob(job) {
+    this.emit('update', job);
+    const report = (stage, progress) => this.updateProgress(job.job_id, stage, progress);
+
+    try {
+      const result = await this.processor(job, report);
+      await this.finish(job.job_id, 'completed', { result });
+      logger.info(`Scan job ${job.job_id} completed`);
+    } catch (error) {
+      logger.error(`Scan job ${job.job_id} failed:`, error);
+      await this.finish(job.job_id, 'failed', { error: error.message }).catch(finishError => {
+        logger.error(`Failed to record failure of scan job ${job.job_id}:`, finishError);
+      });
+    }
+  }
+
+  /**
+   * Record which stage a running job has reached
+   *
+   * Educational Note: Progress is only informational, so a failed write is
+   * logged instead of failing the job
+   */
+  async updateProgress(jobId, stage, progress) {
+    try {
+      await dbService.run(
+        'UPDATE scan_jobs SET stage = ?, progress = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = \'processing\'',
+        [stage, progress, jobId]
+      );
+      this.emit('update', await this.getJob(jobId));
+    } catch (error) {
+      logger.warn(`Failed to update progress of scan job ${jobId}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Mark a job as completed or failed
+   */
+  async finish(jobId, status, { result = null, error = null } = {}) {
+    await dbService.run(`
+      UPDATE scan_jobs
+      SET status = ?, stage = ?, progress = ?, result = ?, error = ?,
+          completed_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [
+      status,
+      status,
+      status === 'completed' ? 100 : 0,
+      result ? JSON.stringify(result) : null,
+      error,
+      new Date().toISOString(),
+      jobId
+    ]);
+    this.emit('update', await this.getJob(jobId));
+  }
+
+  /**
+   * Listen for changes to one job
+   *
+   * @param {string} jobId
+   * @param {Function} listener - Called with the job after every change
+   * @returns {Function} Call to stop listening
+   */
+  subscribe(jobId, listener) {
+    const onUpdate = (job) => {
+      if (job && job.job_id === jobId) {
+        listener(job);
+      }
+    };
+    this.on('update', onUpdate);
+    return () => this.off('update', onUpdate);
+  }
+
+  /**
+   * Whether a job has finished (successfully or not)
+   */
+  isFinished(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Convert a scan_jobs row to the job object used by routes and processors
+   */
+  fromDbRecord(row) {
+    const parseJson = (value) => {
+      if (!value) {
+        return null;
+      }
+      try {
+        return JSON.parse(value);
+      } catch {
+        return null;
+      }
+    };
+
+    return {
+      job_id: row.id,
+      status: row.status,
+      stage: row.stage,
+      progress: row.progress,
+      user_id: row.user_id,
+      file: {
+        path: row.file_path,
+        originalname: row.original_filename,
+        size: row.file_size_bytes,
+        mimetype: row.file_mime_type
+      },
+      context: parseJson(row.context) || {},
+      result: parseJson(row.result),
+      error: row.error,
+      attempts: row.attempts,
+      created_at: row.created_at,
+      started_at: row.started_at,
+      completed_at: row.completed_at
+    };
+  }
+
+  /**
+   * Sign access to one job's progress stream
+   *
+   * Educational Note: The browser's EventSource cannot send an Authorization
+   * header. Instead of putting the session token in the URL (where it would end
+   * up in logs), the link carries an HMAC of the job ID and an expiry - like the
+   * image links in storage/localBlobStore.js. It opens this one stream and nothing else.
+   */
+  signEventsAccess(jobId, expires) {
+    return crypto
+      .createHmac('sha256', authService.getSecret())
+      .update(`scan-job-events\n${jobId}\n${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Create the query parameters for a job's progress stream link
+   *
+   * @returns {{expires: number, signature: string}}
+   */
+  createEventsAccess(jobId) {
+    const expires = Math.floor(Date.now() / 1000) + this.eventsLinkTtlSeconds;
+    return { expires, signature: this.signEventsAccess(jobId, expires) };
+  }
+
+  /**
+   * Check the expiry and signature of a progress stream link
+   *
+   * @returns {boolean} True when the link was signed for this job and has not expired
+   */
+  verifyEventsAccess(jobId, expires, signature) {
+    if (typeof expires !== 'string' || !/^\d+$/.test(expires)
+      || typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) {
+      return false;
+    }
+    const expiresAt = parseInt(expires, 10);
+    if (expiresAt < Date.now() / 1000) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.signEventsAccess(jobId, expiresAt), 'hex');
+    const received = Buffer.from(signature, 'hex');
+    return crypto.timingSafeEqual(received, expected);
+  }
+
+  /**
+   * Public view of a job (file paths and upload context stay on the server)
+   */
+  toPublic(job) {
+    return {
+      job_id: job.job_id,
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress,
+      filename: job.file.originalname,
+      created_at: job.created_at,
+      started_at: job.started_at,
+      completed_at: job.completed_at,
+      result: job.result,
+      error: job.error
+    };
+  }
+}
+
+// Export singleton instance
+const scanJobService = new ScanJobService();
+
+module.exports = scanJobService;
@@ -0,0 +1,94 @@
+/**
+ * Blob Store Base Class
+ *
+ * Educational Focus:
+ * - Interface (contract) design in JavaScript
+ * - Object storage: files addressed by a key instead of a folder path
+ * - Why servers in a cluster should not keep files on their own disk
+ *
+ * A blob store keeps scan images under a flat key such as
+ * "scan_1700000000000_123.jpg". StorageService picks the store and records
+ * the key in scan_sessions, so the rest of the app never sees where (or on
+ * which machine) an image really lives.
+ */
+
+/**
+ * @typedef {Object} StoredBlob
+ * @property {string} key - Key the blob is stored under
+ * @property {number} bytes - Size of the blob
+ * @property {number} modified_ms - Last modified time (milliseconds since the epoch)
+ */
+
+// Educational Note: Keys become file names and URL segments, so only safe characters are allowed
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+class BlobStore {
+  /**
+   * @param {string} name - Registry name used by the STORAGE_BACKEND setting
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Check that a key is safe to use (no folders, no "..")
+   *
+   * @throws {Error} When the key is not valid
+   */
+  assertValidKey(key) {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key) || key.length > 200) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+  }
+
+  /**
+   * Where the blobs are kept, for logs and the storage report
+   */
+  describe() {
+    return this.name;
+  }
+
+  /**
+   * Move a local file into the store (the local file is removed)
+   *
+   * @param {string} _key - Key to store the file under
+   * @param {string} _filePath - Local file to upload
+   * @param {string} _contentType - MIME type of the file
+   * @returns {Promise<{key: string, bytes: number}>}
+   */
+  async put(_key, _filePath, _contentType) {
+    throw new Error(`${this.constructor.name} must implement put()`);
+  }
+
+  /**
+   * Delete a blob (deleting a missing blob is not an error)
+   *
+   * @param {string} _key
+   * @returns {Promise<void>}
+   */
+  async delete(_key) {
+    throw new Error(`${this.constructor.name} must implement delete()`);
+  }
+
+  /**
+   * List every blob in the store
+   *
+   * @returns {Promise<StoredBlob[]>}
+   */
+  async list() {
+    throw new Error(`${this.constructor.name} must implement list()`);
+  }
+
+  /**
+   * Create a URL that can download a blob until it expires
+   *
+   * @param {string} _key
+   * @param {number} _expiresInSeconds
+   * @returns {Promise<string>}
+   */
+  async getSignedUrl(_key, _expiresInSeconds) {
+    throw new Error(`${this.constructor.name} must implement getSignedUrl()`);
+  }
+}
+
+module.exports = BlobStore;
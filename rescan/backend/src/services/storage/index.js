@@ -0,0 +1,39 @@
+/**
+ * Blob Store Registry
+ *
+ * Educational Focus: Module index files and factory functions
+ *
+ * Lists the places scan images can be kept. The active one is chosen with
+ * the STORAGE_BACKEND environment variable (local or s3).
+ */
+
+const BlobStore = require('./blobStore');
+const LocalBlobStore = require('./localBlobStore');
+const S3BlobStore = require('./s3BlobStore');
+
+const BLOB_STORES = {
+  local: LocalBlobStore,
+  s3: S3BlobStore
+};
+
+/**
+ * Create a blob store by name
+ *
+ * @param {string} name - 'local' or 's3'
+ * @param {Object} options - Passed to the store's constructor
+ * @returns {BlobStore}
+ */
+function createBlobStore(name, options) {
+  const Store = BLOB_STORES[name];
+  if (!Store) {
+    throw new Error(`Unknown storage backend "${name}". Available backends: ${Object.keys(BLOB_STORES).join(', ')}`);
+  }
+  return new Store(options);
+}
+
+module.exports = {
+  BlobStore,
+  LocalBlobStore,
+  S3BlobStore,
+  createBlobStore
+};
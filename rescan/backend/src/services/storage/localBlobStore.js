@@ -0,0 +1,152 @@
+/**
+ * Local Filesystem Blob Store
+ *
+ * Educational Focus:
+ * - Signed URLs: a link that proves the server allowed this download
+ * - HMAC signatures and constant-time comparison
+ * - Moving files safely between disks (rename vs copy)
+ *
+ * Images are kept in one folder on this machine. Fine for a single server or
+ * a classroom laptop; use the s3 store when several servers share the images.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const BlobStore = require('./blobStore');
+
+class LocalBlobStore extends BlobStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.root - Folder the images are kept in
+   * @param {string} options.publicPath - Route that serves signed downloads, e.g. "/api/scan/images"
+   * @param {Function} options.getSigningSecret - Returns the secret used to sign URLs
+   */
+  constructor({ root, publicPath, getSigningSecret }) {
+    super('local');
+    this.root = root;
+    this.publicPath = publicPath;
+    this.getSigningSecret = getSigningSecret;
+  }
+
+  describe() {
+    return this.root;
+  }
+
+  /**
+   * Full path of the file for a key
+   */
+  resolve(key) {
+    this.assertValidKey(key);
+    return path.join(this.root, key);
+  }
+
+  async put(key, filePath) {
+    const target = this.resolve(key);
+    await fs.promises.mkdir(this.root, { recursive: true });
+
+    if (path.resolve(filePath) !== path.resolve(target)) {
+      try {
+        await fs.promises.rename(filePath, target);
+      } catch (error) {
+        // Educational Note: rename() cannot move a file to another disk (EXDEV)
+        if (error.code !== 'EXDEV') {
+          throw error;
+        }
+        await fs.promises.copyFile(filePath, target);
+        await fs.promises.unlink(filePath);
+      }
+    }
+
+    const { size } = await fs.promises.stat(target);
+    return { key, bytes: size };
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async list() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.root);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const blobs = [];
+    for (const name of names) {
+      // Educational Note: Hidden files (.gitkeep) and folders are not blobs
+      if (name.startsWith('.')) {
+        continue;
+      }
+      const stats = await fs.promises.stat(path.join(this.root, name)).catch(() => null);
+      if (stats && stats.isFile()) {
+        blobs.push({ key: name, bytes: stats.size, modified_ms: stats.mtimeMs });
+      }
+    }
+    return blobs;
+  }
+
+  /**
+   * Sign a key and expiry time
+   *
+   * Educational Note: Only the server knows the secret, so nobody can change the
+   * key or stretch the expiry without breaking the signature
+   */
+  sign(key, expires) {
+    return crypto
+      .createHmac('sha256', this.getSigningSecret())
+      .update(`${key}\n${expires}`)
+      .digest('hex');
+  }
+
+  async getSignedUrl(key, expiresInSeconds) {
+    this.assertValidKey(key);
+    const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+    const signature = this.sign(key, expires);
+    return `${this.publicPath}/${encodeURIComponent(key)}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Check the expiry and signature of a download request
+   *
+   * @returns {boolean} True when the URL was signed by this server and has not expired
+   */
+  verifySignature(key, expires, signature) {
+    // Educational Note: Checked strictly first - Buffer.from(..., 'hex') stops at the
+    // first non-hex character and parseInt ignores trailing junk, so "abc123x"
+    // would otherwise pass as a valid signature
+    if (typeof expires !== 'string' || !/^\d+$/.test(expires)
+      || typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) {
+      return false;
+    }
+    const expiresAt = parseInt(expires, 10);
+    if (expiresAt < Date.now() / 1000) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expiresAt), 'hex');
+    const received = Buffer.from(signature, 'hex');
+    // Educational Note: timingSafeEqual takes the same time however many characters match
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  /**
+   * Open a stored file for streaming to the client
+   */
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+}
+
+module.exports = LocalBlobStore;
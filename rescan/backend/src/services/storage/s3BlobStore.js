@@ -0,0 +1,114 @@
+/**
+ * S3-Compatible Blob Store
+ *
+ * Educational Focus:
+ * - Object storage shared by every server in a cluster
+ * - Presigned URLs: the browser downloads straight from the bucket
+ * - S3-compatible services (AWS S3, MinIO, Cloudflare R2, ...) speak the same API
+ *
+ * Requires: S3_BUCKET (plus credentials, from S3_ACCESS_KEY_ID and
+ * S3_SECRET_ACCESS_KEY or the usual AWS environment/role)
+ */
+
+const fs = require('fs').promises;
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+  GetObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const BlobStore = require('./blobStore');
+
+class S3BlobStore extends BlobStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} [options.prefix] - Folder-like prefix for every key, e.g. "scans/"
+   * @param {string} [options.region] - Region (MinIO accepts any value)
+   * @param {string} [options.endpoint] - Custom endpoint for S3-compatible services
+   * @param {boolean} [options.forcePathStyle] - Use http://host/bucket/key URLs (needed by MinIO)
+   * @param {string} [options.accessKeyId]
+   * @param {string} [options.secretAccessKey]
+   */
+  constructor({ bucket, prefix = '', region, endpoint, forcePathStyle = false, accessKeyId, secretAccessKey }) {
+    super('s3');
+    if (!bucket) {
+      throw new Error('S3 storage requires S3_BUCKET to be set');
+    }
+    this.bucket = bucket;
+    this.prefix = prefix;
+
+    // Educational Note: Without explicit keys the SDK looks for AWS_* variables or an IAM role
+    this.client = new S3Client({
+      region: region || 'us-east-1',
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  describe() {
+    return `s3://${this.bucket}/${this.prefix}`;
+  }
+
+  objectKey(key) {
+    this.assertValidKey(key);
+    return `${this.prefix}${key}`;
+  }
+
+  async put(key, filePath, contentType) {
+    // Educational Note: Uploads are at most a few MB, so the file is sent in one request
+    const body = await fs.readFile(filePath);
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: body,
+      ContentType: contentType
+    }));
+    await fs.unlink(filePath);
+    return { key, bytes: body.length };
+  }
+
+  async delete(key) {
+    // Educational Note: S3 answers a delete of a missing object with success too
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+  }
+
+  async list() {
+    const blobs = [];
+    let continuationToken;
+
+    // Educational Note: S3 returns at most 1000 keys per request, so follow the pages
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.prefix || undefined,
+        ContinuationToken: continuationToken
+      }));
+      for (const object of page.Contents || []) {
+        blobs.push({
+          key: object.Key.slice(this.prefix.length),
+          bytes: object.Size,
+          modified_ms: new Date(object.LastModified).getTime()
+        });
+      }
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return blobs;
+  }
+
+  async getSignedUrl(key, expiresInSeconds) {
+    return getSignedUrl(this.client, new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }), { expiresIn: expiresInSeconds });
+  }
+}
+
+module.exports = S3BlobStore;
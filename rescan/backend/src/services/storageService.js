@@ -0,0 +1,150 @@
+/**
+ * Storage Service - Where Scan Images Live
+ *
+ * Educational Focus:
+ * - Strategy pattern: the same calls work for a local folder or an S3 bucket
+ * - Storing a reference (backend + key) instead of a path on one machine
+ * - Signed URLs instead of a public uploads folder
+ *
+ * Uploads arrive in a local incoming folder (multer, HEIC conversion, hashing
+ * and AI analysis all need a real file). Once the scan is saved the image is
+ * moved into the blob store and scan_sessions records storage_backend and
+ * storage_key.
+ *
+ * Configuration:
+ * - STORAGE_BACKEND: local (default) or s3
+ * - STORAGE_LOCAL_DIR: folder for the local store (default backend/data/uploads)
+ * - UPLOAD_INCOMING_DIR: folder for uploads still being processed (default backend/data/incoming)
+ * - STORAGE_SIGNED_URL_TTL_SECONDS: how long an image link works (default 300)
+ * - STORAGE_SIGNING_SECRET: secret for local image links (defaults to JWT_SECRET)
+ * - S3_BUCKET, S3_PREFIX, S3_REGION, S3_ENDPOINT, S3_FORCE_PATH_STYLE,
+ *   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY: settings for the s3 store
+ */
+
+const path = require('path');
+const { createBlobStore } = require('./storage');
+const authService = require('./authService');
+const logger = require('../utils/logger');
+
+const DEFAULT_BACKEND = 'local';
+
+// Educational Note: Route that serves local images once their signature is checked
+const LOCAL_IMAGE_ROUTE = '/api/scan/images';
+
+class StorageService {
+  constructor() {
+    this.backendName = (process.env.STORAGE_BACKEND || DEFAULT_BACKEND).trim().toLowerCase();
+    this.localDir = process.env.STORAGE_LOCAL_DIR
+      ? path.resolve(process.env.STORAGE_LOCAL_DIR)
+      : path.join(__dirname, '../../data/uploads');
+    this.incomingDir = process.env.UPLOAD_INCOMING_DIR
+      ? path.resolve(process.env.UPLOAD_INCOMING_DIR)
+      : path.join(__dirname, '../../data/incoming');
+    this.signedUrlTtlSeconds = parseInt(process.env.STORAGE_SIGNED_URL_TTL_SECONDS, 10) || 300;
+
+    // Educational Note: Stores are created on first use, so S3 settings are
+    // only needed when the s3 backend is actually used
+    this.stores = new Map();
+  }
+
+  /**
+   * Get a blob store by name (the configured one by default)
+   *
+   * @throws {Error} For unknown backends or missing settings
+   */
+  getStore(name = this.backendName) {
+    if (!this.stores.has(name)) {
+      this.stores.set(name, createBlobStore(name, this.storeOptions(name)));
+    }
+    return this.stores.get(name);
+  }
+
+  /**
+   * Settings for each backend, read from the environment
+   */
+  storeOptions(name) {
+    if (name === 'local') {
+      return {
+        root: this.localDir,
+        publicPath: LOCAL_IMAGE_ROUTE,
+        getSigningSecret: () => process.env.STORAGE_SIGNING_SECRET || authService.getSecret()
+      };
+    }
+    if (name === 's3') {
+      return {
+        bucket: process.env.S3_BUCKET,
+        prefix: process.env.S3_PREFIX || '',
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      };
+    }
+    return {};
+  }
+
+  /**
+   * Check the configured backend at startup so bad settings fail early
+   */
+  initialize() {
+    const store = this.getStore();
+    logger.info(`Scan images are stored in: ${store.describe()} (${store.name})`);
+  }
+
+  /**
+   * Move a processed upload into the blob store
+   *
+   * @param {Object} file - Multer file (path, mimetype)
+   * @returns {Promise<{storage_backend: string, storage_key: string, bytes: number}>}
+   */
+  async saveUpload(file) {
+    const store = this.getStore();
+    const { key, bytes } = await store.put(path.basename(file.path), file.path, file.mimetype);
+    return { storage_backend: store.name, storage_key: key, bytes };
+  }
+
+  /**
+   * Where a scan session's image is stored
+   *
+   * Educational Note: Sessions saved before blob storage existed only have a
+   * file_path in the uploads folder - its file name is the local key
+   *
+   * @param {Object} row - scan_sessions row (storage_backend, storage_key, file_path)
+   * @returns {{backend: string, key: string}}
+   */
+  referenceFor(row) {
+    if (row.storage_key) {
+      return { backend: row.storage_backend || DEFAULT_BACKEND, key: row.storage_key };
+    }
+    return { backend: DEFAULT_BACKEND, key: path.basename(row.file_path || '') };
+  }
+
+  /**
+   * Delete a stored image
+   *
+   * @param {{backend: string, key: string}} reference
+   */
+  async deleteImage(reference) {
+    await this.getStore(reference.backend).delete(reference.key);
+  }
+
+  /**
+   * Create a temporary download link for a stored image
+   *
+   * @param {{backend: string, key: string}} reference
+   * @returns {Promise<{url: string, expires_at: string}>}
+   */
+  async getSignedUrl(reference) {
+    const url = await this.getStore(reference.backend).getSignedUrl(reference.key, this.signedUrlTtlSeconds);
+    return {
+      url,
+      expires_at: new Date(Date.now() + this.signedUrlTtlSeconds * 1000).toISOString()
+    };
+  }
+}
+
+// Export singleton instance
+const storageService = new StorageService();
+
+module.exports = storageService;
@@ -0,0 +1,208 @@
+/**
+ * Streak Service - Daily Activity and Scan Streaks
+ *
+ * Educational Focus:
+ * - Time zones: "today" depends on where the class is, not where the server is
+ * - Keeping a running total (streak) up to date inside a transaction
+ * - Turning timestamps into a calendar for a heatmap
+ *
+ * Configuration:
+ * - ACTIVITY_TIMEZONE: IANA time zone for day boundaries, e.g. "America/New_York" (defaults to UTC)
+ */
+
+const dbService = require('./dbService');
+const logger = require('../utils/logger');
+
+// Educational Note: Scans count towards the recycling_symbols topic in user_progress
+const SCAN_TOPIC = 'recycling_symbols';
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+class StreakService {
+  constructor() {
+    this.timezone = this.resolveTimezone(process.env.ACTIVITY_TIMEZONE);
+
+    // Educational Note: en-CA formats dates as YYYY-MM-DD, which sorts correctly as text
+    this.dateFormatter = new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    });
+  }
+
+  /**
+   * Check a configured time zone, falling back to UTC when it is not valid
+   */
+  resolveTimezone(timezone) {
+    if (!timezone) {
+      return 'UTC';
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return timezone;
+    } catch {
+      logger.warn(`ACTIVITY_TIMEZONE "${timezone}" is not a valid time zone - using UTC`);
+      return 'UTC';
+    }
+  }
+
+  /**
+   * Get the local calendar day of a moment in the activity time zone
+   *
+   * @param {Date|string} moment - Date or ISO timestamp
+   * @returns {string} YYYY-MM-DD
+   */
+  toActivityDate(moment = new Date()) {
+    return this.dateFormatter.format(new Date(moment));
+  }
+
+  /**
+   * Move a YYYY-MM-DD day forwards or backwards
+   *
+   * Educational Note: Calendar days are plain dates, so the math is done in UTC
+   * where every day is exactly 24 hours long (no daylight saving jumps)
+   */
+  shiftDay(day, days) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) + days * ONE_DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Record a scan in the user's progress and update their streak
+   *
+   * Call inside dbService.runInTransaction so the scan and the streak are saved together.
+   *
+   * - First scan of a day right after a day with activity: streak + 1
+   * - Another scan on the same day: streak unchanged
+   * - First scan after a missed day: streak starts again at 1
+   *
+   * @param {Object} db - Transaction handle from dbService.runInTransaction
+   * @param {number} userId - User who scanned
+   * @param {Object} scan - { points, scanned_at }
+   * @returns {Promise<{streak_days: number, longest_streak_days: number, last_activity_date: string}>}
+   */
+  async recordActivity(db, userId, { points = 0, scanned_at = new Date().toISOString() } = {}) {
+    const today = this.toActivityDate(scanned_at);
+
+    await db.run(
+      'INSERT OR IGNORE INTO user_progress (user_id, topic) VALUES (?, ?)',
+      [userId, SCAN_TOPIC]
+    );
+    const progress = await db.get(
+      'SELECT streak_days, longest_streak_days, last_activity_date FROM user_progress WHERE user_id = ? AND topic = ?',
+      [userId, SCAN_TOPIC]
+    );
+
+    let streakDays;
+    if (progress.last_activity_date === today) {
+      streakDays = progress.streak_days;
+    } else if (progress.last_activity_date === this.shiftDay(today, -1)) {
+      streakDays = progress.streak_days + 1;
+    } else {
+      streakDays = 1;
+    }
+    const longestStreakDays = Math.max(progress.longest_streak_days || 0, streakDays);
+
+    await db.run(`
+      UPDATE user_progress
+      SET scans_completed = scans_completed + 1,
+          experience_points = experience_points + ?,
+          streak_days = ?,
+          longest_streak_days = ?,
+          last_activity_date = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND topic = ?
+    `, [points, streakDays, longestStreakDays, today, userId, SCAN_TOPIC]);
+
+    return { streak_days: streakDays, longest_streak_days: longestStreakDays, last_activity_date: today };
+  }
+
+  /**
+   * Get a user's streak as of today
+   *
+   * Educational Note: The stored streak is only updated when a scan happens, so a
+   * streak whose last day is before yesterday has really already ended
+   *
+   * @returns {Promise<{current: number, longest: number, last_activity_date: string|null, timezone: string}>}
+   */
+  async getStreak(userId) {
+    if (!dbService.db) {
+      await dbService.initialize();
+    }
+
+    const progress = await dbService.get(
+      'SELECT streak_days, longest_streak_days, last_activity_date FROM user_progress WHERE user_id = ? AND topic = ?',
+      [userId, SCAN_TOPIC]
+    );
+    if (!progress) {
+      return { current: 0, longest: 0, last_activity_date: null, timezone: this.timezone };
+    }
+
+    const today = this.toActivityDate();
+    const isAlive = progress.last_activity_date === today || progress.last_activity_date === this.shiftDay(today, -1);
+
+    return {
+      current: isAlive ? progress.streak_days : 0,
+      longest: progress.longest_streak_days || 0,
+      last_activity_date: progress.last_activity_date,
+      timezone: this.timezone
+    };
+  }
+
+  /**
+   * Build a per-day scan calendar ending today
+   *
+   * Every day in the range is included (with zero scans if nothing happened), and
+   * each day gets a heatmap level from 0 (no scans) to 4 (busiest)
+   *
+   * @param {number} userId
+   * @param {number} days - Number of days to include, counting today
+   * @returns {Promise<{from: string, to: string, days: Object[]}>}
+   */
+  async getActivityCalendar(userId, days = 90) {
+    if (!dbService.db) {
+      await dbService.initialize();
+    }
+
+    const to = this.toActivityDate();
+    const from = this.shiftDay(to, -(days - 1));
+
+    // Educational Note: Fetch a day extra on each side, then bucket by local day in JavaScript,
+    // because SQLite does not know about time zones
+    const rows = await dbService.all(`
+      SELECT created_at, points_earned
+      FROM scan_sessions
+      WHERE user_id = ? AND created_at >= ? AND created_at < ?
+    `, [userId, this.shiftDay(from, -1), this.shiftDay(to, 2)]);
+
+    const buckets = new Map();
+    for (const row of rows) {
+      const day = this.toActivityDate(row.created_at);
+      if (day < from || day > to) {
+        continue;
+      }
+      const bucket = buckets.get(day) || { scans: 0, points: 0 };
+      bucket.scans += 1;
+      bucket.points += row.points_earned || 0;
+      buckets.set(day, bucket);
+    }
+
+    const maxScans = Math.max(0, ...[...buckets.values()].map(bucket => bucket.scans));
+    const calendar = [];
+    for (let day = from; day <= to; day = this.shiftDay(day, 1)) {
+      const { scans, points } = buckets.get(day) || { scans: 0, points: 0 };
+      calendar.push({
+        date: day,
+        scans,
+        points,
+        level: scans === 0 ? 0 : Math.ceil((scans / maxScans) * 4)
+      });
+    }
+
+    return { from, to, days: calendar };
+  }
+}
+
+// Export singleton instance
+const streakService = new StreakService();
+
+module.exports = streakService;
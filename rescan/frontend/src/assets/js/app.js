@@ -242,15 +242,11 @@ const Navigation = {
     /**
      * Educational Function: Go to Scanning Page
      * 
-     * Navigate to scanning functionality (placeholder for future implementation)
-     * Learn about: feature progression, placeholder development
+     * Navigate to the scan page (live camera capture or image upload)
+     * Learn about: feature progression, user flow
      */
     goToScan: (showLoading = true) => {
-        // TODO: Implement in User Story 2
-        AppUtils.log('Scan page navigation - to be implemented in User Story 2', 'info');
-        
-        // Educational Note: For now, show informational message
-        alert('🔬 Scan functionality is coming in User Story 2!\n\nThis will include:\n• Camera integration\n• AI image analysis\n• Material identification\n• Points earning system');
+        Navigation.goToPage('scan.html', { showLoading });
     }
 };
 
@@ -11,6 +11,7 @@
  * - Error handling and user feedback
  * - DOM manipulation and dynamic content
  * - Progress indication and user experience
+ * - Live camera capture with getUserMedia
  */
 
 class UploadComponent {
@@ -18,9 +19,19 @@ class UploadComponent {
         // Educational Note: Configuration injection pattern for flexibility
         this.config = config;
         this.currentFile = null;
+        this.currentFiles = [];
         this.currentAnalysis = null;
         this.isAnalyzing = false;
         
+        // Educational Note: Must match BATCH_MAX_FILES on the server
+        this.maxBatchFiles = config.maxBatchFiles || 10;
+        
+        // Educational Note: Camera capture state ('environment' = back camera, 'user' = front)
+        this.cameraStream = null;
+        this.facingMode = 'environment';
+        this.mode = 'upload';
+        this.scanMethod = 'upload';
+        
         // Educational Note: Initialize component
         this.init();
     }
@@ -74,8 +85,8 @@ class UploadComponent {
     setupEventListeners() {
         // Educational Note: File input change event
         this.config.fileInput.addEventListener('change', (e) => {
-            console.log('📁 File input changed');
-            this.handleFileSelection(e.target.files[0]);
+            console.log(`📁 File input changed (${e.target.files.length} file(s))`);
+            this.handleFilesSelection(e.target.files);
         });
         
         // Educational Note: Upload area click to trigger file selection
@@ -109,7 +120,10 @@ class UploadComponent {
         // Educational Note: Make upload area focusable for accessibility
         this.config.uploadArea.setAttribute('tabindex', '0');
         this.config.uploadArea.setAttribute('role', 'button');
-        this.config.uploadArea.setAttribute('aria-label', 'Click to select image file');
+        this.config.uploadArea.setAttribute('aria-label', 'Click to select one or more image files');
+        
+        // Educational Note: Optional live camera capture
+        this.setupCamera();
     }
     
     /**
@@ -141,12 +155,12 @@ class UploadComponent {
         
         // Educational Note: Drop event
         uploadArea.addEventListener('drop', (e) => {
-            console.log('📨 File dropped');
+            console.log(`📨 ${e.dataTransfer.files.length} file(s) dropped`);
             uploadArea.classList.remove('dragging');
             
             const files = e.dataTransfer.files;
             if (files.length > 0) {
-                this.handleFileSelection(files[0]);
+                this.handleFilesSelection(files);
             }
         });
     }
@@ -161,18 +175,332 @@ class UploadComponent {
     }
     
     /**
-     * Educational Method: Process File (alias for camera capture integration)
-     * Called from scan.html camera capture to feed captured image into upload flow
+     * Educational Method: Camera Setup
+     * Connects the camera controls (if the page has them) to the capture mode
+     * 
+     * Educational Note: The camera only switches on when the student asks for it,
+     * so the browser's permission prompt follows a click instead of a page load
+     */
+    setupCamera() {
+        const { cameraBtn, uploadBtn, cameraInterface, cameraPreview, captureBtn, switchCameraBtn, cameraFallbackBtn } = this.config;
+        if (!cameraInterface || !cameraPreview) {
+            return;
+        }
+        
+        if (!this.isCameraSupported()) {
+            console.log('📷 Camera capture not available in this browser - file upload only');
+            if (cameraBtn) {
+                cameraBtn.style.display = 'none';
+            }
+            this.showUploadMode();
+            return;
+        }
+        
+        cameraBtn?.addEventListener('click', () => this.startCamera());
+        uploadBtn?.addEventListener('click', () => this.showUploadMode());
+        captureBtn?.addEventListener('click', () => this.capturePhoto());
+        switchCameraBtn?.addEventListener('click', () => this.switchCamera());
+        cameraFallbackBtn?.addEventListener('click', () => this.showUploadMode());
+        
+        // Educational Note: Release the camera when the student leaves the page
+        window.addEventListener('pagehide', () => this.stopCamera());
+        
+        this.showUploadMode();
+    }
+    
+    /**
+     * Educational Method: Camera Feature Detection
+     * 
+     * Educational Note: Browsers only allow getUserMedia on secure pages
+     * (https:// or http://localhost)
+     */
+    isCameraSupported() {
+        return Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia) &&
+            window.isSecureContext !== false;
+    }
+    
+    /**
+     * Educational Method: Start Camera
+     * Asks for camera access and shows the live viewfinder
+     * 
+     * @param {string} facingMode - 'environment' (back camera) or 'user' (front camera)
      */
-    processFile(file) {
-        return this.handleFileSelection(file);
+    async startCamera(facingMode = this.facingMode) {
+        console.log(`🎥 Starting ${facingMode === 'user' ? 'front' : 'back'} camera`);
+        
+        this.stopCamera();
+        this.showCameraMode();
+        
+        try {
+            // Educational Note: "ideal" means any camera is fine if the preferred one is missing
+            const stream = await navigator.mediaDevices.getUserMedia({
+                video: {
+                    facingMode: { ideal: facingMode },
+                    width: { ideal: 1920 },
+                    height: { ideal: 1080 }
+                },
+                audio: false
+            });
+            
+            // Educational Note: The student may have switched to upload while the prompt was open
+            if (this.mode !== 'camera') {
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+            
+            this.cameraStream = stream;
+            this.facingMode = facingMode;
+            this.config.cameraPreview.srcObject = stream;
+            
+            // Educational Note: A mirrored selfie view is easier to aim (the photo itself is not mirrored)
+            this.config.cameraPreview.classList.toggle('mirrored', facingMode === 'user');
+            
+            await this.updateCameraSwitch();
+            console.log('✅ Camera started');
+            
+        } catch (error) {
+            console.error('❌ Camera access failed:', error);
+            this.showCameraError(error);
+        }
+    }
+    
+    /**
+     * Educational Method: Front/Back Camera Button
+     * Only shown when the device has more than one camera
+     */
+    async updateCameraSwitch() {
+        const switchCameraBtn = this.config.switchCameraBtn;
+        if (!switchCameraBtn) {
+            return;
+        }
+        
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            const cameras = devices.filter(device => device.kind === 'videoinput');
+            switchCameraBtn.style.display = cameras.length > 1 ? 'inline-flex' : 'none';
+            switchCameraBtn.innerHTML = `
+                <i class="fas fa-sync-alt"></i>
+                ${this.facingMode === 'user' ? 'Use Back Camera' : 'Use Front Camera'}
+            `;
+        } catch (error) {
+            console.warn('⚠️ Could not list cameras:', error);
+            switchCameraBtn.style.display = 'none';
+        }
+    }
+    
+    /**
+     * Educational Method: Switch Between Front and Back Camera
+     */
+    switchCamera() {
+        return this.startCamera(this.facingMode === 'user' ? 'environment' : 'user');
+    }
+    
+    /**
+     * Educational Method: Stop Camera
+     * Stops every track so the camera light goes off
+     */
+    stopCamera() {
+        if (this.cameraStream) {
+            console.log('🛑 Stopping camera stream');
+            this.cameraStream.getTracks().forEach(track => track.stop());
+            this.cameraStream = null;
+        }
+        if (this.config.cameraPreview) {
+            this.config.cameraPreview.srcObject = null;
+        }
+    }
+    
+    /**
+     * Educational Method: Capture Photo
+     * Draws the current video frame onto a canvas and feeds it into the
+     * normal preview and analyze flow as a JPEG file
+     */
+    async capturePhoto() {
+        const video = this.config.cameraPreview;
+        if (!this.cameraStream || !video.videoWidth) {
+            console.warn('⚠️ Camera is not ready yet');
+            return;
+        }
+        
+        const captureBtn = this.config.captureBtn;
+        if (captureBtn) {
+            captureBtn.disabled = true;
+        }
+        
+        try {
+            console.log('📸 Capturing photo');
+            
+            // Educational Note: Full camera resolution - the server shrinks it for the AI
+            const canvas = document.createElement('canvas');
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            canvas.getContext('2d').drawImage(video, 0, 0);
+            
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9));
+            if (!blob) {
+                throw new Error('The photo could not be created');
+            }
+            const file = new File([blob], `camera_capture_${Date.now()}.jpg`, { type: 'image/jpeg' });
+            console.log(`📷 Photo captured: ${file.size} bytes`);
+            
+            // Educational Note: Back to the upload view, where the preview and Analyze button live
+            this.showUploadMode();
+            this.handleFileSelection(file, 'camera');
+            
+        } catch (error) {
+            console.error('❌ Photo capture failed:', error);
+            this.showUploadMode();
+            this.showError('Could not take the photo. Please try again or upload an image instead.');
+        } finally {
+            if (captureBtn) {
+                captureBtn.disabled = false;
+            }
+        }
+    }
+    
+    /**
+     * Educational Method: Camera Mode
+     * Shows the viewfinder and hides the file upload interface
+     */
+    showCameraMode() {
+        this.mode = 'camera';
+        this.hideCameraError();
+        this.config.cameraInterface.style.display = 'block';
+        if (this.config.uploadInterface) {
+            this.config.uploadInterface.style.display = 'none';
+        }
+        this.updateModeButtons();
+    }
+    
+    /**
+     * Educational Method: Upload Mode
+     * Turns the camera off and shows the file upload interface
+     */
+    showUploadMode() {
+        this.mode = 'upload';
+        this.stopCamera();
+        if (this.config.cameraInterface) {
+            this.config.cameraInterface.style.display = 'none';
+        }
+        if (this.config.uploadInterface) {
+            this.config.uploadInterface.style.display = 'block';
+        }
+        this.updateModeButtons();
+    }
+    
+    updateModeButtons() {
+        this.config.cameraBtn?.classList.toggle('active', this.mode === 'camera');
+        this.config.uploadBtn?.classList.toggle('active', this.mode === 'upload');
+    }
+    
+    /**
+     * Educational Method: Camera Error Display
+     * Explains why the camera is unavailable and offers file upload instead
+     * 
+     * Educational Note: getUserMedia errors have names that say what went wrong
+     */
+    showCameraError(error) {
+        this.stopCamera();
+        
+        const messages = {
+            NotAllowedError: 'Camera permission was denied. You can allow it in your browser settings, or upload a photo instead.',
+            SecurityError: 'This page is not allowed to use the camera. Please upload a photo instead.',
+            NotFoundError: 'No camera was found on this device. Please upload a photo instead.',
+            OverconstrainedError: 'No suitable camera was found on this device. Please upload a photo instead.',
+            NotReadableError: 'The camera is being used by another app. Close it and try again, or upload a photo instead.'
+        };
+        const message = messages[error.name] || 'Unable to start the camera. Please upload a photo instead.';
+        
+        this.config.cameraInterface.classList.add('camera-unavailable');
+        if (this.config.cameraErrorText) {
+            this.config.cameraErrorText.textContent = message;
+        }
+        if (this.config.cameraError) {
+            this.config.cameraError.style.display = 'block';
+        } else {
+            // Educational Note: No error panel on this page - fall straight back to upload
+            this.showUploadMode();
+            this.showError(message);
+        }
+    }
+    
+    hideCameraError() {
+        this.config.cameraInterface.classList.remove('camera-unavailable');
+        if (this.config.cameraError) {
+            this.config.cameraError.style.display = 'none';
+        }
+    }
+    
+    /**
+     * Educational Method: Process File
+     * Feeds an image from outside the component (for example another capture
+     * widget) into the upload flow
+     */
+    processFile(file, scanMethod = 'upload') {
+        return this.handleFileSelection(file, scanMethod);
+    }
+    
+    /**
+     * Educational Method: Multiple File Selection Handler
+     * One file goes through the normal single-image flow; several files are
+     * validated one by one and analyzed together as a batch
+     * 
+     * Educational Note: Invalid files are skipped (with a message) rather than
+     * throwing away the whole selection
+     */
+    handleFilesSelection(fileList) {
+        const files = Array.from(fileList || []);
+        if (files.length <= 1) {
+            return this.handleFileSelection(files[0]);
+        }
+        
+        console.log(`📚 ${files.length} files selected for batch analysis`);
+        
+        if (files.length > this.maxBatchFiles) {
+            this.showError(`Too many files: ${files.length}. Please select at most ${this.maxBatchFiles} images at once.`);
+            return;
+        }
+        
+        const validFiles = [];
+        const problems = [];
+        for (const file of files) {
+            const validation = this.validateFile(file);
+            if (validation.valid) {
+                validFiles.push(file);
+            } else {
+                problems.push(`${file.name}: ${validation.message}`);
+            }
+        }
+        
+        if (validFiles.length === 0) {
+            this.showError(`None of the selected files can be analyzed. ${problems.join(' ')}`);
+            return;
+        }
+        
+        // Educational Note: Store the selection; the first image is used for the preview
+        this.currentFiles = validFiles;
+        this.currentFile = validFiles[0];
+        this.scanMethod = 'upload';
+        this.createImagePreview(validFiles[0]);
+        this.showPreviewInterface();
+        
+        if (problems.length > 0) {
+            this.showError(`Skipped ${problems.length} file(s). ${problems.join(' ')}`);
+        } else {
+            this.hideError();
+        }
+        
+        console.log(`✅ ${validFiles.length} files ready for batch analysis`);
     }
     
     /**
      * Educational Method: File Selection Handler
      * Validates and processes selected files
+     * 
+     * @param {File} file - The selected or captured image
+     * @param {string} scanMethod - 'upload' or 'camera' (recorded with the scan)
      */
-    handleFileSelection(file) {
+    handleFileSelection(file, scanMethod = 'upload') {
         console.log(`📄 File selected: ${file?.name}, Size: ${file?.size} bytes`);
         
         // Educational Note: File validation
@@ -184,6 +512,8 @@ class UploadComponent {
         
         // Educational Note: Store current file
         this.currentFile = file;
+        this.currentFiles = [file];
+        this.scanMethod = scanMethod;
         
         // Educational Note: Create image preview
         this.createImagePreview(file);
@@ -211,11 +541,14 @@ class UploadComponent {
         }
         
         // Educational Note: File type validation
-        const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-        if (!allowedTypes.includes(file.type)) {
+        // Many browsers report no type for iPhone HEIC photos, so the extension counts too
+        // (the server checks the real content either way)
+        const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+        const isHeic = /\.(heic|heif)$/i.test(file.name);
+        if (!allowedTypes.includes(file.type) && !isHeic) {
             return {
                 valid: false,
-                message: `Invalid file type: ${file.type}. Please use JPEG, PNG, or WebP images.`
+                message: `Invalid file type: ${file.type || 'unknown'}. Please use JPEG, PNG, WebP, or HEIC images.`
             };
         }
         
@@ -260,6 +593,13 @@ class UploadComponent {
             this.config.imagePreview.alt = `Preview of ${file.name}`;
         };
         
+        // Educational Note: Most browsers can't display HEIC; the server converts it to JPEG
+        this.config.imagePreview.onerror = () => {
+            if (this.config.imagePreview.src) {
+                this.config.imagePreview.alt = `${file.name} - no preview in this browser, but it can still be analyzed`;
+            }
+        };
+        
         reader.onerror = () => {
             console.error('❌ Error reading file for preview');
             this.showError('Unable to preview image. Please try a different file.');
@@ -285,8 +625,41 @@ class UploadComponent {
         // Educational Note: Enable analyze button
         this.config.analyzeBtn.disabled = false;
         
+        // Educational Note: Show how many images will be analyzed in a batch
+        this.updateSelectionInfo();
+        
         // Educational Note: Optional: Update page title
-        document.title = `Rescan - Image Ready | ${this.currentFile.name}`;
+        document.title = this.currentFiles.length > 1
+            ? `Rescan - ${this.currentFiles.length} Images Ready`
+            : `Rescan - Image Ready | ${this.currentFile.name}`;
+    }
+    
+    /**
+     * Educational Method: Selection Info
+     * Lists the selected files under the preview when there is more than one
+     */
+    updateSelectionInfo() {
+        let info = this.config.previewContainer.querySelector('.batch-selection');
+        
+        if (this.currentFiles.length <= 1) {
+            if (info) {
+                info.remove();
+            }
+            return;
+        }
+        
+        if (!info) {
+            info = document.createElement('div');
+            info.className = 'batch-selection';
+            this.config.imagePreview.insertAdjacentElement('afterend', info);
+        }
+        
+        // Educational Note: textContent keeps file names from being treated as HTML
+        const title = document.createElement('strong');
+        title.textContent = `${this.currentFiles.length} images selected`;
+        const names = document.createElement('small');
+        names.textContent = this.currentFiles.map(file => file.name).join(', ');
+        info.replaceChildren(title, names);
     }
     
     /**
@@ -298,6 +671,7 @@ class UploadComponent {
         
         // Educational Note: Reset component state
         this.currentFile = null;
+        this.currentFiles = [];
         this.currentAnalysis = null;
         
         // Educational Note: Clear file input
@@ -306,6 +680,7 @@ class UploadComponent {
         // Educational Note: Clear image preview
         this.config.imagePreview.src = '';
         this.config.imagePreview.alt = '';
+        this.updateSelectionInfo();
         
         // Educational Note: Reset interface
         this.resetInterface();
@@ -354,6 +729,11 @@ class UploadComponent {
             return;
         }
         
+        // Educational Note: Several files go to the batch endpoint in one request
+        if (this.currentFiles.length > 1) {
+            return this.startBatchAnalysis();
+        }
+        
         console.log('🧠 Starting AI analysis process');
         
         try {
@@ -367,18 +747,7 @@ class UploadComponent {
             // Educational Note: Prepare form data for API
             const formData = new FormData();
             formData.append('image', this.currentFile);
-            
-            // Educational Note: Add address context if available
-            const currentAddressId = localStorage.getItem('currentAddressId');
-            if (currentAddressId) {
-                formData.append('address_id', currentAddressId);
-            }
-            
-            // Educational Note: Send address text for debug file naming
-            const currentAddressText = localStorage.getItem('currentAddress');
-            if (currentAddressText) {
-                formData.append('address', currentAddressText);
-            }
+            this.appendAddressContext(formData);
             
             // Educational Note: Make API call
             const response = await this.callAnalysisAPI(formData);
@@ -404,68 +773,180 @@ class UploadComponent {
     }
     
     /**
-     * Educational Method: API Communication
-     * Handles communication with backend analysis endpoint
+     * Educational Method: Address Context
+     * Adds the current address (if any) to an upload form
      */
-    async callAnalysisAPI(formData) {
-        console.log('📡 Calling AI analysis API');
+    appendAddressContext(formData) {
+        // Educational Note: Add address context if available
+        const currentAddressId = localStorage.getItem('currentAddressId');
+        if (currentAddressId) {
+            formData.append('address_id', currentAddressId);
+        }
         
-        // Educational Note: Update progress
-        this.updateProgress(20, 'Uploading image...');
+        // Educational Note: Send address text for debug file naming
+        const currentAddressText = localStorage.getItem('currentAddress');
+        if (currentAddressText) {
+            formData.append('address', currentAddressText);
+        }
+        
+        // Educational Note: Lets teachers see how many scans used the live camera
+        formData.append('scan_method', this.scanMethod);
+    }
+    
+    /**
+     * Educational Method: Start Batch Analysis
+     * Uploads every selected image in one request to /api/scan/batch
+     * 
+     * Educational Note: The server analyzes a few images at a time and answers
+     * with one result per file plus a summary
+     */
+    async startBatchAnalysis() {
+        console.log(`🧠 Starting batch analysis of ${this.currentFiles.length} images`);
         
         try {
-            // Educational Note: Call API service
-            if (typeof ApiService !== 'undefined') {
-                // Use API service if available
-                this.updateProgress(40, 'Processing upload...');
-                
-                const response = await fetch('/api/scan/upload', {
-                    method: 'POST',
-                    body: formData
-                });
-                
-                this.updateProgress(70, 'Analyzing with AI...');
-                
-                if (!response.ok) {
-                    const errorData = await response.json();
-                    throw new Error(errorData.message || `API error: ${response.status}`);
-                }
-                
-                this.updateProgress(90, 'Finalizing results...');
-                
-                const data = await response.json();
-                this.updateProgress(100, 'Analysis complete!');
-                
-                return data;
-                
-            } else {
-                // Educational Note: Fallback to direct fetch
-                console.warn('⚠️ ApiService not available, using direct fetch');
-                return await this.directFetchAPI(formData);
+            this.isAnalyzing = true;
+            this.config.analyzeBtn.disabled = true;
+            this.showAnalysisProgress();
+            
+            // Educational Note: The same "images" field is appended once per file
+            const formData = new FormData();
+            this.currentFiles.forEach(file => formData.append('images', file));
+            this.appendAddressContext(formData);
+            
+            this.updateProgress(30, `Uploading ${this.currentFiles.length} images...`);
+            const response = await fetch('/api/scan/batch', {
+                method: 'POST',
+                body: formData
+            });
+            
+            this.updateProgress(80, 'Collecting results...');
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || `API error: ${response.status}`);
             }
             
+            this.updateProgress(100, 'Analysis complete!');
+            console.log('✅ Batch analysis successful:', data.data.summary);
+            this.currentAnalysis = data.data;
+            this.showBatchResults(data.data);
+            this.updatePointsDisplay(data.data.summary.total_points);
+            
         } catch (error) {
-            console.error('❌ API call failed:', error);
-            throw error;
+            console.error('❌ Batch analysis failed:', error);
+            this.showAnalysisError(error.message);
+        } finally {
+            this.isAnalyzing = false;
+            this.hideAnalysisProgress();
         }
     }
     
     /**
-     * Educational Method: Direct API Fetch
-     * Fallback API communication method
+     * Educational Method: API Communication
+     * Queues the image for analysis, then follows the job until it finishes
+     * 
+     * Educational Note: The server answers straight away with a job ID, so a slow
+     * AI call does not keep the upload request hanging
      */
-    async directFetchAPI(formData) {
-        const response = await fetch('/api/scan/upload', {
+    async callAnalysisAPI(formData) {
+        console.log('📡 Queueing image for AI analysis');
+        
+        // Educational Note: Update progress
+        this.updateProgress(10, 'Uploading image...');
+        
+        const response = await fetch('/api/scan/jobs', {
             method: 'POST',
             body: formData
         });
         
+        const queued = await response.json().catch(() => ({}));
         if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.message || `Network error: ${response.status}`);
+            throw new Error(queued.message || queued.error?.message || `API error: ${response.status}`);
+        }
+        
+        this.updateProgress(queued.data.progress, this.describeJobStage(queued.data.stage));
+        const job = await this.waitForJob(queued.data);
+        
+        if (job.status === 'failed') {
+            throw new Error(job.error || 'Analysis failed');
         }
         
-        return await response.json();
+        this.updateProgress(100, 'Analysis complete!');
+        return { success: true, ...job.result };
+    }
+    
+    /**
+     * Educational Method: Wait for a Scan Job
+     * Listens to the job's live progress stream (Server-Sent Events), or polls
+     * the job status when the browser has no EventSource
+     * 
+     * @returns {Promise<Object>} The job once it is completed or failed
+     */
+    waitForJob(job) {
+        if (typeof EventSource === 'undefined') {
+            return this.pollJob(job.status_url);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const events = new EventSource(job.events_url);
+            
+            events.addEventListener('progress', (e) => {
+                const current = JSON.parse(e.data);
+                this.updateProgress(current.progress, this.describeJobStage(current.stage));
+            });
+            
+            // Educational Note: Close the stream ourselves, or EventSource reconnects
+            ['completed', 'failed'].forEach(eventName => {
+                events.addEventListener(eventName, (e) => {
+                    events.close();
+                    resolve(JSON.parse(e.data));
+                });
+            });
+            
+            // Educational Note: If the stream drops, fall back to polling the status
+            events.onerror = () => {
+                console.warn('⚠️ Progress stream interrupted, polling job status instead');
+                events.close();
+                this.pollJob(job.status_url).then(resolve, reject);
+            };
+        });
+    }
+    
+    /**
+     * Educational Method: Poll a Scan Job
+     * Asks for the job status every second until it has finished
+     */
+    async pollJob(statusUrl) {
+        for (;;) {
+            const response = await fetch(statusUrl);
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.message || data.error?.message || `API error: ${response.status}`);
+            }
+            
+            const current = data.data;
+            if (current.status === 'completed' || current.status === 'failed') {
+                return current;
+            }
+            
+            this.updateProgress(current.progress, this.describeJobStage(current.stage));
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+    }
+    
+    /**
+     * Educational Method: Job Stage Labels
+     * Turns the stage names reported by the server into progress text
+     */
+    describeJobStage(stage) {
+        const labels = {
+            queued: 'Waiting in line for analysis...',
+            starting: 'Starting analysis...',
+            fingerprinting: 'Checking for repeat photos...',
+            analyzing: 'Analyzing with AI...',
+            saving: 'Saving your scan...',
+            achievements: 'Checking achievements...'
+        };
+        return labels[stage] || 'Processing...';
     }
     
     /**
@@ -556,6 +1037,9 @@ class UploadComponent {
                 </div>
             </div>
             
+            <!-- Detected Items (photos with more than one item) -->
+            ${analysis.items && analysis.items.length > 1 ? this.createItemsHTML(analysis.items) : ''}
+            
             <!-- Points Display -->
             <div class="points-earned">
                 🏆 You earned ${analysis.points_earned} points!
@@ -605,6 +1089,158 @@ class UploadComponent {
         `;
     }
     
+    /**
+     * Educational Method: Show Batch Results
+     * Displays the summary and one row per uploaded file
+     */
+    showBatchResults(data) {
+        console.log('📋 Displaying batch results');
+        
+        if (!this.config.analysisResult) {
+            console.error('❌ Analysis result container not found');
+            return;
+        }
+        
+        this.config.analysisResult.innerHTML = this.createBatchResultsHTML(data);
+        this.config.analysisResult.style.display = 'block';
+        this.setupResultInteractions();
+    }
+    
+    /**
+     * Educational Method: Create Batch Results HTML
+     * Summary totals followed by each file's outcome
+     */
+    createBatchResultsHTML(data) {
+        const escapeHtml = (str) => {
+            const div = document.createElement('div');
+            div.textContent = str;
+            return div.innerHTML;
+        };
+        const summary = data.summary;
+        
+        const rows = data.results.map(result => {
+            if (result.status !== 'success') {
+                return `
+                    <li class="batch-result batch-result-error">
+                        <i class="fas fa-exclamation-circle"></i>
+                        <div class="batch-result-details">
+                            <strong>${escapeHtml(result.filename)}</strong>
+                            <small>${escapeHtml(result.message)}</small>
+                        </div>
+                    </li>
+                `;
+            }
+            
+            const analysis = result.analysis;
+            return `
+                <li class="batch-result">
+                    <i class="fas fa-${this.getIconForMaterial(analysis.material_type)}"></i>
+                    <div class="batch-result-details">
+                        <strong>${escapeHtml(result.filename)}</strong>
+                        <small>
+                            ${escapeHtml(analysis.material_type)}${analysis.ric_code ? ` (RIC ${analysis.ric_code})` : ''}
+                            · ${analysis.confidence}% confidence
+                            ${analysis.item_count > 1 ? ` · ${analysis.item_count} items` : ''}
+                            ${result.duplicate ? ' · already scanned recently' : ''}
+                        </small>
+                    </div>
+                    <span class="scan-item-points">+${analysis.points_earned}</span>
+                </li>
+            `;
+        }).join('');
+        
+        return `
+            <div class="result-header">
+                <div class="result-icon">
+                    <i class="fas fa-images"></i>
+                </div>
+                <div class="result-summary">
+                    <div class="material-type">${summary.succeeded} of ${summary.total_files} images analyzed</div>
+                    <div class="confidence-score">
+                        ${summary.total_items} items found${summary.duplicates > 0 ? ` · ${summary.duplicates} repeat photo(s)` : ''}
+                    </div>
+                </div>
+            </div>
+            
+            <ul class="batch-results">
+                ${rows}
+            </ul>
+            
+            <div class="points-earned">
+                <i class="fas fa-star"></i>
+                +${summary.total_points} Points Earned!
+            </div>
+            
+            ${summary.achievements_unlocked.length > 0 ? `
+                <div class="points-earned">
+                    <i class="fas fa-trophy"></i>
+                    Unlocked: ${summary.achievements_unlocked.map(badge => escapeHtml(badge.name)).join(', ')}
+                </div>
+            ` : ''}
+            
+            <div class="scan-again-section">
+                <button class="btn-scan-again" onclick="scanAgain()">
+                    <i class="fas fa-camera"></i>
+                    Scan More Items
+                </button>
+            </div>
+        `;
+    }
+    
+    /**
+     * Educational Method: Create Detected Items HTML
+     * Shows each item found in the photo, with numbered boxes drawn over the image
+     * 
+     * Educational Note: Bounding boxes arrive as fractions (0-1) of the image size,
+     * so they become CSS percentages and stay aligned at any screen size
+     */
+    createItemsHTML(items) {
+        const escapeHtml = (str) => {
+            const div = document.createElement('div');
+            div.textContent = str;
+            return div.innerHTML;
+        };
+        
+        const boxes = items
+            .filter(item => item.bounding_box)
+            .map(item => `
+                <div class="scan-item-box" style="left: ${item.bounding_box.x * 100}%; top: ${item.bounding_box.y * 100}%; width: ${item.bounding_box.width * 100}%; height: ${item.bounding_box.height * 100}%;">
+                    <span class="scan-item-label">${item.index}</span>
+                </div>
+            `).join('');
+        
+        const imageSrc = this.config.imagePreview ? this.config.imagePreview.src : '';
+        
+        return `
+            <div class="scan-items">
+                <h4 style="color: #2d7a2d; margin-bottom: 1rem;">
+                    <i class="fas fa-layer-group"></i> We found ${items.length} items in this photo
+                </h4>
+                
+                ${imageSrc && boxes ? `
+                    <div class="scan-items-figure">
+                        <img src="${imageSrc}" alt="Your photo with each detected item numbered">
+                        ${boxes}
+                    </div>
+                ` : ''}
+                
+                <ol class="scan-items-list">
+                    ${items.map(item => `
+                        <li class="scan-item">
+                            <span class="scan-item-label">${item.index}</span>
+                            <div class="scan-item-details">
+                                <strong>${escapeHtml(item.material_type)}${item.ric_code ? ` (RIC ${item.ric_code})` : ''}</strong>
+                                <small>${item.confidence}% confidence · ${item.recyclable ? 'recyclable' : 'limited recycling'}</small>
+                                ${item.description ? `<small>${escapeHtml(item.description)}</small>` : ''}
+                            </div>
+                            <span class="scan-item-points">+${item.points_earned}</span>
+                        </li>
+                    `).join('')}
+                </ol>
+            </div>
+        `;
+    }
+    
     /**
      * Educational Method: Create Educational Content HTML
      * Generates educational information display